@@ -85,6 +85,94 @@ function runFfmpegJob({ inputPath, outputPath, forceVideoTranscode }) {
     });
 }
 
+/* ── Embedded subtitle extraction ── */
+
+// Text codecs ffmpeg can write out as a file the renderer parses; bitmap ones (PGS, VobSub) are skipped
+const TEXT_SUBTITLE_FORMATS = { subrip: 'srt', srt: 'srt', ass: 'ass', ssa: 'ass', webvtt: 'vtt', mov_text: 'srt', text: 'srt' };
+
+// e.g. "Stream #0:2(eng): Subtitle: ass (default)" or "Stream #0:3[0x1203](jpn): Subtitle: subrip"
+const SUBTITLE_STREAM_RE = /Stream #0:(\d+)(?:\[\w+\])?(?:\((\w+)\))?: Subtitle: (\w+)/;
+
+function spawnFfmpeg(args, timeoutMs) {
+    return new Promise((resolve) => {
+        const child = spawn(ffmpegPath, args, { windowsHide: true, stdio: 'pipe' });
+        let stderr = '';
+        const timer = setTimeout(() => {
+            try { child.kill('SIGKILL'); } catch { }
+        }, timeoutMs);
+
+        child.stderr?.on('data', (chunk) => { stderr += chunk.toString(); });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            resolve({ code: -1, stderr: error?.message || String(error) });
+        });
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            resolve({ code, stderr });
+        });
+    });
+}
+
+/** Text subtitle streams listed in ffmpeg's description of the input, with their language and title. */
+function parseSubtitleStreams(stderr) {
+    const streams = [];
+    let current = null;
+    for (const line of stderr.split(/\r?\n/)) {
+        if (line.startsWith('Output #')) break;
+        const match = line.match(SUBTITLE_STREAM_RE);
+        if (match) {
+            current = { index: Number(match[1]), language: match[2] || null, codec: match[3], title: null };
+            streams.push(current);
+            continue;
+        }
+        if (line.includes('Stream #')) {
+            current = null;
+            continue;
+        }
+        // Stream metadata follows its header line
+        const title = current && line.match(/^\s+title\s*:\s*(.+)$/);
+        if (title) current.title = title[1].trim();
+    }
+    return streams.filter((stream) => TEXT_SUBTITLE_FORMATS[stream.codec]);
+}
+
+/**
+ * Extract every text subtitle stream in one pass over the input (one output file per stream).
+ * Resolves with the raw subtitle text; the renderer parses it like a loaded file.
+ */
+async function extractSubtitleTracks(inputPath) {
+    const probe = await spawnFfmpeg(['-hide_banner', '-i', inputPath], 30 * 1000);
+    const streams = parseSubtitleStreams(probe.stderr);
+    if (streams.length === 0) return [];
+
+    const tempDir = path.join(os.tmpdir(), 'lovestream-transcoder');
+    fs.mkdirSync(tempDir, { recursive: true });
+    const prefix = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const outputs = streams.map((stream) => ({
+        ...stream,
+        format: TEXT_SUBTITLE_FORMATS[stream.codec],
+        outputPath: path.join(tempDir, `${prefix}-subs-${stream.index}.${TEXT_SUBTITLE_FORMATS[stream.codec]}`),
+    }));
+
+    const args = ['-y', '-i', inputPath];
+    for (const output of outputs) args.push('-map', `0:${output.index}`, output.outputPath);
+    const result = await spawnFfmpeg(args, 4 * 60 * 1000);
+    if (result.code !== 0) console.warn('[transcoder] subtitle extraction exited', result.code);
+
+    const tracks = [];
+    for (const { outputPath, ...stream } of outputs) {
+        try {
+            if (fs.existsSync(outputPath)) {
+                tracks.push({ ...stream, text: fs.readFileSync(outputPath, 'utf8') });
+                fs.unlinkSync(outputPath);
+            }
+        } catch (error) {
+            console.warn('[transcoder] failed to read subtitle stream', stream.index, error?.message);
+        }
+    }
+    return tracks;
+}
+
 /* ═══════════════════════════════════════════════════════════════════
  *  Local File Streaming Server
  *
@@ -272,6 +360,22 @@ function registerNativeTranscoderIpc() {
         return result;
     });
 
+    ipcMain.handle('native-transcoder:extract-subtitles', async (_event, { inputPath }) => {
+        if (!ffmpegPath || !fs.existsSync(ffmpegPath)) {
+            return { success: false, error: 'FFmpeg binary not found' };
+        }
+        if (!inputPath || !fs.existsSync(inputPath)) {
+            return { success: false, error: `Input file not found: ${inputPath || 'missing'}` };
+        }
+        try {
+            const tracks = await extractSubtitleTracks(inputPath);
+            console.log('[transcoder] extracted subtitle tracks:', tracks.length);
+            return { success: true, tracks };
+        } catch (error) {
+            return { success: false, error: error?.message || String(error) };
+        }
+    });
+
     ipcMain.handle('native-transcoder:read-file', async (_event, { filePath }) => {
         try {
             if (!filePath || !fs.existsSync(filePath)) {
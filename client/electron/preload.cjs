@@ -8,6 +8,8 @@ contextBridge.exposeInMainWorld('electron', {
             ipcRenderer.invoke('native-transcoder:process-file', { inputPath, forceVideoTranscode }),
         readFile: (filePath) => ipcRenderer.invoke('native-transcoder:read-file', { filePath }),
         saveTempFile: (bytes, fileName) => ipcRenderer.invoke('native-transcoder:save-temp-file', { bytes, fileName }),
+        /** Text subtitle streams in a local file. Returns { success, tracks: [{ index, language, title, codec, format, text }] }. */
+        extractSubtitles: (inputPath) => ipcRenderer.invoke('native-transcoder:extract-subtitles', { inputPath }),
     },
     streamServer: {
         /** Register a local file for HTTP streaming. Returns { success, url, streamId }. */
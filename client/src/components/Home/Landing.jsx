@@ -4,6 +4,9 @@ import useSocket from '../../hooks/useSocket.js';
 
 export default function Landing() {
     const [joinCode, setJoinCode] = useState('');
+    const [createPin, setCreatePin] = useState('');
+    const [joinPin, setJoinPin] = useState('');
+    const [pinRequired, setPinRequired] = useState(false);
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
     const { isConnected, createRoom, joinRoom } = useSocket();
@@ -13,8 +16,9 @@ export default function Landing() {
         setError('');
         setLoading(true);
         try {
-            const room = await createRoom();
-            navigate(`/room/${room.code}`, { state: { role: 'host' } });
+            const passphrase = createPin.trim();
+            const room = await createRoom({ passphrase });
+            navigate(`/room/${room.code}`, { state: { role: 'host', passphrase } });
         } catch (err) {
             setError(err.message);
         } finally {
@@ -28,12 +32,20 @@ export default function Landing() {
             setError('Please enter a room code');
             return;
         }
+        if (pinRequired && !joinPin.trim()) {
+            setError('Enter the room PIN');
+            return;
+        }
         setError('');
         setLoading(true);
         try {
-            const room = await joinRoom(joinCode.trim().toUpperCase());
-            navigate(`/room/${room.code}`, { state: { role: 'viewer' } });
+            const passphrase = joinPin.trim();
+            const room = await joinRoom(joinCode.trim().toUpperCase(), { passphrase });
+            navigate(`/room/${room.code}`, { state: { role: 'viewer', passphrase } });
         } catch (err) {
+            if (err.code === 'PASSPHRASE_REQUIRED' || err.code === 'PASSPHRASE_INVALID') {
+                setPinRequired(true);
+            }
             setError(err.message);
         } finally {
             setLoading(false);
@@ -72,6 +84,17 @@ export default function Landing() {
                         {isConnected ? 'Connected to server' : 'Connecting...'}
                     </div>
 
+                    <input
+                        type="password"
+                        className="landing__input landing__input--pin"
+                        placeholder="Room PIN (optional)"
+                        value={createPin}
+                        onChange={(e) => setCreatePin(e.target.value)}
+                        maxLength={64}
+                        autoComplete="off"
+                        disabled={!isConnected || loading}
+                    />
+
                     <button
                         className="landing__btn landing__btn--create"
                         onClick={handleCreate}
@@ -99,10 +122,27 @@ export default function Landing() {
                             className="landing__input"
                             placeholder="Enter room code"
                             value={joinCode}
-                            onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+                            onChange={(e) => {
+                                setJoinCode(e.target.value.toUpperCase());
+                                setPinRequired(false);
+                                setJoinPin('');
+                            }}
                             maxLength={6}
                             disabled={!isConnected || loading}
                         />
+                        {pinRequired && (
+                            <input
+                                type="password"
+                                className="landing__input landing__input--pin"
+                                placeholder="PIN"
+                                value={joinPin}
+                                onChange={(e) => setJoinPin(e.target.value)}
+                                maxLength={64}
+                                autoComplete="off"
+                                autoFocus
+                                disabled={!isConnected || loading}
+                            />
+                        )}
                         <button
                             type="submit"
                             className="landing__btn landing__btn--join"
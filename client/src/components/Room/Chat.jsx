@@ -1,28 +1,98 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { formatTime } from '../../utils/roomCode.js';
 
-export default function Chat({ messages, onSend, role, onClose }) {
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+const TYPING_REFRESH_MS = 4000; // re-announce while typing so others don't expire us
+const TYPING_IDLE_MS = 3000;
+
+export default function Chat({
+    messages,
+    onSend,
+    role,
+    participantId,
+    typingCount = 0,
+    onTyping,
+    onReact,
+    getCurrentTime,
+    onJumpToTime,
+    onClose,
+}) {
     const [text, setText] = useState('');
+    const [commentAt, setCommentAt] = useState(null); // movie position the next message is anchored to
+    const [pickerFor, setPickerFor] = useState(null); // message id with the reaction picker open
     const messagesEndRef = useRef(null);
     const inputRef = useRef(null);
+    const typingRef = useRef({ sentAt: 0, idleTimer: null });
 
     // Auto-scroll to bottom
     useEffect(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [messages]);
+    }, [messages, typingCount]);
+
+    const stopTyping = useCallback(() => {
+        const typing = typingRef.current;
+        clearTimeout(typing.idleTimer);
+        typing.idleTimer = null;
+        if (!typing.sentAt) return;
+        typing.sentAt = 0;
+        onTyping?.(false);
+    }, [onTyping]);
+
+    // Closing the chat mid-sentence shouldn't leave us "typing" for everyone else.
+    useEffect(() => stopTyping, [stopTyping]);
+
+    const handleChange = (e) => {
+        setText(e.target.value);
+        if (!e.target.value.trim()) {
+            stopTyping();
+            return;
+        }
+        const typing = typingRef.current;
+        if (Date.now() - typing.sentAt > TYPING_REFRESH_MS) {
+            typing.sentAt = Date.now();
+            onTyping?.(true);
+        }
+        clearTimeout(typing.idleTimer);
+        typing.idleTimer = setTimeout(stopTyping, TYPING_IDLE_MS);
+    };
 
     const handleSubmit = (e) => {
         e.preventDefault();
         if (!text.trim()) return;
-        onSend(text.trim());
+        onSend(text.trim(), commentAt ?? undefined);
         setText('');
+        setCommentAt(null);
+        stopTyping();
         inputRef.current?.focus();
     };
 
+    // Capture the moment when the button is pressed, not when the message is finally sent.
+    const toggleCommentAt = () => {
+        if (commentAt !== null) {
+            setCommentAt(null);
+        } else {
+            const time = getCurrentTime?.();
+            if (typeof time === 'number') setCommentAt(time);
+        }
+        inputRef.current?.focus();
+    };
+
+    const handleReact = (messageId, emoji) => {
+        setPickerFor(null);
+        onReact?.(messageId, emoji);
+    };
+
+    // Several viewers share the 'viewer' role, so prefer the participant id when the server sent one.
+    const isMine = (msg) => (msg.participantId ? msg.participantId === participantId : msg.sender === role);
+
     const formatTimestamp = (ts) => {
         const date = new Date(ts);
         return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     };
 
+    // Receipts only go under the latest of my messages someone has read, like most messengers.
+    const lastSeenMine = [...messages].reverse().find((msg) => isMine(msg) && msg.seenBy?.length);
+
     return (
         <aside className="chat">
             <div className="chat__header">
@@ -45,25 +115,97 @@ export default function Chat({ messages, onSend, role, onClose }) {
                 {messages.map((msg) => (
                     <div
                         key={msg.id}
-                        className={`chat__message ${msg.sender === role ? 'chat__message--mine' : 'chat__message--theirs'}`}
+                        className={`chat__message ${isMine(msg) ? 'chat__message--mine' : 'chat__message--theirs'}`}
                     >
                         <div className="chat__bubble">
+                            {typeof msg.position === 'number' && (
+                                <button
+                                    type="button"
+                                    className="chat__time-link"
+                                    onClick={() => onJumpToTime?.(msg.position)}
+                                    title={`Jump to ${formatTime(msg.position)}`}
+                                >
+                                    ▶ {formatTime(msg.position)}
+                                </button>
+                            )}
                             <span className="chat__text">{msg.text}</span>
                             <span className="chat__timestamp">{formatTimestamp(msg.timestamp)}</span>
+                            <button
+                                type="button"
+                                className="chat__react-toggle"
+                                onClick={() => setPickerFor((id) => (id === msg.id ? null : msg.id))}
+                                title="React"
+                            >
+                                ☺
+                            </button>
                         </div>
+                        {pickerFor === msg.id && (
+                            <div className="chat__reaction-picker">
+                                {REACTION_EMOJIS.map((emoji) => (
+                                    <button key={emoji} type="button" onClick={() => handleReact(msg.id, emoji)}>
+                                        {emoji}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {msg.reactions && Object.keys(msg.reactions).length > 0 && (
+                            <div className="chat__reactions">
+                                {Object.entries(msg.reactions).map(([emoji, reacted]) => (
+                                    <button
+                                        key={emoji}
+                                        type="button"
+                                        className={`chat__reaction ${reacted.includes(participantId) ? 'chat__reaction--mine' : ''}`}
+                                        onClick={() => handleReact(msg.id, emoji)}
+                                    >
+                                        {emoji} {reacted.length}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        {msg === lastSeenMine && (
+                            <span className="chat__receipt">
+                                {msg.seenBy.length > 1 ? `Seen by ${msg.seenBy.length}` : 'Seen'}
+                            </span>
+                        )}
                     </div>
                 ))}
+                {typingCount > 0 && (
+                    <div className="chat__typing">
+                        {typingCount > 1 ? `${typingCount} people are typing…` : 'Someone is typing…'}
+                    </div>
+                )}
                 <div ref={messagesEndRef} />
             </div>
 
+            {commentAt !== null && (
+                <div className="chat__comment-at">
+                    Commenting at {formatTime(commentAt)}
+                    <button type="button" className="chat__close" onClick={() => setCommentAt(null)} title="Don't attach the time">
+                        ✕
+                    </button>
+                </div>
+            )}
+
             <form className="chat__form" onSubmit={handleSubmit}>
+                <button
+                    type="button"
+                    className={`chat__time-toggle ${commentAt !== null ? 'chat__time-toggle--active' : ''}`}
+                    onClick={toggleCommentAt}
+                    disabled={!getCurrentTime}
+                    title="Comment at the current time"
+                >
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <circle cx="12" cy="12" r="9" />
+                        <polyline points="12 7 12 12 15 14" />
+                    </svg>
+                </button>
                 <input
                     ref={inputRef}
                     type="text"
                     className="chat__input"
                     placeholder="Type a message..."
                     value={text}
-                    onChange={(e) => setText(e.target.value)}
+                    onChange={handleChange}
                     maxLength={500}
                 />
                 <button type="submit" className="chat__send" disabled={!text.trim()}>
@@ -1,7 +1,29 @@
-import { useState, useRef, useCallback, useEffect } from 'react';
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { formatTime } from '../../utils/roomCode.js';
+import { LIVE_REACTIONS } from '../../hooks/useLiveReactions.js';
+import SubtitleTimingMenu from './SubtitleTimingMenu.jsx';
 
-export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFile }) {
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+const MARKER_BUCKETS = 200; // reactions closer than 0.5% of the movie share one marker
+
+export default function Controls({
+    videoRef,
+    isHost,
+    playbackSync,
+    canControl = true,
+    reactionMarkers = [],
+    onReact,
+    onSubtitleFile,
+    onSubtitleExport,
+    subtitleTracks = [],
+    activeSubtitleTrackId = null,
+    onSubtitleTrackSelect,
+    embeddedTracks = [],
+    activeEmbeddedTrackId = null,
+    onEmbeddedTrackSelect,
+    subtitleTiming = null,
+    onSubtitleTimingChange,
+}) {
     const [isPlaying, setIsPlaying] = useState(false);
     const [currentTime, setCurrentTime] = useState(0);
     const [duration, setDuration] = useState(0);
@@ -63,18 +85,19 @@ export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFil
     // Toggle play/pause
     const togglePlay = useCallback(() => {
         const video = videoRef.current;
-        if (!video) return;
+        if (!video || !canControl) return;
         if (video.paused) {
             video.play().catch(() => { });
         } else {
             video.pause();
         }
-    }, [videoRef]);
+    }, [videoRef, canControl]);
 
     // Seek
     const handleSeekStart = useCallback(() => {
+        if (!canControl) return;
         setIsSeeking(true);
-    }, []);
+    }, [canControl]);
 
     const handleSeekChange = useCallback(
         (e) => {
@@ -87,12 +110,12 @@ export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFil
     const handleSeekEnd = useCallback(
         (e) => {
             const time = parseFloat(e.target.value);
-            if (videoRef.current) {
+            if (videoRef.current && canControl) {
                 videoRef.current.currentTime = time;
             }
             setIsSeeking(false);
         },
-        [videoRef]
+        [videoRef, canControl]
     );
 
     // Volume
@@ -155,11 +178,11 @@ export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFil
                     break;
                 case 'ArrowLeft':
                     e.preventDefault();
-                    if (videoRef.current) videoRef.current.currentTime -= 10;
+                    if (videoRef.current && canControl) videoRef.current.currentTime -= 10;
                     break;
                 case 'ArrowRight':
                     e.preventDefault();
-                    if (videoRef.current) videoRef.current.currentTime += 10;
+                    if (videoRef.current && canControl) videoRef.current.currentTime += 10;
                     break;
                 case 'ArrowUp':
                     e.preventDefault();
@@ -174,10 +197,33 @@ export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFil
 
         window.addEventListener('keydown', handleKey);
         return () => window.removeEventListener('keydown', handleKey);
-    }, [togglePlay, toggleFullscreen, toggleMute, videoRef]);
+    }, [togglePlay, toggleFullscreen, toggleMute, videoRef, canControl]);
 
     const progress = duration > 0 ? (currentTime / duration) * 100 : 0;
 
+    // One marker per bucket, showing its most frequent emoji
+    const markers = useMemo(() => {
+        if (!duration || !reactionMarkers?.length) return [];
+        const buckets = new Map();
+        for (const reaction of reactionMarkers) {
+            if (reaction.time > duration) continue;
+            const key = Math.floor((reaction.time / duration) * MARKER_BUCKETS);
+            const bucket = buckets.get(key) || { time: reaction.time, counts: {}, total: 0 };
+            bucket.counts[reaction.emoji] = (bucket.counts[reaction.emoji] || 0) + 1;
+            bucket.total += 1;
+            buckets.set(key, bucket);
+        }
+        return [...buckets.entries()].map(([key, bucket]) => {
+            const [emoji] = Object.entries(bucket.counts).sort((a, b) => b[1] - a[1])[0];
+            const summary = Object.entries(bucket.counts).map(([e, n]) => `${e} ${n}`).join('  ');
+            return { key, emoji, time: bucket.time, total: bucket.total, title: `${formatTime(bucket.time)} — ${summary}` };
+        });
+    }, [reactionMarkers, duration]);
+
+    const jumpToMarker = (time) => {
+        if (videoRef.current && canControl) videoRef.current.currentTime = time;
+    };
+
     return (
         <div
             className={`controls ${showControls ? 'controls--visible' : ''}`}
@@ -198,6 +244,7 @@ export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFil
                         max={duration || 0}
                         step={0.1}
                         value={currentTime}
+                        disabled={!canControl}
                         onMouseDown={handleSeekStart}
                         onTouchStart={handleSeekStart}
                         onChange={handleSeekChange}
@@ -205,12 +252,34 @@ export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFil
                         onTouchEnd={handleSeekEnd}
                         style={{ '--progress': `${progress}%` }}
                     />
+                    {markers.length > 0 && (
+                        <div className="controls__markers">
+                            {markers.map((marker) => (
+                                <button
+                                    key={marker.key}
+                                    type="button"
+                                    className="controls__marker"
+                                    style={{ left: `${(marker.time / duration) * 100}%` }}
+                                    onClick={() => jumpToMarker(marker.time)}
+                                    disabled={!canControl}
+                                    title={marker.title}
+                                >
+                                    {marker.emoji}
+                                </button>
+                            ))}
+                        </div>
+                    )}
                 </div>
 
                 <div className="controls__row">
                     {/* Left controls */}
                     <div className="controls__left">
-                        <button className="controls__btn" onClick={togglePlay} title={isPlaying ? 'Pause' : 'Play'}>
+                        <button
+                            className="controls__btn"
+                            onClick={togglePlay}
+                            disabled={!canControl}
+                            title={canControl ? (isPlaying ? 'Pause' : 'Play') : 'The host controls playback'}
+                        >
                             {isPlaying ? (
                                 <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
                                     <rect x="6" y="4" width="4" height="16" />
@@ -256,6 +325,29 @@ export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFil
 
                     {/* Right controls */}
                     <div className="controls__right">
+                        {onReact && LIVE_REACTIONS.map((emoji) => (
+                            <button
+                                key={emoji}
+                                className="controls__btn controls__reaction"
+                                onClick={() => onReact(emoji)}
+                                title={`React ${emoji}`}
+                            >
+                                {emoji}
+                            </button>
+                        ))}
+
+                        <select
+                            className="controls__speed"
+                            value={playbackSync?.playbackRate ?? 1}
+                            disabled={!canControl || !playbackSync}
+                            onChange={(e) => playbackSync?.setRate(parseFloat(e.target.value))}
+                            title={canControl ? 'Playback speed (shared)' : 'The host controls playback'}
+                        >
+                            {PLAYBACK_RATES.map((rate) => (
+                                <option key={rate} value={rate}>{rate}x</option>
+                            ))}
+                        </select>
+
                         <button className="controls__btn" onClick={onSubtitleFile} title="Load subtitles">
                             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                 <rect x="2" y="6" width="20" height="12" rx="2" />
@@ -263,6 +355,53 @@ export default function Controls({ videoRef, isHost, playbackSync, onSubtitleFil
                             </svg>
                         </button>
 
+                        {subtitleTracks.length > 0 && (
+                            <select
+                                className="controls__speed"
+                                value={activeSubtitleTrackId ?? ''}
+                                onChange={(e) => onSubtitleTrackSelect?.(e.target.value || null)}
+                                title="Subtitles you see (everyone picks their own)"
+                            >
+                                <option value="">Subs off</option>
+                                {subtitleTracks.map((track) => (
+                                    <option key={track.id} value={track.id}>
+                                        {track.name}{track.local ? ' (only you)' : ''}
+                                    </option>
+                                ))}
+                            </select>
+                        )}
+
+                        {embeddedTracks.length > 0 && (
+                            <select
+                                className="controls__speed"
+                                value={activeEmbeddedTrackId ?? ''}
+                                onChange={(e) => e.target.value && onEmbeddedTrackSelect?.(e.target.value)}
+                                title="Subtitle tracks inside the movie file"
+                            >
+                                <option value="">Built-in subs…</option>
+                                {embeddedTracks.map((track) => (
+                                    <option key={track.id} value={track.id}>{track.label}</option>
+                                ))}
+                            </select>
+                        )}
+
+                        {onSubtitleTimingChange && (
+                            <SubtitleTimingMenu timing={subtitleTiming} onChange={onSubtitleTimingChange} />
+                        )}
+
+                        {onSubtitleExport && (
+                            <select
+                                className="controls__speed"
+                                value=""
+                                onChange={(e) => e.target.value && onSubtitleExport(e.target.value)}
+                                title="Save the current subtitles"
+                            >
+                                <option value="">Save subs…</option>
+                                <option value="srt">.srt</option>
+                                <option value="vtt">.vtt</option>
+                            </select>
+                        )}
+
                         <button className="controls__btn" onClick={toggleFullscreen} title={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}>
                             {isFullscreen ? (
                                 <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
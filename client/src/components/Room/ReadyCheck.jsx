@@ -0,0 +1,48 @@
+export default function ReadyCheck({ readyCheck, countdown, myParticipantId, isHost, onRespond, onCancel }) {
+    if (countdown) {
+        return (
+            <div className="player__countdown" key={countdown}>
+                {countdown}
+            </div>
+        );
+    }
+    if (!readyCheck) return null;
+
+    let guestNumber = 0;
+    const participants = readyCheck.participants.map((p) => {
+        const isMe = p.participantId === myParticipantId;
+        const label = isMe ? 'You' : (p.role === 'host' ? 'Host' : `Guest ${++guestNumber}`);
+        return { ...p, isMe, label };
+    });
+    const me = participants.find((p) => p.isMe);
+
+    return (
+        <div className="player__ready-check">
+            <h3>Ready to start?</h3>
+            <ul className="room__settings-list">
+                {participants.map((p) => (
+                    <li key={p.participantId} className="room__settings-item">
+                        <span className={`room__settings-dot ${p.ready ? 'room__settings-dot--on' : ''}`} />
+                        <span className="room__settings-name">{p.label}</span>
+                        <span className="player__ready-status">
+                            {p.ready ? 'Ready' : 'Waiting…'}
+                            {typeof p.progress === 'number' && p.progress < 100 && ` · ${Math.round(p.progress)}% loaded`}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+            <div className="room__pin-actions">
+                {isHost && (
+                    <button type="button" className="toast__btn" onClick={onCancel}>
+                        Cancel
+                    </button>
+                )}
+                {me && (
+                    <button type="button" className="toast__btn" onClick={() => onRespond?.(!me.ready)}>
+                        {me.ready ? 'Not ready' : "I'm ready"}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,150 @@
+import { useState, useRef, useEffect } from 'react';
+
+const CONTROL_MODE_LABELS = {
+    everyone: 'Everyone controls',
+    'co-hosts': 'Host & co-hosts',
+    'host-only': 'Only host controls',
+};
+
+// Drift-correction fields; `scale` converts the stored value to what's displayed.
+const SYNC_FIELDS = [
+    { key: 'nudgeThreshold', label: 'Nudge speed above (s)', step: 0.05, scale: 1 },
+    { key: 'seekThreshold', label: 'Jump above (s)', step: 0.5, scale: 1 },
+    { key: 'maxRateAdjust', label: 'Max speed change (%)', step: 0.5, scale: 100 },
+];
+
+function SyncSettingsFields({ sync, onChange }) {
+    const [draft, setDraft] = useState({});
+
+    const commit = (field) => {
+        const raw = draft[field.key];
+        setDraft((d) => ({ ...d, [field.key]: undefined }));
+        if (raw === undefined || raw === '') return;
+        const value = Number(raw) / field.scale;
+        if (Number.isFinite(value) && value !== sync[field.key]) onChange?.({ [field.key]: value });
+    };
+
+    return (
+        <div className="room__settings-sync">
+            {SYNC_FIELDS.map((field) => (
+                <label key={field.key} className="room__settings-label">
+                    {field.label}
+                    <input
+                        type="number"
+                        className="room__settings-select"
+                        min={0}
+                        step={field.step}
+                        value={draft[field.key] ?? +(sync[field.key] * field.scale).toFixed(3)}
+                        onChange={(e) => setDraft((d) => ({ ...d, [field.key]: e.target.value }))}
+                        onBlur={() => commit(field)}
+                        onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                    />
+                </label>
+            ))}
+        </div>
+    );
+}
+
+export default function RoomSettings({
+    settings,
+    myParticipantId,
+    isHost,
+    onChangeControlMode,
+    onChangeSyncSettings,
+    onToggleCoHost,
+    onTransferHost,
+}) {
+    const [open, setOpen] = useState(false);
+    const panelRef = useRef(null);
+
+    // Close when clicking anywhere outside the panel
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+        };
+        window.addEventListener('mousedown', handleClick);
+        return () => window.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    if (!settings) return null;
+
+    const controlMode = settings.controlMode || 'everyone';
+    let guestNumber = 0;
+    const participants = settings.participants.map((p) => {
+        const isMe = p.participantId === myParticipantId;
+        const label = isMe ? 'You' : (p.role === 'host' ? 'Host' : `Guest ${++guestNumber}`);
+        return { ...p, isMe, label };
+    });
+
+    return (
+        <div className="room__settings" ref={panelRef}>
+            <button
+                className="room__seed-toggle"
+                onClick={() => setOpen((v) => !v)}
+                title="Who can control playback"
+            >
+                {CONTROL_MODE_LABELS[controlMode]} · {participants.filter((p) => p.connected).length}
+            </button>
+
+            {open && (
+                <div className="room__settings-panel">
+                    <label className="room__settings-label">
+                        Playback control
+                        <select
+                            className="room__settings-select"
+                            value={controlMode}
+                            disabled={!isHost}
+                            onChange={(e) => onChangeControlMode?.(e.target.value)}
+                        >
+                            {Object.entries(CONTROL_MODE_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    {isHost && settings.sync && (
+                        <SyncSettingsFields sync={settings.sync} onChange={onChangeSyncSettings} />
+                    )}
+
+                    <ul className="room__settings-list">
+                        {participants.map((p) => (
+                            <li key={p.participantId || p.label} className="room__settings-item">
+                                <span className={`room__settings-dot ${p.connected ? 'room__settings-dot--on' : ''}`} />
+                                <span className="room__settings-name">
+                                    {p.label}
+                                    {p.role === 'host' && !p.isMe && ' 👑'}
+                                    {p.role === 'host' && p.isMe && ' (host)'}
+                                    {p.coHost && ' · co-host'}
+                                </span>
+                                {isHost && !p.isMe && p.role !== 'host' && (
+                                    <>
+                                        {controlMode === 'co-hosts' && (
+                                            <button
+                                                className="toast__btn"
+                                                onClick={() => onToggleCoHost?.(p.participantId, !p.coHost)}
+                                            >
+                                                {p.coHost ? 'Remove co-host' : 'Make co-host'}
+                                            </button>
+                                        )}
+                                        <button
+                                            className="toast__btn"
+                                            disabled={!p.connected}
+                                            onClick={() => {
+                                                setOpen(false);
+                                                onTransferHost?.(p.participantId);
+                                            }}
+                                            title={p.connected ? 'Hand over host duties' : 'Participant is offline'}
+                                        >
+                                            Make host
+                                        </button>
+                                    </>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
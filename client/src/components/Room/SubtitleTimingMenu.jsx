@@ -0,0 +1,98 @@
+import { useState, useRef, useEffect } from 'react';
+import { DEFAULT_SUBTITLE_TIMING, FRAME_RATES, isDefaultTiming } from '../../utils/subtitleTiming.js';
+
+const EARLIER_STEPS = [-1, -0.1];
+const LATER_STEPS = [0.1, 1];
+
+const formatDelay = (offset) => `${offset > 0 ? '+' : ''}${offset.toFixed(1)}s`;
+
+export default function SubtitleTimingMenu({ timing, onChange }) {
+    const [open, setOpen] = useState(false);
+    const menuRef = useRef(null);
+    const current = { ...DEFAULT_SUBTITLE_TIMING, ...timing };
+
+    // Close when clicking anywhere outside the menu
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        window.addEventListener('mousedown', handleClick);
+        return () => window.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const shiftDelay = (step) => {
+        // Round away float noise from repeated 0.1 steps
+        const offset = Math.round((current.offset + step) * 1000) / 1000;
+        onChange({ ...current, offset });
+    };
+
+    // Conversion only takes effect once both ends are picked
+    const changeFps = (key, value) => {
+        onChange({ ...current, [key]: value ? parseFloat(value) : null });
+    };
+
+    return (
+        <div className="controls__menu" ref={menuRef}>
+            <button
+                className={`controls__btn ${isDefaultTiming(current) ? '' : 'controls__btn--active'}`}
+                onClick={() => setOpen((v) => !v)}
+                title="Subtitle timing"
+            >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="13" r="8" />
+                    <polyline points="12 9 12 13 14.5 15" />
+                    <line x1="10" y1="2" x2="14" y2="2" />
+                </svg>
+            </button>
+
+            {open && (
+                <div className="controls__popover">
+                    <div className="controls__popover-row">
+                        <span className="controls__popover-label">Delay</span>
+                        {EARLIER_STEPS.map((step) => (
+                            <button key={step} className="toast__btn" onClick={() => shiftDelay(step)}>
+                                {step}
+                            </button>
+                        ))}
+                        <span className="controls__popover-value">{formatDelay(current.offset)}</span>
+                        {LATER_STEPS.map((step) => (
+                            <button key={step} className="toast__btn" onClick={() => shiftDelay(step)}>
+                                +{step}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="controls__popover-row">
+                        <span className="controls__popover-label">Framerate</span>
+                        <select
+                            className="controls__speed"
+                            value={current.fromFps ?? ''}
+                            onChange={(e) => changeFps('fromFps', e.target.value)}
+                            title="Framerate the subtitles were timed for"
+                        >
+                            <option value="">Subs</option>
+                            {FRAME_RATES.map((fps) => <option key={fps} value={fps}>{fps}</option>)}
+                        </select>
+                        →
+                        <select
+                            className="controls__speed"
+                            value={current.toFps ?? ''}
+                            onChange={(e) => changeFps('toFps', e.target.value)}
+                            title="Framerate of this video"
+                        >
+                            <option value="">Video</option>
+                            {FRAME_RATES.map((fps) => <option key={fps} value={fps}>{fps}</option>)}
+                        </select>
+                    </div>
+
+                    {!isDefaultTiming(current) && (
+                        <button className="toast__btn" onClick={() => onChange(DEFAULT_SUBTITLE_TIMING)}>
+                            Reset timing
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,25 +1,266 @@
-import { useMemo } from 'react';
+import { useMemo, useRef, useState, useCallback, useEffect, useLayoutEffect } from 'react';
+import { toCueTime } from '../../utils/subtitleTiming.js';
+import { resolveASSCue } from '../../utils/subtitleParser.js';
 
-export default function Subtitles({ cues, currentTime }) {
+const LINE_HEIGHT_EM = 1.8; // one subtitle line including its padding
+
+// Where a cue box is anchored horizontally, from WebVTT `position:…,line-left` or implied by `align`
+function positionAlignment(settings, align) {
+    const explicit = settings.position?.split(',')[1];
+    if (explicit === 'line-left') return 'left';
+    if (explicit === 'line-right') return 'right';
+    if (explicit === 'center') return 'center';
+    return align;
+}
+
+/**
+ * Turns WebVTT cue settings into absolute placement within the player. `line` may be a
+ * percentage from the top, or a line number (negative numbers count up from the bottom).
+ */
+function cueBoxStyle(settings) {
+    const align = { start: 'left', left: 'left', end: 'right', right: 'right' }[settings.align] || 'center';
+    const anchor = positionAlignment(settings, align);
+    const position = settings.position?.split(',')[0];
+    const left = position?.endsWith('%') ? parseFloat(position) : { left: 0, right: 100, center: 50 }[anchor];
+
+    const style = {
+        textAlign: align,
+        left: `${left}%`,
+        transform: { left: 'none', right: 'translateX(-100%)', center: 'translateX(-50%)' }[anchor],
+    };
+    if (settings.size?.endsWith('%')) style.width = settings.size;
+    if (settings.vertical) style.writingMode = settings.vertical === 'lr' ? 'vertical-lr' : 'vertical-rl';
+
+    const line = settings.line?.split(',')[0];
+    if (line?.endsWith('%')) {
+        style.top = line;
+    } else if (line && !Number.isNaN(parseInt(line, 10))) {
+        const n = parseInt(line, 10);
+        if (n >= 0) style.top = `${n * LINE_HEIGHT_EM}em`;
+        else style.bottom = `${(-n - 1) * LINE_HEIGHT_EM}em`;
+    } else {
+        style.bottom = '80px';
+    }
+    return style;
+}
+
+// ─── ASS/SSA ────────────────────────────────────────────────
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+function rgba(hex, alpha = 1) {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${(n >> 16) & 0xff}, ${(n >> 8) & 0xff}, ${n & 0xff}, ${alpha})`;
+}
+
+// Numpad alignment → [column, row]: columns left/centre/right, rows bottom/middle/top
+const alignmentGrid = (an) => [(an - 1) % 3, Math.floor((an - 1) / 3)];
+const ANCHOR_X = ['0%', '-50%', '-100%'];
+const ANCHOR_Y = ['-100%', '-50%', '0%'];
+const ORIGIN_X = ['0%', '50%', '100%'];
+const ORIGIN_Y = ['100%', '50%', '0%'];
+
+function assRunStyle(style, run, scale, elapsedMs) {
+    const s = { ...style, ...run };
+    // Karaoke syllables show in the secondary colour until they're sung
+    const unsung = run.karaoke && elapsedMs < run.karaoke.start;
+    const fill = unsung ? rgba(s.secondaryColor, s.secondaryAlpha) : rgba(s.primaryColor, s.primaryAlpha);
+    const outline = s.outline * scale.y;
+    const shadow = s.shadow * scale.y;
+
+    const css = {
+        fontFamily: `"${s.fontName}", sans-serif`,
+        fontSize: `${s.fontSize * scale.y * (s.scaleY / 100)}px`,
+        fontWeight: s.bold ? 700 : 400,
+        fontStyle: s.italic ? 'italic' : 'normal',
+        textDecoration: [s.underline && 'underline', s.strikeOut && 'line-through'].filter(Boolean).join(' ') || 'none',
+        letterSpacing: s.spacing ? `${s.spacing * scale.x}px` : undefined,
+        color: fill,
+    };
+    if (s.borderStyle === 3) {
+        // Opaque box behind the text, in the outline colour
+        css.background = rgba(s.outlineColor, s.outlineAlpha);
+        css.padding = `0 ${outline}px`;
+    } else if (outline > 0) {
+        css.WebkitTextStroke = `${outline * 2}px ${rgba(s.outlineColor, s.outlineAlpha)}`;
+        css.paintOrder = 'stroke fill';
+    }
+    if (shadow > 0) css.textShadow = `${shadow}px ${shadow}px 0 ${rgba(s.backColor, s.backAlpha)}`;
+    return css;
+}
+
+function assCueStyle(cue, ass, scale, elapsedMs) {
+    const durationMs = (cue.end - cue.start) * 1000;
+    const [col, row] = alignmentGrid(ass.alignment || ass.style.alignment || 2);
+    const css = {
+        position: 'absolute',
+        zIndex: ass.layer,
+        textAlign: ['left', 'center', 'right'][col],
+        lineHeight: 1.2,
+    };
+
+    let point = ass.pos;
+    if (ass.move) {
+        const t1 = ass.move.t1 ?? 0;
+        const t2 = ass.move.t2 ?? durationMs;
+        const progress = t2 > t1 ? clamp01((elapsedMs - t1) / (t2 - t1)) : 1;
+        point = ass.move.from.map((from, i) => from + (ass.move.to[i] - from) * progress);
+    }
+
+    const transforms = [];
+    if (point) {
+        // \pos/\move place the alignment point of the text; such lines don't wrap
+        css.left = `${point[0] * scale.x}px`;
+        css.top = `${point[1] * scale.y}px`;
+        css.whiteSpace = 'pre';
+        transforms.push(`translate(${ANCHOR_X[col]}, ${ANCHOR_Y[row]})`);
+    } else {
+        css.left = `${ass.style.marginL * scale.x}px`;
+        css.right = `${ass.style.marginR * scale.x}px`;
+        css.whiteSpace = 'pre-wrap';
+        if (row === 0) css.bottom = `${ass.style.marginV * scale.y}px`;
+        else if (row === 2) css.top = `${ass.style.marginV * scale.y}px`;
+        else {
+            css.top = '50%';
+            transforms.push('translateY(-50%)');
+        }
+    }
+
+    const rotation = ass.rotation ?? ass.style.angle;
+    if (rotation) {
+        css.transformOrigin = `${ORIGIN_X[col]} ${ORIGIN_Y[row]}`;
+        transforms.push(`rotate(${-rotation}deg)`);
+    }
+    if (transforms.length) css.transform = transforms.join(' ');
+
+    if (ass.fade) {
+        const [fadeIn, fadeOut] = ass.fade;
+        const opacityIn = fadeIn > 0 ? clamp01(elapsedMs / fadeIn) : 1;
+        const opacityOut = fadeOut > 0 ? clamp01((durationMs - elapsedMs) / fadeOut) : 1;
+        css.opacity = Math.min(opacityIn, opacityOut);
+    }
+    return css;
+}
+
+/**
+ * Where the picture actually is inside the overlay (the video is letterboxed with
+ * object-fit: contain). ASS coordinates are relative to that rectangle.
+ */
+function useVideoBox(videoRef, layerRef) {
+    const [box, setBox] = useState(null);
+
+    const measure = useCallback(() => {
+        const layer = layerRef.current;
+        if (!layer) return;
+        const video = videoRef?.current;
+        const layerRect = layer.getBoundingClientRect();
+        const rect = video ? video.getBoundingClientRect() : layerRect;
+        let width = rect.width;
+        let height = rect.height;
+        let left = rect.left - layerRect.left;
+        let top = rect.top - layerRect.top;
+        if (video?.videoWidth && video?.videoHeight) {
+            const fit = Math.min(rect.width / video.videoWidth, rect.height / video.videoHeight);
+            width = video.videoWidth * fit;
+            height = video.videoHeight * fit;
+            left += (rect.width - width) / 2;
+            top += (rect.height - height) / 2;
+        }
+        const next = { left, top, width, height };
+        setBox((prev) => (prev && Object.keys(next).every((k) => Math.abs(prev[k] - next[k]) < 0.5) ? prev : next));
+    }, [videoRef, layerRef]);
+
+    // Cheap enough to re-check on every render; unchanged boxes don't re-render
+    useLayoutEffect(measure);
+
+    useEffect(() => {
+        window.addEventListener('resize', measure);
+        document.addEventListener('fullscreenchange', measure);
+        return () => {
+            window.removeEventListener('resize', measure);
+            document.removeEventListener('fullscreenchange', measure);
+        };
+    }, [measure]);
+
+    return box;
+}
+
+function AssLayer({ cues, script, cueTime, videoRef }) {
+    const layerRef = useRef(null);
+    const box = useVideoBox(videoRef, layerRef);
+
+    return (
+        <div className="subtitles__layer" ref={layerRef}>
+            {box && (
+                <div className="subtitles__ass" style={{ left: box.left, top: box.top, width: box.width, height: box.height }}>
+                    {cues.map((cue) => {
+                        const ass = { ...cue.ass, ...resolveASSCue(cue, script) };
+                        const scale = { x: box.width / ass.playResX, y: box.height / ass.playResY };
+                        const elapsedMs = (cueTime - cue.start) * 1000;
+                        return (
+                            <div key={cue.id} style={assCueStyle(cue, ass, scale, elapsedMs)}>
+                                {ass.runs.map((run, i) => (
+                                    <span key={i} style={assRunStyle(ass.style, run, scale, elapsedMs)}>
+                                        {run.text}
+                                    </span>
+                                ))}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function CueText({ text }) {
+    const lines = text.split('\n');
+    return lines.map((line, i) => (
+        <span key={i}>
+            {line}
+            {i < lines.length - 1 && <br />}
+        </span>
+    ));
+}
+
+export default function Subtitles({ cues, assScript = null, currentTime, timing = null, videoRef = null }) {
+    // Cue times stay as loaded; the shared delay/framerate fix maps playback onto them
+    const cueTime = toCueTime(currentTime, timing);
     const activeCues = useMemo(() => {
         if (!cues || !cues.length) return [];
-        return cues.filter((cue) => currentTime >= cue.start && currentTime <= cue.end);
-    }, [cues, currentTime]);
+        return cues.filter((cue) => cueTime >= cue.start && cueTime <= cue.end);
+    }, [cues, cueTime]);
 
     if (activeCues.length === 0) return null;
 
+    // Styled ASS lines get their own layer; cues without settings keep the usual bottom-centre stack
+    const styled = activeCues.filter((cue) => cue.ass);
+    const stacked = activeCues.filter((cue) => !cue.ass && !cue.settings);
+    const positioned = activeCues.filter((cue) => !cue.ass && cue.settings);
+
     return (
-        <div className="subtitles">
-            {activeCues.map((cue) => (
-                <div key={cue.id} className="subtitles__line">
-                    {cue.text.split('\n').map((line, i) => (
-                        <span key={i}>
-                            {line}
-                            {i < cue.text.split('\n').length - 1 && <br />}
-                        </span>
+        <>
+            {styled.length > 0 && <AssLayer cues={styled} script={assScript} cueTime={cueTime} videoRef={videoRef} />}
+            {stacked.length > 0 && (
+                <div className="subtitles">
+                    {stacked.map((cue) => (
+                        <div key={cue.id} className="subtitles__line">
+                            <CueText text={cue.text} />
+                        </div>
                     ))}
                 </div>
-            ))}
-        </div>
+            )}
+            {positioned.length > 0 && (
+                <div className="subtitles__layer">
+                    {positioned.map((cue) => (
+                        <div key={cue.id} className="subtitles__cue" style={cueBoxStyle(cue.settings)}>
+                            <span className="subtitles__line">
+                                <CueText text={cue.text} />
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </>
     );
 }
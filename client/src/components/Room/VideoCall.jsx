@@ -1,8 +1,42 @@
 import { useRef, useEffect, useState, useCallback } from 'react';
 
+function attachStream(videoEl, stream, muted = false) {
+    if (!videoEl) return;
+    videoEl.muted = muted;
+
+    if (videoEl.srcObject !== stream) {
+        videoEl.srcObject = stream || null;
+    }
+
+    if (stream) {
+        const playPromise = videoEl.play?.();
+        if (playPromise?.catch) {
+            playPromise.catch(() => { });
+        }
+    }
+}
+
+function RemoteTile({ stream, minimized }) {
+    const videoRef = useRef(null);
+
+    // Keep the stream attached even after minimize/expand toggles
+    useEffect(() => {
+        attachStream(videoRef.current, stream, false);
+    }, [stream, minimized]);
+
+    return (
+        <video
+            ref={videoRef}
+            className="videocall__video videocall__tile"
+            autoPlay
+            playsInline
+        />
+    );
+}
+
 export default function VideoCall({
     localStream,
-    remoteStream,
+    remoteStreams = {},
     cameraOn,
     micOn,
     toggleCamera,
@@ -10,37 +44,18 @@ export default function VideoCall({
     permissionError,
 }) {
     const localVideoRef = useRef(null);
-    const remoteVideoRef = useRef(null);
     const [position, setPosition] = useState({ x: 16, y: 16 });
     const [size, setSize] = useState(180);
     const [isDragging, setIsDragging] = useState(false);
     const [minimized, setMinimized] = useState(false);
     const dragOffset = useRef({ x: 0, y: 0 });
 
-    const attachStream = useCallback((videoEl, stream, muted = false) => {
-        if (!videoEl) return;
-        videoEl.muted = muted;
-
-        if (videoEl.srcObject !== stream) {
-            videoEl.srcObject = stream || null;
-        }
-
-        if (stream) {
-            const playPromise = videoEl.play?.();
-            if (playPromise?.catch) {
-                playPromise.catch(() => { });
-            }
-        }
-    }, []);
+    const remoteEntries = Object.entries(remoteStreams);
 
     // Keep streams attached even after minimize/expand toggles
     useEffect(() => {
         attachStream(localVideoRef.current, localStream, true);
-    }, [localStream, minimized, attachStream]);
-
-    useEffect(() => {
-        attachStream(remoteVideoRef.current, remoteStream, false);
-    }, [remoteStream, minimized, attachStream]);
+    }, [localStream, minimized]);
 
     // Dragging
     const handleMouseDown = useCallback((e) => {
@@ -92,14 +107,11 @@ export default function VideoCall({
             style={{ left: position.x, top: position.y, width: diameter, height: diameter, zIndex: 100 }}
             onMouseDown={handleMouseDown}
         >
-            <div className="videocall__remote">
-                {remoteStream ? (
-                    <video
-                        ref={remoteVideoRef}
-                        className="videocall__video"
-                        autoPlay
-                        playsInline
-                    />
+            <div className={`videocall__remote ${remoteEntries.length > 1 ? 'videocall__remote--grid' : ''}`}>
+                {remoteEntries.length > 0 ? (
+                    remoteEntries.map(([peerId, stream]) => (
+                        <RemoteTile key={peerId} stream={stream} minimized={minimized} />
+                    ))
                 ) : (
                     <div className="videocall__placeholder">
                         <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" opacity="0.4">
@@ -2,7 +2,9 @@ import { useState, useRef, useCallback, useEffect } from 'react';
 import { classifyFile } from '../../utils/streamRouter.js';
 import { transmuxToFMP4 } from '../../utils/mkvHandler.js';
 import { probeMP4 } from '../../utils/mp4Fragmenter.js';
-import { parseSubtitles } from '../../utils/subtitleParser.js';
+import { parseSubtitleTrack, serializeSubtitles } from '../../utils/subtitleParser.js';
+import { extractEmbeddedSubtitles, toSubtitleTracks } from '../../utils/embeddedSubtitles.js';
+import { applySubtitleTiming } from '../../utils/subtitleTiming.js';
 import { getTempMedia, removeTempMedia, saveTempMedia, TEMP_MEDIA_TTL_MS } from '../../utils/tempMediaCache.js';
 import { saveMovie, findMovie, loadMovie, listMovies, removeMovie, formatSize } from '../../utils/movieLibrary.js';
 import Controls from './Controls.jsx';
@@ -27,9 +29,21 @@ export default function VideoPlayer({
     onTimeUpdate,
     onSubtitlesLoaded,
     playbackSync,
+    liveReactions = null,
+    subtitleCues = [],
+    subtitleFileName = null,
+    subtitleTracks = [],
+    activeSubtitleTrackId = null,
+    onSubtitleTrackSelect,
+    subtitleTiming = null,
+    onSubtitleTimingChange,
+    canControl = true,
     socket,
     completedDownload,
     clearCompletedDownload,
+    queuedFile = null,
+    queueItemId = null,
+    onEnded,
 }) {
     const [localMovieUrl, setLocalMovieUrl] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
@@ -42,13 +56,40 @@ export default function VideoPlayer({
     const [showSaveOffer, setShowSaveOffer] = useState(null); // {blob, fileName}
     const [savedToLibNotice, setSavedToLibNotice] = useState('');
     const [loadingLabel, setLoadingLabel] = useState('Processing movie...');
+    const [embeddedTracks, setEmbeddedTracks] = useState([]); // [{id, label, cues}] found inside the movie file
 
     const fileInputRef = useRef(null);
     const subtitleInputRef = useRef(null);
     const viewerFileInputRef = useRef(null);
     const selectedFileRef = useRef(null);
+    const movieNameRef = useRef(null); // name last announced to the room with movie-loaded
     const pendingHostStartRef = useRef(false);
+    const syncedSourceRef = useRef(null); // source already snapped to the room clock
     const checkedCachePromptRef = useRef(false);
+    const embeddedLoadRef = useRef(0);
+
+    // Forget the previous movie's tracks (and any extraction still running for it)
+    const resetEmbeddedTracks = useCallback(() => {
+        embeddedLoadRef.current += 1;
+        setEmbeddedTracks([]);
+    }, []);
+
+    /**
+     * List the subtitle tracks inside a newly loaded movie. Runs alongside playback;
+     * `streams` are tracks the browser remux already pulled out.
+     */
+    const loadEmbeddedSubtitles = useCallback(async (file, streams = null) => {
+        resetEmbeddedTracks();
+        const loadId = embeddedLoadRef.current;
+        try {
+            const tracks = streams ? toSubtitleTracks(streams) : await extractEmbeddedSubtitles(file);
+            if (loadId !== embeddedLoadRef.current) return;
+            if (tracks.length) console.log('[player] embedded subtitle tracks:', tracks.map((track) => track.label));
+            setEmbeddedTracks(tracks);
+        } catch (err) {
+            console.warn('[player] embedded subtitles unavailable:', err.message);
+        }
+    }, [resetEmbeddedTracks]);
 
     const restoreHostCachedMedia = useCallback(async (cached) => {
         if (!cached?.blob) return;
@@ -61,7 +102,9 @@ export default function VideoPlayer({
             const url = URL.createObjectURL(restoredFile);
             setLocalMovieUrl(url);
             selectedFileRef.current = restoredFile;
+            resetEmbeddedTracks();
 
+            movieNameRef.current = restoredFile.name;
             socket.current?.emit('movie-loaded', {
                 name: restoredFile.name,
                 duration: 0,
@@ -71,7 +114,7 @@ export default function VideoPlayer({
         } catch (err) {
             console.error('[player] failed to restore cached host media:', err);
         }
-    }, [socket, onFileReady]);
+    }, [socket, onFileReady, resetEmbeddedTracks]);
 
     const discardHostCachedMedia = useCallback(async () => {
         if (!roomCode) return;
@@ -159,7 +202,8 @@ export default function VideoPlayer({
             progress: 100,
             timestamp: Date.now(),
         });
-    }, [isHost, resetTransferState, socket, onLocalPlaybackToggle]);
+        loadEmbeddedSubtitles(file);
+    }, [isHost, resetTransferState, socket, onLocalPlaybackToggle, loadEmbeddedSubtitles]);
 
     useEffect(() => {
         if (isHost) return;
@@ -186,12 +230,15 @@ export default function VideoPlayer({
             const url = URL.createObjectURL(file);
             setLocalMovieUrl(url);
             selectedFileRef.current = file;
+            resetEmbeddedTracks();
             setIsLoading(false);
             setLoadProgress(100);
 
+            movieNameRef.current = cached.fileName;
             socket.current?.emit('movie-loaded', {
                 name: cached.fileName,
                 duration: 0,
+                changed: true,
             });
 
             onFileReady?.(file, url, { preTranscode: false, restored: true, streamPath: 'direct' });
@@ -199,7 +246,7 @@ export default function VideoPlayer({
             setError(`Failed to load from library: ${err.message}`);
             setIsLoading(false);
         }
-    }, [socket, onFileReady]);
+    }, [socket, onFileReady, resetEmbeddedTracks]);
 
     const handleRemoveFromLibrary = useCallback(async (movie) => {
         try {
@@ -219,11 +266,12 @@ export default function VideoPlayer({
      *    - 'transcode' → Only path that waits for processing
      * ═══════════════════════════════════════════════════════════════ */
     const handleFileSelect = useCallback(
-        async (file) => {
+        async (file, { autoSeed = false } = {}) => {
             if (!file) return;
             setError('');
             setIsLoading(true);
             setLoadProgress(0);
+            resetEmbeddedTracks();
 
             try {
                 const hasNativeTranscoder = Boolean(window?.electron?.nativeTranscoder?.processFile);
@@ -236,6 +284,7 @@ export default function VideoPlayer({
                 let processedFile = file;
                 let streamPath = classification.path;
                 let wasProcessed = false;
+                let subtitleStreams = null; // set when the browser remux already extracted them
 
                 /* ─── check library for cached processed version ─── */
                 if (streamPath !== 'direct') {
@@ -256,8 +305,9 @@ export default function VideoPlayer({
                                 selectedFileRef.current = processedFile;
                                 setIsLoading(false);
 
-                                socket.current?.emit('movie-loaded', { name: file.name, duration: 0 });
-                                onFileReady?.(processedFile, url, { preTranscode: false, restored: true, streamPath });
+                                movieNameRef.current = file.name;
+                                socket.current?.emit('movie-loaded', { name: file.name, duration: 0, changed: true });
+                                onFileReady?.(processedFile, url, { preTranscode: false, restored: true, streamPath, autoSeed });
                                 return;
                             }
                         }
@@ -400,6 +450,7 @@ export default function VideoPlayer({
                         const newName = file.name.replace(/\.[^/.]+$/, '') + '.mp4';
                         processedFile = new File([blob], newName, { type: result.mime });
                         wasProcessed = true;
+                        subtitleStreams = result.subtitleTracks;
                     }
 
                     setLoadingLabel('Processing movie...');
@@ -442,6 +493,7 @@ export default function VideoPlayer({
                         const newName = file.name.replace(/\.[^/.]+$/, '') + '.mp4';
                         processedFile = new File([blob], newName, { type: result.mime });
                         wasProcessed = true;
+                        subtitleStreams = result.subtitleTracks;
                         streamPath = 'direct'; // transcoded file is now directly playable
                     }
 
@@ -466,15 +518,20 @@ export default function VideoPlayer({
                     console.warn('[player] temp cache save skipped (quota?):', cacheErr.message);
                 }
 
+                movieNameRef.current = file.name;
                 socket.current?.emit('movie-loaded', {
                     name: file.name,
                     duration: 0,
+                    changed: true,
                 });
 
                 // Always seed the processed file — viewers need a browser-playable MP4.
                 // mp4box.js can NOT parse non-MP4 containers (MKV, AVI, etc.),
                 // so seeding the raw original for viewer-side remux doesn't work.
-                onFileReady?.(processedFile, url, { preTranscode: false, streamPath });
+                onFileReady?.(processedFile, url, { preTranscode: false, streamPath, autoSeed });
+
+                // Read from the original: the MP4 we play and seed carries no subtitles
+                loadEmbeddedSubtitles(file, subtitleStreams);
 
                 // Offer to save to library if the file was transcoded/remuxed
                 if (wasProcessed && isHost) {
@@ -485,17 +542,36 @@ export default function VideoPlayer({
                 setIsLoading(false);
             }
         },
-        [socket, onFileReady, roomCode]
+        [socket, onFileReady, roomCode, loadEmbeddedSubtitles, resetEmbeddedTracks]
     );
 
+    // Host: the watch queue advanced — load the next entry like a picked file and seed it
+    const loadedQueuedFileRef = useRef(null);
+    useEffect(() => {
+        if (!isHost || !queuedFile || loadedQueuedFileRef.current === queuedFile) return;
+        loadedQueuedFileRef.current = queuedFile;
+        handleFileSelect(queuedFile.file, { autoSeed: true });
+    }, [isHost, queuedFile, handleFileSelect]);
+
+    // Viewer: a new queue entry replaces whatever was playing from their own copy
+    const queueItemRef = useRef(queueItemId);
+    useEffect(() => {
+        if (queueItemRef.current === queueItemId) return;
+        queueItemRef.current = queueItemId;
+        if (isHost || !localMovieUrl) return;
+        setLocalMovieUrl(null);
+        resetEmbeddedTracks();
+        onLocalPlaybackToggle?.(false);
+    }, [isHost, queueItemId, localMovieUrl, onLocalPlaybackToggle, resetEmbeddedTracks]);
+
     const handleSubtitleFile = useCallback(
         async (file) => {
             if (!file) return;
             try {
                 const text = await file.text();
-                const cues = parseSubtitles(text, file.name);
+                const { cues, ass } = parseSubtitleTrack(text, file.name);
                 const localOnly = !isHost && usingLocalPlayback;
-                onSubtitlesLoaded?.(cues, file.name, { localOnly });
+                onSubtitlesLoaded?.(cues, file.name, { localOnly, ass });
             } catch (err) {
                 setError(`Failed to load subtitles: ${err.message}`);
             }
@@ -503,6 +579,34 @@ export default function VideoPlayer({
         [onSubtitlesLoaded, isHost, usingLocalPlayback]
     );
 
+    // A built-in track is shared exactly like a subtitle file the user picked
+    const handleEmbeddedTrackSelect = useCallback(
+        (trackId) => {
+            const track = embeddedTracks.find((t) => t.id === trackId);
+            if (!track) return;
+            const localOnly = !isHost && usingLocalPlayback;
+            onSubtitlesLoaded?.(track.cues, track.label, { localOnly, ass: track.ass });
+        },
+        [embeddedTracks, onSubtitlesLoaded, isHost, usingLocalPlayback]
+    );
+
+    // Save the room's current cues (including any adjustments) as a subtitle file
+    const handleSubtitleExport = useCallback(
+        (format) => {
+            if (!subtitleCues.length) return;
+            const base = (subtitleFileName || movieName || 'subtitles').replace(/\.[^.]+$/, '');
+            const cues = applySubtitleTiming(subtitleCues, subtitleTiming);
+            const blob = new Blob([serializeSubtitles(cues, format)], { type: format === 'vtt' ? 'text/vtt' : 'application/x-subrip' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${base}.${format}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        },
+        [subtitleCues, subtitleTiming, subtitleFileName, movieName]
+    );
+
     const handleDragOver = (e) => {
         e.preventDefault();
         setIsDragging(true);
@@ -514,22 +618,24 @@ export default function VideoPlayer({
         const file = e.dataTransfer.files[0];
         if (!file) return;
 
-        if (file.name.match(/\.(srt|ass|ssa)$/i)) {
+        if (file.name.match(/\.(srt|vtt|ass|ssa)$/i)) {
             handleSubtitleFile(file);
         } else {
             handleFileSelect(file);
         }
     };
 
+    // Fills in the duration of the host's movie; the name was announced when it was picked.
     const handleLoadedMetadata = useCallback(() => {
         const video = videoRef.current;
-        if (!video) return;
+        const name = movieNameRef.current;
+        if (!isHost || !video || !name) return;
 
         socket.current?.emit('movie-loaded', {
-            name: localMovieUrl || movieBlobUrl ? 'Movie' : '',
+            name,
             duration: video.duration,
         });
-    }, [videoRef, localMovieUrl, movieBlobUrl, socket]);
+    }, [videoRef, isHost, socket]);
 
     useEffect(() => {
         if (!isHost && movieBlobUrl && videoRef.current) {
@@ -584,9 +690,17 @@ export default function VideoPlayer({
 
     const handleCanPlay = useCallback(() => {
         console.log('[player] can play');
-    }, []);
+        // First time a source becomes playable, jump to where the room is now —
+        // the snapshot sent on join usually arrives before the player exists.
+        const source = videoRef.current?.currentSrc;
+        if (source && syncedSourceRef.current !== source) {
+            syncedSourceRef.current = source;
+            playbackSync?.syncToServer();
+        }
+    }, [videoRef, playbackSync]);
 
-    if (isHost && !localMovieUrl && !isLoading) {
+    // A host who took over via transfer-host already has the torrent stream (movieBlobUrl)
+    if (isHost && !localMovieUrl && !movieBlobUrl && !isLoading) {
         return (
             <div
                 className={`player__dropzone ${isDragging ? 'player__dropzone--active' : ''}`}
@@ -706,7 +820,7 @@ export default function VideoPlayer({
         );
     }
 
-    const videoSrc = isHost ? localMovieUrl : (localMovieUrl || movieBlobUrl);
+    const videoSrc = localMovieUrl || movieBlobUrl;
     const hasDirectVideoSrc = Boolean(videoSrc);
     const videoSourceProps = hasDirectVideoSrc ? { src: videoSrc } : {};
 
@@ -721,25 +835,49 @@ export default function VideoPlayer({
                 onPlay={handlePlay}
                 onPause={handlePause}
                 onSeeked={handleSeek}
+                onWaiting={() => playbackSync?.reportWaiting()}
                 onError={(e) => console.error('[player] video error:', videoRef.current?.error, e)}
                 onLoadStart={() => console.log('[player] load start, currentSrc:', videoRef.current?.currentSrc || null)}
                 onCanPlay={handleCanPlay}
+                onEnded={onEnded}
                 playsInline
                 autoPlay={!isHost && hasDirectVideoSrc}
                 muted={!isHost}
             />
 
+            {liveReactions?.floating.length > 0 && (
+                <div className="player__reactions" aria-hidden="true">
+                    {liveReactions.floating.map((bubble) => (
+                        <span key={bubble.id} className="player__reaction" style={{ left: `${bubble.left}%` }}>
+                            {bubble.emoji}
+                        </span>
+                    ))}
+                </div>
+            )}
+
             <Controls
                 videoRef={videoRef}
                 isHost={isHost}
                 playbackSync={playbackSync}
+                canControl={canControl}
+                reactionMarkers={liveReactions?.timeline}
+                onReact={liveReactions?.sendReaction}
                 onSubtitleFile={() => subtitleInputRef.current?.click()}
+                onSubtitleExport={subtitleCues.length > 0 ? handleSubtitleExport : undefined}
+                subtitleTracks={subtitleTracks}
+                activeSubtitleTrackId={activeSubtitleTrackId}
+                onSubtitleTrackSelect={onSubtitleTrackSelect}
+                embeddedTracks={embeddedTracks}
+                activeEmbeddedTrackId={embeddedTracks.find((track) => track.label === subtitleFileName)?.id}
+                onEmbeddedTrackSelect={handleEmbeddedTrackSelect}
+                subtitleTiming={subtitleTiming}
+                onSubtitleTimingChange={subtitleCues.length > 0 ? onSubtitleTimingChange : undefined}
             />
 
             <input
                 ref={subtitleInputRef}
                 type="file"
-                accept=".srt,.ass,.ssa"
+                accept=".srt,.vtt,.ass,.ssa"
                 onChange={(e) => handleSubtitleFile(e.target.files[0])}
                 style={{ display: 'none' }}
             />
@@ -766,6 +904,7 @@ export default function VideoPlayer({
 
             {error && <div className="player__error">{error}</div>}
             {playbackNotice && <div className="player__error">{playbackNotice}</div>}
+            {playbackSync?.waitingForOthers && <div className="player__error">Waiting for partner to buffer…</div>}
 
             {/* Host seeding spinner */}
             {isHost && isSending && (
@@ -0,0 +1,175 @@
+import { useState, useRef, useEffect } from 'react';
+import { listMovies } from '../../utils/movieLibrary.js';
+
+const KIND_ICONS = {
+    file: '📁',
+    library: '📚',
+    url: '🔗',
+};
+
+export default function WatchQueue({
+    queue,
+    loadError = null,
+    isHost,
+    canControl,
+    canAddLinks = false,
+    myParticipantId,
+    onAddFile,
+    onAddLibraryMovie,
+    onAddUrl,
+    onRemove,
+    onMove,
+    onPlayNext,
+}) {
+    const [open, setOpen] = useState(false);
+    const [urlInput, setUrlInput] = useState('');
+    const [libraryMovies, setLibraryMovies] = useState([]);
+    const panelRef = useRef(null);
+    const fileInputRef = useRef(null);
+
+    // Close when clicking anywhere outside the panel
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (panelRef.current && !panelRef.current.contains(e.target)) setOpen(false);
+        };
+        window.addEventListener('mousedown', handleClick);
+        return () => window.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    useEffect(() => {
+        if (!open || !isHost) return;
+        listMovies().then(setLibraryMovies).catch(() => setLibraryMovies([]));
+    }, [open, isHost]);
+
+    const handleAddUrl = (e) => {
+        e.preventDefault();
+        const url = urlInput.trim();
+        if (!url) return;
+        setUrlInput('');
+        onAddUrl?.(url);
+    };
+
+    const { items, nowPlaying } = queue;
+
+    return (
+        <div className="room__settings" ref={panelRef}>
+            <button
+                className="room__seed-toggle"
+                onClick={() => setOpen((v) => !v)}
+                title="Watch queue"
+            >
+                Queue · {items.length}
+            </button>
+
+            {open && (
+                <div className="room__settings-panel">
+                    {nowPlaying && (
+                        <div className="room__settings-label">
+                            Now playing
+                            <span className="room__settings-name">{KIND_ICONS[nowPlaying.kind]} {nowPlaying.title}</span>
+                        </div>
+                    )}
+
+                    <div className="room__settings-label">
+                        Up next
+                        {items.length === 0 && <span className="room__settings-name">Nothing queued yet.</span>}
+                    </div>
+                    {items.length > 0 && (
+                        <ul className="room__settings-list">
+                            {items.map((item, index) => (
+                                <li key={item.id} className="room__settings-item">
+                                    <span className="room__settings-name" title={item.url || item.title}>
+                                        {KIND_ICONS[item.kind]} {item.title}
+                                    </span>
+                                    {canControl && (
+                                        <>
+                                            <button
+                                                className="toast__btn"
+                                                disabled={index === 0}
+                                                onClick={() => onMove?.(item.id, index - 1)}
+                                                title="Move up"
+                                            >
+                                                ↑
+                                            </button>
+                                            <button
+                                                className="toast__btn"
+                                                disabled={index === items.length - 1}
+                                                onClick={() => onMove?.(item.id, index + 1)}
+                                                title="Move down"
+                                            >
+                                                ↓
+                                            </button>
+                                        </>
+                                    )}
+                                    {(canControl || item.addedBy === myParticipantId) && (
+                                        <button className="toast__btn" onClick={() => onRemove?.(item.id)} title="Remove">
+                                            ✕
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {loadError && (
+                        <div className="room__queue-error">
+                            Skipped "{loadError.title}": {loadError.message}
+                        </div>
+                    )}
+
+                    {isHost && items.length > 0 && (
+                        <button className="room__seed-start" onClick={onPlayNext}>
+                            Play next now
+                        </button>
+                    )}
+
+                    {canAddLinks && (
+                        <form className="room__queue-add" onSubmit={handleAddUrl}>
+                            <input
+                                type="url"
+                                className="room__settings-select"
+                                placeholder="https://…/movie.mp4"
+                                value={urlInput}
+                                onChange={(e) => setUrlInput(e.target.value)}
+                            />
+                            <button type="submit" className="toast__btn" disabled={!urlInput.trim()}>
+                                Add link
+                            </button>
+                        </form>
+                    )}
+
+                    {isHost && (
+                        <div className="room__queue-add">
+                            <button className="toast__btn" onClick={() => fileInputRef.current?.click()}>
+                                Add file
+                            </button>
+                            <input
+                                ref={fileInputRef}
+                                type="file"
+                                accept=".mp4,.mkv,.webm,.mov"
+                                onChange={(e) => { onAddFile?.(e.target.files[0]); e.target.value = ''; }}
+                                style={{ display: 'none' }}
+                            />
+                            {libraryMovies.length > 0 && (
+                                <select
+                                    className="room__settings-select"
+                                    value=""
+                                    onChange={(e) => {
+                                        const movie = libraryMovies.find((m) => m.key === e.target.value);
+                                        if (movie) onAddLibraryMovie?.(movie);
+                                    }}
+                                >
+                                    <option value="">Add from library…</option>
+                                    {libraryMovies.map((m) => (
+                                        <option key={m.key} value={m.key}>{m.fileName}</option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
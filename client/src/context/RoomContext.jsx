@@ -10,9 +10,15 @@ const initialState = {
     movieDuration: 0,
     isPlaying: false,
     currentTime: 0,
-    subtitles: [],
-    subtitleFile: null,
+    // The room's named subtitle tracks ({ id, name, subtitles, addedBy }); `local` ones
+    // were never shared. Which one is shown is this participant's own choice.
+    subtitleTracks: [],
+    activeSubtitleTrackId: null,
+    subtitlesOff: false, // picked "Off" — don't switch on tracks others add
     chatMessages: [],
+    // Replayed history up to here doesn't count as unread: set on the first replay to our
+    // last receipt, or to the end of the backlog if we never read anything in this room
+    chatReadFloor: null,
     chatOpen: false,
     connectionState: 'disconnected', // 'disconnected' | 'connecting' | 'connected'
 };
@@ -29,10 +35,79 @@ function roomReducer(state, action) {
             return { ...state, isPlaying: action.isPlaying };
         case 'SET_CURRENT_TIME':
             return { ...state, currentTime: action.time };
-        case 'SET_SUBTITLES':
-            return { ...state, subtitles: action.subtitles, subtitleFile: action.filename || null };
+        case 'SET_SUBTITLE_TRACKS': {
+            // The room's set, replayed on (re)join; tracks we never shared stay
+            const subtitleTracks = [...state.subtitleTracks.filter((t) => t.local), ...action.tracks];
+            const stillThere = subtitleTracks.some((t) => t.id === state.activeSubtitleTrackId);
+            const fallback = !state.subtitlesOff && action.autoSelect ? action.tracks.at(-1)?.id ?? null : null;
+            return { ...state, subtitleTracks, activeSubtitleTrackId: stillThere ? state.activeSubtitleTrackId : fallback };
+        }
+        case 'ADD_SUBTITLE_TRACK': {
+            const kept = action.trackIds
+                ? state.subtitleTracks.filter((t) => t.local || action.trackIds.includes(t.id))
+                : state.subtitleTracks;
+            const subtitleTracks = [...kept.filter((t) => t.id !== action.track.id), action.track];
+            const active = subtitleTracks.some((t) => t.id === state.activeSubtitleTrackId) ? state.activeSubtitleTrackId : null;
+            // Your own tracks switch on; someone else's only if you aren't watching one (and didn't pick "Off")
+            const adopt = action.select || (action.autoSelect && !active && !state.subtitlesOff);
+            return {
+                ...state,
+                subtitleTracks,
+                activeSubtitleTrackId: adopt ? action.track.id : active,
+                subtitlesOff: action.select ? false : state.subtitlesOff,
+            };
+        }
+        case 'SHARE_SUBTITLE_TRACK':
+            // A local track the server accepted takes the id the room knows it by
+            return {
+                ...state,
+                subtitleTracks: state.subtitleTracks
+                    .filter((t) => t.id !== action.trackId)
+                    .map((t) => (t.id === action.localId ? { ...t, id: action.trackId, local: false } : t)),
+                activeSubtitleTrackId: state.activeSubtitleTrackId === action.localId ? action.trackId : state.activeSubtitleTrackId,
+            };
+        case 'SET_SUBTITLE_TIMING':
+            return {
+                ...state,
+                subtitleTracks: state.subtitleTracks.map((t) => (t.id === action.trackId ? { ...t, timing: action.timing } : t)),
+            };
+        case 'SELECT_SUBTITLE_TRACK':
+            return { ...state, activeSubtitleTrackId: action.trackId, subtitlesOff: !action.trackId };
         case 'ADD_CHAT_MESSAGE':
+            if (state.chatMessages.some((m) => m.id === action.message.id)) return state;
             return { ...state, chatMessages: [...state.chatMessages, action.message] };
+        case 'MERGE_CHAT_HISTORY': {
+            // Replayed on every (re)join — add what we missed; the server's copy wins for
+            // messages we already have, since their reactions and receipts may have moved on.
+            const byId = new Map(state.chatMessages.map((m) => [m.id, m]));
+            action.messages.forEach((m) => byId.set(m.id, m));
+            const chatMessages = [...byId.values()].sort((a, b) => a.timestamp - b.timestamp);
+            if (state.chatReadFloor !== null) return { ...state, chatMessages };
+            const latest = (messages) => messages.reduce((max, m) => Math.max(max, m.timestamp || 0), 0);
+            const seen = action.messages.filter((m) => m.seenBy?.includes(action.participantId));
+            const chatReadFloor = seen.length ? latest(seen) : latest(action.messages);
+            return { ...state, chatMessages, chatReadFloor };
+        }
+        case 'SET_CHAT_REACTIONS':
+            return {
+                ...state,
+                chatMessages: state.chatMessages.map((m) => (
+                    m.id === action.messageId ? { ...m, reactions: action.reactions } : m
+                )),
+            };
+        case 'MARK_CHAT_READ': {
+            // A receipt covers the given message and everything before it.
+            const index = state.chatMessages.findIndex((m) => m.id === action.messageId);
+            if (index === -1) return state;
+            return {
+                ...state,
+                chatMessages: state.chatMessages.map((m, i) => {
+                    const seenBy = m.seenBy || [];
+                    if (i > index || m.participantId === action.participantId || seenBy.includes(action.participantId)) return m;
+                    return { ...m, seenBy: [...seenBy, action.participantId] };
+                }),
+            };
+        }
         case 'TOGGLE_CHAT':
             return { ...state, chatOpen: !state.chatOpen };
         case 'SET_CHAT_OPEN':
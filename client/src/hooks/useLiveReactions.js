@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+export const LIVE_REACTIONS = ['❤️', '😂', '😱'];
+const FLOAT_DURATION_MS = 2400; // matches the reaction-float animation
+const MAX_FLOATING = 30;
+
+/**
+ * Live emoji reactions over the movie. Each one floats up over the player for everyone
+ * and is kept on the room's timeline (per movie), which comes back on join and on every
+ * movie change so earlier reactions show as seek-bar markers when rewatching.
+ */
+export default function useLiveReactions({ socket, videoRef, onNotice }) {
+    const [floating, setFloating] = useState([]); // { id, emoji, left }
+    const [timeline, setTimeline] = useState([]);
+    const timersRef = useRef(new Set());
+
+    const latestRef = useRef({ onNotice });
+    useEffect(() => {
+        latestRef.current = { onNotice };
+    }, [onNotice]);
+
+    useEffect(() => {
+        const sock = socket.current;
+        if (!sock) return;
+
+        const handleReaction = (reaction) => {
+            setTimeline((prev) => [...prev, reaction]);
+            // Spread them across the player so a burst doesn't stack into one column
+            const bubble = { id: reaction.id, emoji: reaction.emoji, left: 10 + Math.random() * 80 };
+            setFloating((prev) => [...prev.slice(-(MAX_FLOATING - 1)), bubble]);
+            const timer = setTimeout(() => {
+                timersRef.current.delete(timer);
+                setFloating((prev) => prev.filter((b) => b.id !== bubble.id));
+            }, FLOAT_DURATION_MS);
+            timersRef.current.add(timer);
+        };
+
+        const handleTimeline = ({ reactions }) => {
+            setTimeline(reactions || []);
+        };
+
+        sock.on('reaction', handleReaction);
+        sock.on('reaction-timeline', handleTimeline);
+        return () => {
+            sock.off('reaction', handleReaction);
+            sock.off('reaction-timeline', handleTimeline);
+        };
+    }, [socket]);
+
+    useEffect(() => {
+        const timers = timersRef.current;
+        return () => timers.forEach(clearTimeout);
+    }, []);
+
+    const sendReaction = useCallback((emoji) => {
+        const video = videoRef.current;
+        if (!video?.readyState) return;
+        socket.current?.emit('reaction', { emoji, time: video.currentTime }, (response) => {
+            if (!response?.success) latestRef.current.onNotice?.(response?.error || 'Could not send that reaction.');
+        });
+    }, [socket, videoRef]);
+
+    return {
+        floating,
+        timeline,
+        sendReaction,
+    };
+}
@@ -1,45 +1,265 @@
-import { useEffect, useRef, useCallback } from 'react';
+import { useEffect, useRef, useCallback, useState } from 'react';
+
+// Mirrors DEFAULT_SYNC_SETTINGS on the server; the room's values arrive via room-settings.
+const DEFAULT_SYNC_SETTINGS = {
+    nudgeThreshold: 0.25,
+    seekThreshold: 2,
+    maxRateAdjust: 0.03,
+    heartbeatMs: 2000,
+};
+// A nudged playbackRate aims to close the gap over roughly this many seconds.
+const DRIFT_CONVERGE_SECONDS = 8;
+// A stalled player reports recovery once this much is buffered past the playhead.
+const BUFFER_AHEAD_SECONDS = 3;
+const BUFFER_POLL_MS = 500;
+
+function hasBufferedAhead(video) {
+    const { buffered, currentTime, duration } = video;
+    for (let i = 0; i < buffered.length; i++) {
+        if (buffered.start(i) <= currentTime && buffered.end(i) >= currentTime) {
+            const end = buffered.end(i);
+            return end - currentTime >= BUFFER_AHEAD_SECONDS || (Number.isFinite(duration) && end >= duration - 0.5);
+        }
+    }
+    return false;
+}
 
 /**
  * Synchronizes playback between peers via Socket.IO.
  * Both users can control playback (play/pause/seek).
  * Uses actionId to prevent echo loops.
+ *
+ * The server numbers every playback change (`seq`). Actions carry the last number we
+ * applied, so one that lost a race against someone else's is dropped server-side (we
+ * get the winning state back as a snapshot), and relayed events older than what we
+ * already applied are ignored.
+ *
+ * The server keeps the canonical clock. Outgoing actions are stamped with server time
+ * (via `clock` from useSocket) and incoming states are advanced by however long they
+ * spent in flight, so latency doesn't turn into drift.
+ *
+ * Speed is shared too: `setRate` broadcasts it and every snapshot carries the room's rate.
+ *
+ * Drift: the host's player is the reference and sends heartbeats while playing; everyone
+ * else nudges playbackRate towards it and only hard-seeks when far off.
+ *
+ * A snapshot whose anchor is still in the future is a scheduled start (ready check): the
+ * player holds at `position` and starts when the server clock reaches the anchor.
+ *
+ * Buffering: a player that stalls mid-playback reports it, the server pauses the room,
+ * and everyone resumes together once every stalled player has caught up.
  */
-export default function usePlaybackSync({ socket, videoRef, onSyncEvent }) {
+export default function usePlaybackSync({ socket, clock, videoRef, onSyncEvent, isHost = false, syncSettings = null }) {
     const lastActionIdRef = useRef(null);
+    const lastSeqRef = useRef(0);
     const isSyncing = useRef(false);
+    const onSyncEventRef = useRef(onSyncEvent);
+    useEffect(() => { onSyncEventRef.current = onSyncEvent; }, [onSyncEvent]);
+
+    const settingsRef = useRef(DEFAULT_SYNC_SETTINGS);
+    useEffect(() => { settingsRef.current = { ...DEFAULT_SYNC_SETTINGS, ...syncSettings }; }, [syncSettings]);
+    const heartbeatMs = syncSettings?.heartbeatMs || DEFAULT_SYNC_SETTINGS.heartbeatMs;
+    const baseRateRef = useRef(1); // the room's rate; nudges are relative to it
+    const nudgingRef = useRef(false);
+    const [playbackRate, setPlaybackRate] = useState(1);
+    const [waitingForOthers, setWaitingForOthers] = useState(false);
+    const bufferingPollRef = useRef(null); // set while we're the ones holding the room
+    const scheduledStartRef = useRef(null);
+
+    // Any newer action supersedes a pending scheduled start.
+    const cancelScheduledStart = useCallback(() => {
+        clearTimeout(scheduledStartRef.current);
+        scheduledStartRef.current = null;
+    }, []);
+
+    const resetRate = useCallback(() => {
+        const video = videoRef.current;
+        if (nudgingRef.current && video) video.playbackRate = baseRateRef.current;
+        nudgingRef.current = false;
+    }, [videoRef]);
+
+    const recordSeq = useCallback((seq) => {
+        if (typeof seq === 'number' && seq > lastSeqRef.current) lastSeqRef.current = seq;
+    }, []);
+    const isSuperseded = (playback) => typeof playback?.seq === 'number' && playback.seq <= lastSeqRef.current;
+    const handleActionAck = useCallback((response) => {
+        if (response?.success) recordSeq(response.seq);
+    }, [recordSeq]);
+
+    // Adopt the room's speed. defaultPlaybackRate too, so a source swap doesn't reset it.
+    const applyRate = useCallback((rate) => {
+        const next = rate || 1;
+        baseRateRef.current = next;
+        nudgingRef.current = false;
+        setPlaybackRate(next);
+        const video = videoRef.current;
+        if (!video) return;
+        video.defaultPlaybackRate = next;
+        video.playbackRate = next;
+    }, [videoRef]);
+
+    // Keep echo suppression on until the seek lands — on a streaming source 'seeked'
+    // can take far longer than the usual 100ms window.
+    const seekSilently = useCallback((video, time) => {
+        isSyncing.current = true;
+        let timer = null;
+        const release = () => {
+            clearTimeout(timer);
+            video.removeEventListener('seeked', release);
+            setTimeout(() => {
+                isSyncing.current = false;
+            }, 0);
+        };
+        timer = setTimeout(release, 3000);
+        video.addEventListener('seeked', release);
+        video.currentTime = time;
+    }, []);
+
+    // Where a running clock is by the time its state reaches us. `anchor` is the server
+    // time `position` refers to; until the first clock sample we can't correct.
+    const compensatedPosition = (playback) => {
+        if (playback.status !== 'playing') return Math.max(0, playback.position);
+        const inFlightMs = clock?.synced ? clock.now() - playback.anchor : 0;
+        return Math.max(0, playback.position + (Math.max(0, inFlightMs) / 1000) * (playback.rate || 1));
+    };
+
+    const applySnapshot = useCallback(
+        (playback) => {
+            const video = videoRef.current;
+            if (!video || !playback || typeof playback.position !== 'number') return false;
+            cancelScheduledStart();
+            // Snapshots are authoritative — this also resets the count after a server restart
+            if (typeof playback.seq === 'number') lastSeqRef.current = playback.seq;
+
+            const startsInMs = playback.status === 'playing' && clock?.synced ? playback.anchor - clock.now() : 0;
+            if (startsInMs > 0) {
+                // Hold at the start position; seekSilently because 'seeked' may land late
+                video.pause();
+                seekSilently(video, playback.position);
+                onSyncEventRef.current?.('pause', playback.position);
+                scheduledStartRef.current = setTimeout(() => applySnapshot(playback), startsInMs);
+                return true;
+            }
+
+            const time = compensatedPosition(playback);
+            const playing = playback.status === 'playing';
+            applyRate(playback.rate);
+            isSyncing.current = true;
+            video.currentTime = time;
+            if (playing) video.play().catch(() => { });
+            else video.pause();
+            onSyncEventRef.current?.(playing ? 'play' : 'pause', time);
+            setTimeout(() => {
+                isSyncing.current = false;
+            }, 100);
+            return true;
+        },
+        [videoRef, clock, cancelScheduledStart, seekSilently, applyRate]
+    );
+
+    useEffect(() => cancelScheduledStart, [cancelScheduledStart]);
+
+    // Pull "position now" from the server and jump to it.
+    const syncToServer = useCallback(
+        () => new Promise((resolve) => {
+            const sock = socket.current;
+            if (!sock?.connected) {
+                resolve(false);
+                return;
+            }
+            sock.emit('playback-state', {}, (response) => {
+                resolve(response?.success ? applySnapshot(response.playback) : false);
+            });
+        }),
+        [socket, applySnapshot]
+    );
+
+    // Called from the player's 'waiting' event: hold the room until we have enough data.
+    const reportWaiting = useCallback(() => {
+        const video = videoRef.current;
+        if (!video || video.paused || isSyncing.current || bufferingPollRef.current) return;
+        const sock = socket.current;
+        if (!sock?.connected) return;
+
+        sock.emit('playback-buffering', { buffering: true });
+        bufferingPollRef.current = setInterval(() => {
+            const current = videoRef.current;
+            // Same bar as 'canplay', plus a few seconds of margin so we don't stall again at once
+            if (current && (current.readyState < HTMLMediaElement.HAVE_FUTURE_DATA || !hasBufferedAhead(current))) return;
+            clearInterval(bufferingPollRef.current);
+            bufferingPollRef.current = null;
+            socket.current?.emit('playback-buffering', { buffering: false });
+        }, BUFFER_POLL_MS);
+    }, [socket, videoRef]);
+
+    useEffect(() => () => clearInterval(bufferingPollRef.current), []);
 
     // Send play event
     const emitPlay = useCallback(
         (time) => {
             if (isSyncing.current) return;
+            cancelScheduledStart();
             const actionId = `${Date.now()}-${Math.random()}`;
             lastActionIdRef.current = actionId;
-            socket.current?.emit('sync-play', { time, actionId });
+            socket.current?.emit('sync-play', { time, actionId, sentAt: clock?.now(), baseSeq: lastSeqRef.current }, handleActionAck);
         },
-        [socket]
+        [socket, clock, cancelScheduledStart, handleActionAck]
     );
 
     // Send pause event
     const emitPause = useCallback(
         (time) => {
             if (isSyncing.current) return;
+            cancelScheduledStart();
             const actionId = `${Date.now()}-${Math.random()}`;
             lastActionIdRef.current = actionId;
-            socket.current?.emit('sync-pause', { time, actionId });
+            socket.current?.emit('sync-pause', { time, actionId, sentAt: clock?.now(), baseSeq: lastSeqRef.current }, handleActionAck);
         },
-        [socket]
+        [socket, clock, cancelScheduledStart, handleActionAck]
     );
 
     // Send seek event
     const emitSeek = useCallback(
         (time) => {
             if (isSyncing.current) return;
+            cancelScheduledStart();
             const actionId = `${Date.now()}-${Math.random()}`;
             lastActionIdRef.current = actionId;
-            socket.current?.emit('sync-seek', { time, actionId });
+            socket.current?.emit('sync-seek', { time, actionId, sentAt: clock?.now(), baseSeq: lastSeqRef.current }, handleActionAck);
+        },
+        [socket, clock, cancelScheduledStart, handleActionAck]
+    );
+
+    // Jump everyone to `time` from outside the player (e.g. a timestamped chat comment):
+    // broadcast first, then seek here without the 'seeked' echo.
+    const seekTo = useCallback(
+        (time) => {
+            const video = videoRef.current;
+            if (!video || !video.readyState) return false;
+            emitSeek(time);
+            seekSilently(video, time);
+            return true;
         },
-        [socket]
+        [videoRef, emitSeek, seekSilently]
+    );
+
+    // Change the shared speed: applied here at once, then broadcast
+    const setRate = useCallback(
+        (rate) => {
+            const video = videoRef.current;
+            applyRate(rate);
+            if (!video) return;
+            const actionId = `${Date.now()}-${Math.random()}`;
+            lastActionIdRef.current = actionId;
+            socket.current?.emit('sync-rate', {
+                rate,
+                time: video.currentTime,
+                actionId,
+                sentAt: clock?.now(),
+                baseSeq: lastSeqRef.current,
+            }, handleActionAck);
+        },
+        [socket, clock, videoRef, applyRate, handleActionAck]
     );
 
     // Listen for sync events from peer
@@ -47,8 +267,12 @@ export default function usePlaybackSync({ socket, videoRef, onSyncEvent }) {
         const sock = socket.current;
         if (!sock) return;
 
-        const handleSyncPlay = ({ time, actionId }) => {
+        const handleSyncPlay = ({ time: sentTime, actionId, playback }) => {
             if (actionId === lastActionIdRef.current) return; // Ignore own echo
+            if (isSuperseded(playback)) return;
+            recordSeq(playback?.seq);
+            cancelScheduledStart();
+            const time = playback ? compensatedPosition(playback) : sentTime;
             isSyncing.current = true;
             if (videoRef.current) {
                 videoRef.current.currentTime = time;
@@ -60,8 +284,12 @@ export default function usePlaybackSync({ socket, videoRef, onSyncEvent }) {
             }, 100);
         };
 
-        const handleSyncPause = ({ time, actionId }) => {
+        const handleSyncPause = ({ time, actionId, playback }) => {
             if (actionId === lastActionIdRef.current) return;
+            if (isSuperseded(playback)) return;
+            recordSeq(playback?.seq);
+            cancelScheduledStart();
+            resetRate();
             isSyncing.current = true;
             if (videoRef.current) {
                 videoRef.current.pause();
@@ -73,8 +301,13 @@ export default function usePlaybackSync({ socket, videoRef, onSyncEvent }) {
             }, 100);
         };
 
-        const handleSyncSeek = ({ time, actionId }) => {
+        const handleSyncSeek = ({ time: sentTime, actionId, playback }) => {
             if (actionId === lastActionIdRef.current) return;
+            if (isSuperseded(playback)) return;
+            recordSeq(playback?.seq);
+            const time = playback ? compensatedPosition(playback) : sentTime;
+            cancelScheduledStart();
+            resetRate();
             isSyncing.current = true;
             if (videoRef.current) {
                 videoRef.current.currentTime = time;
@@ -85,21 +318,117 @@ export default function usePlaybackSync({ socket, videoRef, onSyncEvent }) {
             }, 100);
         };
 
+        const handleSyncRate = ({ rate, actionId, playback }) => {
+            if (actionId === lastActionIdRef.current) return;
+            if (isSuperseded(playback)) return;
+            recordSeq(playback?.seq);
+            applyRate(rate);
+        };
+
+        // Pushed on join and when one of our actions was refused
+        const handlePlaybackSnapshot = ({ playback }) => {
+            applySnapshot(playback);
+        };
+
+        // Someone stalled (or recovered). The server already moved the clock; we just follow.
+        const handleBufferingState = ({ buffering, playback, resumed }) => {
+            recordSeq(playback?.seq);
+            const othersBuffering = buffering.length > (bufferingPollRef.current ? 1 : 0);
+            setWaitingForOthers(othersBuffering);
+
+            const video = videoRef.current;
+            if (buffering.length) {
+                resetRate();
+                if (!video || video.paused) return;
+                isSyncing.current = true;
+                video.pause();
+                onSyncEvent?.('pause', video.currentTime);
+                setTimeout(() => {
+                    isSyncing.current = false;
+                }, 100);
+            } else if (resumed) {
+                applySnapshot(playback);
+            }
+        };
+
+        // Drift correction against the host's heartbeat
+        const handleHeartbeat = ({ playback }) => {
+            const video = videoRef.current;
+            if (isHost || !video || !playback) return;
+            if (typeof playback.seq === 'number' && playback.seq < lastSeqRef.current) return; // predates a newer action
+            // Catches up on a speed change we missed
+            if ((playback.rate || 1) !== baseRateRef.current) applyRate(playback.rate);
+            if (video.paused || video.seeking || isSyncing.current) {
+                resetRate();
+                return;
+            }
+
+            const { nudgeThreshold, seekThreshold, maxRateAdjust } = settingsRef.current;
+            const target = compensatedPosition(playback);
+            const drift = video.currentTime - target; // > 0: we're ahead
+            const magnitude = Math.abs(drift);
+
+            if (magnitude >= seekThreshold) {
+                console.log(`[sync] drift ${drift.toFixed(2)}s, seeking to ${target.toFixed(2)}`);
+                resetRate();
+                seekSilently(video, target);
+                onSyncEvent?.('seek', target);
+            } else if (magnitude >= nudgeThreshold) {
+                const adjust = Math.max(-maxRateAdjust, Math.min(maxRateAdjust, -drift / DRIFT_CONVERGE_SECONDS));
+                video.playbackRate = baseRateRef.current * (1 + adjust);
+                nudgingRef.current = true;
+            } else if (magnitude < nudgeThreshold / 2) {
+                // Hysteresis: keep nudging until comfortably inside the threshold
+                resetRate();
+            }
+        };
+
         sock.on('sync-play', handleSyncPlay);
         sock.on('sync-pause', handleSyncPause);
         sock.on('sync-seek', handleSyncSeek);
+        sock.on('sync-rate', handleSyncRate);
+        sock.on('sync-heartbeat', handleHeartbeat);
+        sock.on('playback-snapshot', handlePlaybackSnapshot);
+        sock.on('buffering-state', handleBufferingState);
 
         return () => {
             sock.off('sync-play', handleSyncPlay);
             sock.off('sync-pause', handleSyncPause);
             sock.off('sync-seek', handleSyncSeek);
+            sock.off('sync-rate', handleSyncRate);
+            sock.off('sync-heartbeat', handleHeartbeat);
+            sock.off('playback-snapshot', handlePlaybackSnapshot);
+            sock.off('buffering-state', handleBufferingState);
         };
-    }, [socket, videoRef, onSyncEvent]);
+    }, [socket, videoRef, onSyncEvent, applySnapshot, isHost, resetRate, seekSilently, cancelScheduledStart, applyRate, recordSeq]);
+
+    // The host reports where its player is while playing
+    useEffect(() => {
+        if (!isHost) return;
+        const timer = setInterval(() => {
+            const video = videoRef.current;
+            if (!video || video.paused || video.seeking || isSyncing.current) return;
+            socket.current?.emit('sync-heartbeat', { time: video.currentTime, sentAt: clock?.now() });
+        }, heartbeatMs);
+        return () => clearInterval(timer);
+    }, [isHost, socket, videoRef, clock, heartbeatMs]);
+
+    // A host doesn't follow anyone — drop any nudge left from before a host transfer
+    useEffect(() => {
+        if (isHost) resetRate();
+    }, [isHost, resetRate]);
 
     return {
         emitPlay,
         emitPause,
         emitSeek,
+        seekTo,
+        setRate,
+        playbackRate,
+        applySnapshot,
+        syncToServer,
+        reportWaiting,
+        waitingForOthers,
         isSyncing,
     };
 }
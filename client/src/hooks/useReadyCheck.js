@@ -0,0 +1,88 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Ready check before a synchronized start.
+ *
+ * The host opens a check, everyone confirms (reporting how much of the movie they
+ * have buffered) and once all have, the server schedules a start on its clock. The
+ * player holds via usePlaybackSync until then while we count down 3-2-1.
+ */
+export default function useReadyCheck({ socket, clock, playbackSync, bufferProgress = null, onStart, onNotice }) {
+    const [readyCheck, setReadyCheck] = useState(null); // the pending check, if any
+    const [countdown, setCountdown] = useState(null); // whole seconds left before the start
+
+    const latestRef = useRef({ playbackSync, bufferProgress, onStart, onNotice });
+    useEffect(() => {
+        latestRef.current = { playbackSync, bufferProgress, onStart, onNotice };
+    }, [playbackSync, bufferProgress, onStart, onNotice]);
+
+    useEffect(() => {
+        const sock = socket.current;
+        if (!sock) return;
+        let countdownTimer = null;
+
+        const handleReadyCheck = (check) => {
+            if (check.status === 'pending') {
+                setReadyCheck(check);
+                return;
+            }
+
+            setReadyCheck(null);
+            if (check.status === 'cancelled') {
+                latestRef.current.onNotice?.(check.reason || 'The ready check was cancelled.');
+                return;
+            }
+
+            // 'starting': the snapshot's anchor is the start time, so the player holds until then
+            latestRef.current.playbackSync?.applySnapshot(check.playback);
+            latestRef.current.onStart?.(check);
+
+            clearInterval(countdownTimer);
+            const tick = () => {
+                const leftMs = check.startAt - clock.now();
+                if (leftMs <= 0) {
+                    clearInterval(countdownTimer);
+                    setCountdown(null);
+                    return;
+                }
+                setCountdown(Math.ceil(leftMs / 1000));
+            };
+            tick();
+            countdownTimer = setInterval(tick, 100);
+        };
+
+        sock.on('ready-check', handleReadyCheck);
+        return () => {
+            sock.off('ready-check', handleReadyCheck);
+            clearInterval(countdownTimer);
+        };
+    }, [socket, clock]);
+
+    const emitWithNotice = useCallback((event, payload) => {
+        socket.current?.emit(event, payload, (response) => {
+            if (!response?.success) latestRef.current.onNotice?.(response?.error || 'Could not update the ready check.');
+        });
+    }, [socket]);
+
+    const startReadyCheck = useCallback(() => emitWithNotice('ready-check-start', {}), [emitWithNotice]);
+
+    const cancelReadyCheck = useCallback(() => emitWithNotice('ready-check-cancel', {}), [emitWithNotice]);
+
+    const respond = useCallback((ready) => {
+        if (!readyCheck) return;
+        const progress = latestRef.current.bufferProgress;
+        socket.current?.emit('ready-check-respond', {
+            id: readyCheck.id,
+            ready,
+            progress: typeof progress === 'number' ? progress : undefined,
+        });
+    }, [socket, readyCheck]);
+
+    return {
+        readyCheck,
+        countdown,
+        startReadyCheck,
+        cancelReadyCheck,
+        respond,
+    };
+}
@@ -21,7 +21,8 @@ function resolveServerUrl() {
 }
 
 const SERVER_URL = resolveServerUrl();
-const PARTICIPANT_ID_KEY = 'lovestream.participantId';
+const PARTICIPANT_TOKEN_KEY = 'lovestream.participantToken';
+const LEGACY_PARTICIPANT_ID_KEY = 'lovestream.participantId';
 
 function getClientCapabilities() {
     try {
@@ -35,19 +36,95 @@ function getClientCapabilities() {
     }
 }
 
-function getOrCreateParticipantId() {
+// The server mints a signed `<participantId>.<signature>` token on first connect
+// ('participant-identity'); we only store it and send it back.
+let memoryParticipantToken = null;
+
+function getParticipantToken() {
     try {
-        let participantId = localStorage.getItem(PARTICIPANT_ID_KEY);
-        if (!participantId) {
-            participantId = `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
-            localStorage.setItem(PARTICIPANT_ID_KEY, participantId);
-        }
-        return participantId;
+        return localStorage.getItem(PARTICIPANT_TOKEN_KEY) || memoryParticipantToken;
     } catch {
-        return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+        return memoryParticipantToken;
     }
 }
 
+function storeParticipantToken(token) {
+    memoryParticipantToken = token;
+    try {
+        localStorage.setItem(PARTICIPANT_TOKEN_KEY, token);
+        localStorage.removeItem(LEGACY_PARTICIPANT_ID_KEY);
+    } catch {
+        // Private mode — the in-memory token still covers this session.
+    }
+}
+
+function getParticipantId() {
+    const token = getParticipantToken();
+    if (!token) return null;
+    const dot = token.lastIndexOf('.');
+    return dot > 0 ? token.slice(0, dot) : null;
+}
+
+// Turn a failed create/join ack into an Error that keeps the server's error code
+// (e.g. 'PASSPHRASE_REQUIRED', 'PASSPHRASE_INVALID') so callers can branch on it.
+function toRoomError(response) {
+    const err = new Error(response?.error || 'Request failed');
+    err.code = response?.code || null;
+    return err;
+}
+
+// ─── Clock sync ─────────────────────────────────────────────
+// NTP-style: each 'clock-ping' yields an offset (server clock − ours) and a round-trip
+// time. The sample with the smallest RTT in the recent window is the least distorted
+// by queueing, so its offset wins.
+const CLOCK_BURST_SAMPLES = 5;
+const CLOCK_BURST_SPACING_MS = 250;
+const CLOCK_RESYNC_INTERVAL_MS = 30000;
+const CLOCK_WINDOW = 8;
+
+const clockSamples = [];
+const clock = {
+    offset: 0, // ms to add to Date.now() to get server time
+    rtt: null, // ms
+    synced: false,
+    now: () => Date.now() + clock.offset,
+};
+
+function sampleClock(socket) {
+    if (!socket.connected) return;
+    const t0 = Date.now();
+    socket.emit('clock-ping', { t0 }, (response) => {
+        const t3 = Date.now();
+        if (!response || typeof response.t1 !== 'number' || typeof response.t2 !== 'number') return;
+        const { t1, t2 } = response;
+
+        clockSamples.push({
+            offset: ((t1 - t0) + (t2 - t3)) / 2,
+            rtt: (t3 - t0) - (t2 - t1),
+        });
+        if (clockSamples.length > CLOCK_WINDOW) clockSamples.shift();
+
+        const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        clock.offset = best.offset;
+        clock.rtt = best.rtt;
+        clock.synced = true;
+    });
+}
+
+function startClockSync(socket) {
+    let resyncTimer = null;
+    socket.on('connect', () => {
+        // The path to the server may have changed — start over.
+        clockSamples.length = 0;
+        for (let i = 0; i < CLOCK_BURST_SAMPLES; i++) {
+            setTimeout(() => sampleClock(socket), i * CLOCK_BURST_SPACING_MS);
+        }
+        if (!resyncTimer) {
+            resyncTimer = setInterval(() => sampleClock(socket), CLOCK_RESYNC_INTERVAL_MS);
+        }
+    });
+}
+
 // Module-level singleton — NEVER disconnects during app lifecycle
 let sharedSocket = null;
 
@@ -61,6 +138,11 @@ function getSocket() {
             reconnectionAttempts: Infinity,
             reconnectionDelay: 1000,
             reconnectionDelayMax: 5000,
+            // Evaluated on every (re)connect so a freshly issued token is picked up.
+            auth: (cb) => cb({ participantToken: getParticipantToken() }),
+        });
+        sharedSocket.on('participant-identity', ({ token }) => {
+            if (token) storeParticipantToken(token);
         });
         sharedSocket.on('connect', () => {
             console.log('[socket] connected:', sharedSocket.id);
@@ -71,6 +153,11 @@ function getSocket() {
         sharedSocket.on('connect_error', (err) => {
             console.error('[socket] connection error:', err.message, 'url:', SERVER_URL);
         });
+        startClockSync(sharedSocket);
+        // Server-side validation / rate-limit rejections for emits sent without an ack
+        sharedSocket.on('error', ({ event, code, message } = {}) => {
+            console.warn('[socket] server rejected', event, code, message);
+        });
     }
     return sharedSocket;
 }
@@ -99,29 +186,31 @@ export default function useSocket() {
         };
     }, []);
 
-    const createRoom = useCallback(() => {
+    const createRoom = useCallback(({ passphrase } = {}) => {
         return new Promise((resolve, reject) => {
             if (!socketRef.current) return reject(new Error('Not connected'));
             socketRef.current.emit('create-room', {
-                participantId: getOrCreateParticipantId(),
+                participantToken: getParticipantToken() || undefined,
                 capabilities: getClientCapabilities(),
+                passphrase: passphrase || undefined,
             }, (response) => {
                 if (response.success) resolve({ ...response.room, mode: response.mode || 'web-compatible' });
-                else reject(new Error(response.error));
+                else reject(toRoomError(response));
             });
         });
     }, []);
 
-    const joinRoom = useCallback((code) => {
+    const joinRoom = useCallback((code, { passphrase } = {}) => {
         return new Promise((resolve, reject) => {
             if (!socketRef.current) return reject(new Error('Not connected'));
             socketRef.current.emit('join-room', {
                 code,
-                participantId: getOrCreateParticipantId(),
+                participantToken: getParticipantToken() || undefined,
                 capabilities: getClientCapabilities(),
+                passphrase: passphrase || undefined,
             }, (response) => {
                 if (response.success) resolve({ ...response.room, mode: response.mode || 'web-compatible' });
-                else reject(new Error(response.error));
+                else reject(toRoomError(response));
             });
         });
     }, []);
@@ -131,7 +220,9 @@ export default function useSocket() {
         isConnected,
         createRoom,
         joinRoom,
-        getParticipantId: getOrCreateParticipantId,
+        getParticipantId,
+        getParticipantToken,
         getClientCapabilities,
+        clock,
     };
 }
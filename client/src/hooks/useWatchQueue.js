@@ -0,0 +1,192 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { loadMovie } from '../utils/movieLibrary.js';
+
+const EMPTY_QUEUE = { items: [], nowPlaying: null };
+// Queued links are buffered whole in the host's memory before seeding
+const MAX_URL_BYTES = 2 * 1024 ** 3;
+const URL_CONNECT_TIMEOUT_MS = 20000;
+const URL_STALL_TIMEOUT_MS = 30000; // no bytes for this long while downloading
+
+function fileNameFromUrl(url) {
+    try {
+        const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+        return name || 'video.mp4';
+    } catch {
+        return 'video.mp4';
+    }
+}
+
+const formatGB = (bytes) => `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+
+/**
+ * Download a queued link into a File, with a connect timeout, a stall timeout and a
+ * size cap. Failures are thrown with a message meant for the queue panel.
+ */
+async function fetchUrlFile(url) {
+    const controller = new AbortController();
+    let timer = setTimeout(() => controller.abort(), URL_CONNECT_TIMEOUT_MS);
+    const rearm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), URL_STALL_TIMEOUT_MS);
+    };
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, { signal: controller.signal });
+        } catch (err) {
+            if (err.name === 'AbortError') throw new Error('The link did not respond in time.');
+            // fetch() reports CORS refusals and unreachable hosts the same way
+            throw new Error('The site blocked the download (CORS) or could not be reached.');
+        }
+        if (!response.ok) throw new Error(`The site answered HTTP ${response.status}.`);
+
+        const declared = Number(response.headers.get('content-length'));
+        if (declared > MAX_URL_BYTES) {
+            throw new Error(`The file is ${formatGB(declared)}; links are limited to ${formatGB(MAX_URL_BYTES)}.`);
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let received = 0;
+        rearm();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            received += value.byteLength;
+            if (received > MAX_URL_BYTES) {
+                reader.cancel();
+                throw new Error(`The file is larger than ${formatGB(MAX_URL_BYTES)}, the limit for links.`);
+            }
+            chunks.push(value);
+            rearm();
+        }
+
+        const type = response.headers.get('content-type') || 'video/mp4';
+        return new File(chunks, fileNameFromUrl(url), { type });
+    } catch (err) {
+        if (err.name === 'AbortError') throw new Error('The download stalled.');
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * The room's shared watch queue. The host and co-hosts can queue links; the host can also
+ * queue local files and library movies, which only exist on the host's device (files are
+ * kept here by queue item id, so they don't survive a reload).
+ *
+ * When the queue advances, the host turns the entry into a File and hands it to
+ * `onAdvance(file, item)` to be loaded and seeded like a freshly picked movie.
+ */
+export default function useWatchQueue({ socket, isHost, onAdvance, onNotice }) {
+    const [queue, setQueue] = useState(EMPTY_QUEUE);
+    const [loadError, setLoadError] = useState(null); // { title, message } for the last entry that failed (host)
+    const localFilesRef = useRef(new Map()); // queue item id -> File (host only)
+
+    const latestRef = useRef({ isHost, onAdvance, onNotice });
+    useEffect(() => {
+        latestRef.current = { isHost, onAdvance, onNotice };
+    }, [isHost, onAdvance, onNotice]);
+
+    const request = useCallback((event, payload) => new Promise((resolve) => {
+        const sock = socket.current;
+        if (!sock) {
+            resolve(null);
+            return;
+        }
+        sock.emit(event, payload, (response) => {
+            if (!response?.success) latestRef.current.onNotice?.(response?.error || 'Could not update the queue.');
+            resolve(response);
+        });
+    }), [socket]);
+
+    const resolveItemFile = useCallback(async (item) => {
+        if (item.kind === 'file') return localFilesRef.current.get(item.id) || null;
+        if (item.kind === 'library') {
+            const cached = await loadMovie(item.libraryKey);
+            if (!cached?.blob) return null;
+            return new File([cached.blob], cached.fileName, { type: cached.mimeType || 'video/mp4' });
+        }
+        return fetchUrlFile(item.url);
+    }, []);
+
+    useEffect(() => {
+        const sock = socket.current;
+        if (!sock) return;
+
+        const handleQueueUpdated = (next) => {
+            setQueue(next || EMPTY_QUEUE);
+        };
+
+        const handleQueueAdvanced = async ({ item }) => {
+            if (!latestRef.current.isHost) return;
+            let file = null;
+            let reason = 'It is no longer available on this device.';
+            try {
+                file = await resolveItemFile(item);
+            } catch (err) {
+                console.warn('[queue] failed to load', item.title, err);
+                reason = err.message;
+            }
+            localFilesRef.current.delete(item.id);
+
+            if (file) {
+                setLoadError(null);
+                latestRef.current.onAdvance?.(file, item);
+                return;
+            }
+            // Nothing to seed (file gone after a reload, unreachable link…) — move past it.
+            setLoadError({ title: item.title, message: reason });
+            latestRef.current.onNotice?.(`Couldn't load "${item.title}", skipping it.`);
+            sock.emit('queue-advance', { expectedCurrentId: item.id });
+        };
+
+        sock.on('queue-updated', handleQueueUpdated);
+        sock.on('queue-advanced', handleQueueAdvanced);
+        return () => {
+            sock.off('queue-updated', handleQueueUpdated);
+            sock.off('queue-advanced', handleQueueAdvanced);
+        };
+    }, [socket, resolveItemFile]);
+
+    const addFile = useCallback(async (file) => {
+        if (!file) return;
+        const response = await request('queue-add', { kind: 'file', title: file.name });
+        if (response?.success) localFilesRef.current.set(response.item.id, file);
+    }, [request]);
+
+    const addLibraryMovie = useCallback((movie) => {
+        request('queue-add', { kind: 'library', title: movie.fileName, libraryKey: movie.key });
+    }, [request]);
+
+    const addUrl = useCallback((url) => {
+        request('queue-add', { kind: 'url', title: fileNameFromUrl(url), url });
+    }, [request]);
+
+    const remove = useCallback((id) => {
+        localFilesRef.current.delete(id);
+        request('queue-remove', { id });
+    }, [request]);
+
+    const move = useCallback((id, toIndex) => {
+        request('queue-move', { id, toIndex });
+    }, [request]);
+
+    // `expectedCurrentId` makes a "play next" racing the end-of-movie advance a no-op.
+    const playNext = useCallback(() => {
+        request('queue-advance', { expectedCurrentId: queue.nowPlaying?.id ?? null });
+    }, [request, queue.nowPlaying]);
+
+    return {
+        queue,
+        loadError,
+        addFile,
+        addLibraryMovie,
+        addUrl,
+        remove,
+        move,
+        playNext,
+    };
+}
@@ -4,8 +4,11 @@ import SimplePeer from 'simple-peer';
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || 'http://localhost:3001';
 
 /**
- * Manages WebRTC peer connection for video call (webcam/mic) only.
+ * Manages WebRTC peer connections for video call (webcam/mic) only.
  * Movie streaming is handled separately via data channel (useFileStream).
+ *
+ * Rooms can hold more than two participants, so one SimplePeer is kept per
+ * remote socket (full mesh). Signaling messages carry `to`/`from` socket ids.
  */
 export default function useWebRTC({
     socket,
@@ -15,7 +18,9 @@ export default function useWebRTC({
     onConnect,
     onDisconnect,
 }) {
-    const peerRef = useRef(null);
+    const peersRef = useRef(new Map()); // remote socket id -> SimplePeer
+    const initiatorsRef = useRef(new Map()); // remote socket id -> whether we sent the offer
+    const connectedPeersRef = useRef(new Set());
     const [connectionState, setConnectionState] = useState('disconnected');
     const iceServersRef = useRef([
         { urls: 'stun:stun.l.google.com:19302' },
@@ -43,14 +48,37 @@ export default function useWebRTC({
             .catch(() => { });
     }, []);
 
+    const refreshConnectionState = useCallback(() => {
+        if (connectedPeersRef.current.size > 0) {
+            setConnectionState('connected');
+        } else if (peersRef.current.size > 0) {
+            setConnectionState('connecting');
+        } else {
+            setConnectionState('disconnected');
+        }
+    }, []);
+
+    const destroyPeer = useCallback((peerId) => {
+        const peer = peersRef.current.get(peerId);
+        if (!peer) return;
+        peersRef.current.delete(peerId);
+        initiatorsRef.current.delete(peerId);
+        connectedPeersRef.current.delete(peerId);
+        peer.destroy();
+        refreshConnectionState();
+        onDisconnectRef.current?.(peerId, connectedPeersRef.current.size);
+    }, [refreshConnectionState]);
+
     const createPeer = useCallback(
-        (initiator) => {
-            if (peerRef.current) {
-                peerRef.current.destroy();
-                peerRef.current = null;
+        (peerId, initiator) => {
+            const existing = peersRef.current.get(peerId);
+            if (existing) {
+                peersRef.current.delete(peerId);
+                connectedPeersRef.current.delete(peerId);
+                existing.destroy();
             }
 
-            console.log('[webrtc] creating peer, initiator:', initiator,
+            console.log('[webrtc] creating peer for', peerId, 'initiator:', initiator,
                 'callStream:', !!callStreamRef.current);
 
             const peer = new SimplePeer({
@@ -62,36 +90,42 @@ export default function useWebRTC({
                 stream: callStreamRef.current || undefined,
             });
 
+            // Events from a peer that has since been replaced must not touch state.
+            const isCurrent = () => peersRef.current.get(peerId) === peer;
+
             peer.on('signal', (data) => {
                 const sock = socket.current;
                 if (!sock) return;
                 if (data.type === 'offer') {
-                    console.log('[webrtc] sending offer');
-                    sock.emit('offer', { offer: data });
+                    console.log('[webrtc] sending offer to', peerId);
+                    sock.emit('offer', { offer: data, to: peerId });
                 } else if (data.type === 'answer') {
-                    console.log('[webrtc] sending answer');
-                    sock.emit('answer', { answer: data });
+                    console.log('[webrtc] sending answer to', peerId);
+                    sock.emit('answer', { answer: data, to: peerId });
                 } else if (data.candidate) {
-                    sock.emit('ice-candidate', { candidate: data });
+                    sock.emit('ice-candidate', { candidate: data, to: peerId });
                 }
             });
 
             peer.on('connect', () => {
-                console.log('[webrtc] peer connected!');
-                setConnectionState('connected');
-                onConnectRef.current?.();
+                if (!isCurrent()) return;
+                console.log('[webrtc] peer connected!', peerId);
+                connectedPeersRef.current.add(peerId);
+                refreshConnectionState();
+                onConnectRef.current?.(peerId);
             });
 
             peer.on('stream', (stream) => {
-                console.log('[webrtc] received call stream, tracks:',
+                if (!isCurrent()) return;
+                console.log('[webrtc] received call stream from', peerId, 'tracks:',
                     stream.getTracks().map(t => `${t.kind}:${t.label}`));
-                onCallStreamRef.current?.(stream);
+                onCallStreamRef.current?.(stream, peerId);
             });
 
             peer.on('close', () => {
-                console.log('[webrtc] peer disconnected');
-                setConnectionState('disconnected');
-                onDisconnectRef.current?.();
+                if (!isCurrent()) return;
+                console.log('[webrtc] peer disconnected', peerId);
+                destroyPeer(peerId);
             });
 
             peer.on('error', (err) => {
@@ -100,16 +134,17 @@ export default function useWebRTC({
                     console.log('[webrtc] peer connection closed (clean abort)');
                     return;
                 }
-                console.error('[webrtc] error:', err.message);
-                setConnectionState('disconnected');
-                onDisconnectRef.current?.();
+                if (!isCurrent()) return;
+                console.error('[webrtc] error:', peerId, err.message);
+                destroyPeer(peerId);
             });
 
-            peerRef.current = peer;
-            setConnectionState('connecting');
+            peersRef.current.set(peerId, peer);
+            initiatorsRef.current.set(peerId, initiator);
+            refreshConnectionState();
             return peer;
         },
-        [socket]
+        [socket, refreshConnectionState, destroyPeer]
     );
 
     // Listen for signaling events
@@ -122,49 +157,56 @@ export default function useWebRTC({
 
         console.log('[webrtc] setting up signaling listeners, isHost:', isHost);
 
-        const handleStartWebRTC = ({ role }) => {
-            console.log('[webrtc] start-webrtc event, role:', role);
-            if (peerRef.current && !peerRef.current.destroyed) {
+        const handleStartWebRTC = ({ peerId, role, initiator }) => {
+            console.log('[webrtc] start-webrtc event, peer:', peerId, 'role:', role, 'initiator:', initiator);
+            if (!peerId) return;
+            const existing = peersRef.current.get(peerId);
+            if (existing && !existing.destroyed) {
                 console.log('[webrtc] peer already active, ignoring duplicate');
                 return;
             }
-            if (role === 'host') {
-                createPeer(true);
+            // Older servers only sent the role; the host was always the initiator.
+            if (initiator ?? role === 'host') {
+                createPeer(peerId, true);
             }
         };
 
-        const handleOffer = ({ offer }) => {
-            console.log('[webrtc] received offer');
-            if (peerRef.current && !peerRef.current.destroyed) {
+        const handleOffer = ({ offer, from }) => {
+            console.log('[webrtc] received offer from', from);
+            const existing = peersRef.current.get(from);
+            if (existing && !existing.destroyed) {
                 console.log('[webrtc] signaling existing peer (renegotiation)');
-                peerRef.current.signal(offer);
+                existing.signal(offer);
             } else {
-                const peer = createPeer(false);
+                const peer = createPeer(from, false);
                 peer.signal(offer);
             }
         };
 
-        const handleAnswer = ({ answer }) => {
-            console.log('[webrtc] received answer');
-            if (peerRef.current && !peerRef.current.destroyed) {
-                peerRef.current.signal(answer);
+        const handleAnswer = ({ answer, from }) => {
+            console.log('[webrtc] received answer from', from);
+            const peer = peersRef.current.get(from);
+            if (peer && !peer.destroyed) {
+                peer.signal(answer);
             }
         };
 
-        const handleIceCandidate = ({ candidate }) => {
-            if (peerRef.current && !peerRef.current.destroyed) {
-                peerRef.current.signal(candidate);
+        const handleIceCandidate = ({ candidate, from }) => {
+            const peer = peersRef.current.get(from);
+            if (peer && !peer.destroyed) {
+                peer.signal(candidate);
             }
         };
 
-        const handlePeerLeft = () => {
-            console.log('[webrtc] peer left');
-            if (peerRef.current) {
-                peerRef.current.destroy();
-                peerRef.current = null;
+        const handlePeerLeft = ({ socketId } = {}) => {
+            console.log('[webrtc] peer left', socketId);
+            if (socketId) {
+                destroyPeer(socketId);
+                return;
+            }
+            for (const peerId of [...peersRef.current.keys()]) {
+                destroyPeer(peerId);
             }
-            setConnectionState('disconnected');
-            onDisconnectRef.current?.();
         };
 
         sock.on('start-webrtc', handleStartWebRTC);
@@ -180,13 +222,15 @@ export default function useWebRTC({
             sock.off('ice-candidate', handleIceCandidate);
             sock.off('peer-left', handlePeerLeft);
         };
-    }, [socket, isHost, createPeer]);
+    }, [socket, isHost, createPeer, destroyPeer]);
 
-    // When callStream becomes available after peer is already connected, add it
+    // When callStream becomes available after peers are already connected, add it
     useEffect(() => {
-        if (peerRef.current && !peerRef.current.destroyed && callStream) {
+        if (!callStream) return;
+        for (const peer of peersRef.current.values()) {
+            if (peer.destroyed) continue;
             try {
-                peerRef.current.addStream(callStream);
+                peer.addStream(callStream);
                 console.log('[webrtc] added delayed call stream to existing peer');
             } catch (e) {
                 console.warn('[webrtc] could not add call stream (might already exist):', e.message);
@@ -194,24 +238,29 @@ export default function useWebRTC({
         }
     }, [callStream]);
 
+    // Each side keeps the role it had when the pair first connected, so exactly one offers again.
     const reconnect = useCallback(() => {
-        if (peerRef.current) {
-            peerRef.current.destroy();
+        for (const peerId of [...peersRef.current.keys()]) {
+            createPeer(peerId, initiatorsRef.current.get(peerId) ?? isHost);
         }
-        createPeer(isHost);
     }, [createPeer, isHost]);
 
     useEffect(() => {
+        const peers = peersRef.current;
+        const connected = connectedPeersRef.current;
+        const initiators = initiatorsRef.current;
         return () => {
-            if (peerRef.current) {
-                peerRef.current.destroy();
-                peerRef.current = null;
+            for (const peer of peers.values()) {
+                peer.destroy();
             }
+            peers.clear();
+            connected.clear();
+            initiators.clear();
         };
     }, []);
 
     return {
-        peer: peerRef,
+        peers: peersRef,
         connectionState,
         reconnect,
     };
@@ -1,4 +1,4 @@
-import { useState, useRef, useCallback, useEffect } from 'react';
+import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import { RoomProvider, useRoom } from '../context/RoomContext.jsx';
 import useSocket from '../hooks/useSocket.js';
@@ -6,14 +6,27 @@ import useWebRTC from '../hooks/useWebRTC.js';
 import useWebTorrent from '../hooks/useWebTorrent.js';
 import useMediaDevices from '../hooks/useMediaDevices.js';
 import usePlaybackSync from '../hooks/usePlaybackSync.js';
+import useReadyCheck from '../hooks/useReadyCheck.js';
+import useWatchQueue from '../hooks/useWatchQueue.js';
+import useLiveReactions from '../hooks/useLiveReactions.js';
+import { saveSubtitleTiming, loadSubtitleTiming } from '../utils/movieLibrary.js';
+import { DEFAULT_SUBTITLE_TIMING } from '../utils/subtitleTiming.js';
 import VideoPlayer from '../components/Room/VideoPlayer.jsx';
 import VideoCall from '../components/Room/VideoCall.jsx';
 import Chat from '../components/Room/Chat.jsx';
 import Subtitles from '../components/Room/Subtitles.jsx';
+import RoomSettings from '../components/Room/RoomSettings.jsx';
+import ReadyCheck from '../components/Room/ReadyCheck.jsx';
+import WatchQueue from '../components/Room/WatchQueue.jsx';
 
 const roomRoleKey = (code) => `lovestream.role.${code}`;
 const roomRoleMetaKey = (code) => `lovestream.role.meta.${code}`;
+const roomPassphraseKey = (code) => `lovestream.passphrase.${code}`;
 const DEFAULT_RECONNECT_GRACE_MS = 24 * 60 * 60 * 1000;
+const TYPING_TIMEOUT_MS = 6000; // a little over Chat's refresh interval
+const NO_CUES = [];
+const SUBTITLE_TIMING_SAVE_DELAY_MS = 1000;
+const MAX_SUBTITLE_SHARE_BYTES = 3.5e6; // under the server's maxHttpBufferSize (4 MB)
 
 function getStoredRoomRole(code) {
     try {
@@ -45,6 +58,22 @@ function setStoredRoomRole(code, role, ttlMs = DEFAULT_RECONNECT_GRACE_MS) {
     } catch { }
 }
 
+// Session-scoped so a room PIN survives reloads/reconnects but not the browser session.
+function getStoredPassphrase(code) {
+    try {
+        return sessionStorage.getItem(roomPassphraseKey(code)) || '';
+    } catch {
+        return '';
+    }
+}
+
+function setStoredPassphrase(code, passphrase) {
+    try {
+        if (passphrase) sessionStorage.setItem(roomPassphraseKey(code), passphrase);
+        else sessionStorage.removeItem(roomPassphraseKey(code));
+    } catch { }
+}
+
 function RoomContent() {
     const { roomCode } = useParams();
     const location = useLocation();
@@ -55,9 +84,13 @@ function RoomContent() {
         return getStoredRoomRole(roomCode) || 'viewer';
     });
     const isHost = role === 'host';
+    const [passphrase, setPassphrase] = useState(() => location.state?.passphrase || getStoredPassphrase(roomCode));
+    const [pinPrompt, setPinPrompt] = useState(null); // { error } while the server wants a PIN
+    const [pinInput, setPinInput] = useState('');
+    const [removedNotice, setRemovedNotice] = useState(''); // set when an admin closed the room or removed us
 
     const { state, dispatch } = useRoom();
-    const { socket, isConnected, getParticipantId, getClientCapabilities } = useSocket();
+    const { socket, isConnected, getParticipantId, getParticipantToken, getClientCapabilities, clock } = useSocket();
     const { localStream, cameraOn, micOn, permissionError, startMedia, stopMedia, toggleCamera, toggleMic } =
         useMediaDevices();
 
@@ -66,17 +99,25 @@ function RoomContent() {
     const viewerVideoRef = useRef(null);
     const activeVideoRef = isHost ? hostVideoRef : viewerVideoRef;
 
-    // Remote webcam stream
-    const [remoteCallStream, setRemoteCallStream] = useState(null);
+    // Remote webcam streams, keyed by the sender's socket id
+    const [remoteCallStreams, setRemoteCallStreams] = useState({});
 
-    // Subtitles
-    const [subtitleCues, setSubtitleCues] = useState([]);
+    // Subtitles — the room holds a set of tracks, each participant shows their own pick
+    const activeSubtitleTrack = state.subtitleTracks.find((t) => t.id === state.activeSubtitleTrackId) || null;
+    const subtitleCues = activeSubtitleTrack?.subtitles || NO_CUES;
+    // Each track carries its own delay / framerate fix
+    const subtitleTiming = activeSubtitleTrack?.timing || DEFAULT_SUBTITLE_TIMING;
+    const activeSubtitleTrackRef = useRef(activeSubtitleTrack);
+    useEffect(() => {
+        activeSubtitleTrackRef.current = activeSubtitleTrack;
+    }, [activeSubtitleTrack]);
     const [currentTime, setCurrentTime] = useState(0);
     const [viewerPlayableReady, setViewerPlayableReady] = useState(false);
     const [downloadCompleteToast, setDownloadCompleteToast] = useState('');
     const [partnerDisconnected, setPartnerDisconnected] = useState(false);
     const [allowSoloPlayback, setAllowSoloPlayback] = useState(false);
     const [roomMode, setRoomMode] = useState('web-compatible');
+    const [roomSettings, setRoomSettings] = useState(null);
     const [usingLocalPlayback, setUsingLocalPlayback] = useState(false);
     const [peerUsingLocalPlayback, setPeerUsingLocalPlayback] = useState(false);
     const [manualSeedMode, setManualSeedMode] = useState(true);
@@ -89,18 +130,20 @@ function RoomContent() {
         setStoredRoomRole(roomCode, role, DEFAULT_RECONNECT_GRACE_MS);
     }, [roomCode, role]);
 
+    useEffect(() => {
+        setStoredPassphrase(roomCode, passphrase);
+    }, [roomCode, passphrase]);
+
     // WebRTC (video call only — no movie stream)
     const {
-        peer,
         connectionState,
-        reconnect,
     } = useWebRTC({
         socket,
         isHost,
         callStream: localStream,
-        onCallStream: (stream) => {
-            console.log('[room] received call stream');
-            setRemoteCallStream(stream);
+        onCallStream: (stream, peerId) => {
+            console.log('[room] received call stream from', peerId);
+            setRemoteCallStreams((prev) => ({ ...prev, [peerId]: stream }));
         },
         onConnect: () => {
             dispatch({ type: 'SET_PEER_CONNECTED', connected: true });
@@ -114,23 +157,21 @@ function RoomContent() {
                     socket.current?.emit('movie-loaded', { name: state.movieName, duration: state.movieDuration });
                 }
 
-                // 2. Resend subtitles
-                if (subtitleCues.length > 0) {
-                    console.log('[room] syncing subtitles to peer');
-                    socket.current?.emit('subtitle-data', { subtitles: subtitleCues, filename: state.subtitleFilename });
-                }
-
-                // 3. Reseed file (if selected)
+                // 2. Reseed file (if selected)
                 if (currentFileRef.current && !peerUsingLocalPlayback && !manualSeedMode) {
                     console.log('[room] peer connected, re-seeding current file');
                     seedFileRef.current?.(currentFileRef.current);
                 }
             }
         },
-        onDisconnect: () => {
+        onDisconnect: (peerId, remainingPeers) => {
+            setRemoteCallStreams((prev) => {
+                const { [peerId]: _removed, ...rest } = prev;
+                return rest;
+            });
+            if (remainingPeers > 0) return;
             dispatch({ type: 'SET_PEER_CONNECTED', connected: false });
             dispatch({ type: 'SET_CONNECTION_STATE', state: 'disconnected' });
-            setRemoteCallStream(null);
         },
     });
 
@@ -168,7 +209,10 @@ function RoomContent() {
     // Playback sync
     const playbackSync = usePlaybackSync({
         socket,
+        clock,
         videoRef: activeVideoRef,
+        isHost,
+        syncSettings: roomSettings?.sync,
         onSyncEvent: (type, time) => {
             dispatch({ type: 'SET_CURRENT_TIME', time });
             if (type === 'play') dispatch({ type: 'SET_PLAYING', isPlaying: true });
@@ -181,6 +225,47 @@ function RoomContent() {
         },
     });
 
+    // For the rejoin resync, which runs from the join effect
+    const playbackSyncRef = useRef(playbackSync);
+    useEffect(() => {
+        playbackSyncRef.current = playbackSync;
+    }, [playbackSync]);
+
+    const showNotice = useCallback((text) => {
+        setDownloadCompleteToast(text);
+        setTimeout(() => setDownloadCompleteToast(''), 2500);
+    }, []);
+
+    // Ready check → synchronized start. Everyone confirmed, so the host's
+    // "partner ready" gate is satisfied too.
+    const handleReadyCheckStart = useCallback(() => {
+        if (!isHost) return;
+        setViewerPlayableReady(true);
+        autoStartedRef.current = true;
+    }, [isHost]);
+    const readyCheck = useReadyCheck({
+        socket,
+        clock,
+        playbackSync,
+        bufferProgress: isHost || usingLocalPlayback ? 100 : downloadProgress,
+        onStart: handleReadyCheckStart,
+        onNotice: showNotice,
+    });
+
+    const liveReactions = useLiveReactions({ socket, videoRef: activeVideoRef, onNotice: showNotice });
+
+    // Watch queue — the host loads and seeds each entry as it comes up
+    const [queuedFile, setQueuedFile] = useState(null); // { file, id }
+    const handleQueueAdvance = useCallback((file, item) => {
+        setQueuedFile({ file, id: item.id });
+    }, []);
+    const watchQueue = useWatchQueue({
+        socket,
+        isHost,
+        onAdvance: handleQueueAdvance,
+        onNotice: showNotice,
+    });
+
     // Initialize room
     useEffect(() => {
         dispatch({ type: 'SET_ROOM', roomCode, role });
@@ -203,54 +288,32 @@ function RoomContent() {
     // Join/rejoin room and signal readiness for WebRTC connection
     useEffect(() => {
         const sock = socket.current;
-        if (!sock || !isConnected || !mediaReady) return;
+        if (!sock || !isConnected || !mediaReady || removedNotice) return;
 
-        let retryTimer = null;
-        let retryCount = 0;
-        const MAX_VIEWER_RETRIES = 5;
-        const RETRY_DELAY_MS = 3000;
+        const joinPayload = () => ({
+            code: roomCode,
+            participantToken: getParticipantToken() || undefined,
+            capabilities: getClientCapabilities(),
+            passphrase: passphrase || undefined,
+        });
 
         const handleJoinResponse = (response) => {
             if (!response.success) {
                 console.error('[room] failed to join:', response.error);
 
-                // If room not found (server restarted), host re-creates it
-                if (isHost && /not found/i.test(response.error || '')) {
-                    console.log('[room] server lost room state — host re-creating room', roomCode);
-                    sock.emit('create-room', {
-                        participantId: getParticipantId(),
-                        capabilities: getClientCapabilities(),
-                        requestedCode: roomCode,
-                    }, (createResp) => {
-                        if (createResp.success) {
-                            console.log('[room] room re-created, joining…');
-                            sock.emit('join-room', {
-                                code: roomCode,
-                                participantId: getParticipantId(),
-                                capabilities: getClientCapabilities(),
-                            }, handleJoinResponse);
-                        } else {
-                            console.error('[room] re-create failed:', createResp.error);
-                        }
-                    });
+                if (response.code === 'PASSPHRASE_REQUIRED' || response.code === 'PASSPHRASE_INVALID') {
+                    setPinPrompt({ error: response.code === 'PASSPHRASE_INVALID' ? response.error : '' });
+                    return;
                 }
 
-                // Viewer: room not found → host may not have re-created it yet, retry
-                if (!isHost && /not found/i.test(response.error || '') && retryCount < MAX_VIEWER_RETRIES) {
-                    retryCount++;
-                    console.log(`[room] viewer retrying join in ${RETRY_DELAY_MS}ms (attempt ${retryCount}/${MAX_VIEWER_RETRIES})`);
-                    retryTimer = setTimeout(() => {
-                        sock.emit('join-room', {
-                            code: roomCode,
-                            participantId: getParticipantId(),
-                            capabilities: getClientCapabilities(),
-                        }, handleJoinResponse);
-                    }, RETRY_DELAY_MS);
+                // Rooms outlive server restarts, so a missing room is gone for good
+                if (/not found/i.test(response.error || '')) {
+                    setRemovedNotice('This room no longer exists.');
                 }
                 return;
             }
 
-            retryCount = 0;
+            setPinPrompt(null);
             const serverRole = response?.room?.role;
             const mode = response?.mode || 'web-compatible';
             const reconnectGraceMs = response?.reconnectGraceMs || DEFAULT_RECONNECT_GRACE_MS;
@@ -270,26 +333,29 @@ function RoomContent() {
                     const time = videoEl.currentTime;
                     const paused = videoEl.paused;
                     console.log('[room] re-syncing playback position:', time, paused ? 'paused' : 'playing');
-                    sock.emit('sync-seek', { time, actionId: `resync-${Date.now()}` });
+                    // Through the sync hook so the actions carry baseSeq like any other
+                    const sync = playbackSyncRef.current;
+                    sync.emitSeek(time);
                     if (!paused) {
-                        sock.emit('sync-play', { time, actionId: `resync-play-${Date.now()}` });
+                        sync.emitPlay(time);
                     } else {
-                        sock.emit('sync-pause', { time, actionId: `resync-pause-${Date.now()}` });
+                        sync.emitPause(time);
                     }
                 }, 2000); // wait for viewer to also reconnect
             }
         };
 
-        sock.emit('join-room', {
-            code: roomCode,
-            participantId: getParticipantId(),
-            capabilities: getClientCapabilities(),
-        }, handleJoinResponse);
+        sock.emit('join-room', joinPayload(), handleJoinResponse);
+    }, [isConnected, roomCode, socket, mediaReady, isHost, passphrase, removedNotice, getParticipantToken, getClientCapabilities]);
 
-        return () => {
-            if (retryTimer) clearTimeout(retryTimer);
-        };
-    }, [isConnected, roomCode, socket, mediaReady, isHost, getParticipantId, getClientCapabilities]);
+    const handlePinSubmit = useCallback((e) => {
+        e.preventDefault();
+        const value = pinInput.trim();
+        if (!value) return;
+        setPinInput('');
+        setPinPrompt(null);
+        setPassphrase(value);
+    }, [pinInput]);
 
     useEffect(() => {
         const sock = socket.current;
@@ -303,11 +369,98 @@ function RoomContent() {
         return () => sock.off('room-mode', handleRoomMode);
     }, [socket]);
 
+    // Permissions / roster — also how a host transfer reaches this client
     useEffect(() => {
         const sock = socket.current;
         if (!sock) return;
 
-        const handlePeerLeft = ({ temporary }) => {
+        const showToast = (text, ms = 2500) => {
+            setDownloadCompleteToast(text);
+            setTimeout(() => setDownloadCompleteToast(''), ms);
+        };
+
+        const handleRoomSettings = (settings) => {
+            setRoomSettings(settings);
+            const me = settings?.participants?.find((p) => p.participantId === getParticipantId());
+            if (me && (me.role === 'host' || me.role === 'viewer')) {
+                setRole(me.role);
+                setStoredRoomRole(roomCode, me.role);
+            }
+        };
+
+        const handleHostChanged = ({ hostParticipantId }) => {
+            if (hostParticipantId === getParticipantId()) {
+                // Everyone is already watching — don't hold the new host's playback
+                // behind a fresh "partner ready" handshake.
+                setViewerPlayableReady(true);
+                autoStartedRef.current = true;
+                showToast('You are now the host.');
+            } else {
+                showToast('Host duties were handed over.');
+            }
+        };
+
+        const handlePermissionDenied = ({ reason }) => {
+            showToast(reason || 'Playback is controlled by the host in this room.');
+        };
+
+        // Admin moderation — stop rejoining
+        const handleRemoved = ({ reason }) => {
+            setStoredPassphrase(roomCode, '');
+            setRemovedNotice(reason || 'You are no longer in this room.');
+        };
+
+        const handleServerError = ({ event, code }) => {
+            if (code === 'RATE_LIMITED' && event === 'chat-message') {
+                showToast('You are sending messages too quickly.');
+            }
+        };
+
+        sock.on('room-settings', handleRoomSettings);
+        sock.on('host-changed', handleHostChanged);
+        sock.on('permission-denied', handlePermissionDenied);
+        sock.on('error', handleServerError);
+        sock.on('room-closed', handleRemoved);
+        sock.on('kicked', handleRemoved);
+        return () => {
+            sock.off('room-settings', handleRoomSettings);
+            sock.off('host-changed', handleHostChanged);
+            sock.off('permission-denied', handlePermissionDenied);
+            sock.off('error', handleServerError);
+            sock.off('room-closed', handleRemoved);
+            sock.off('kicked', handleRemoved);
+        };
+    }, [socket, roomCode, getParticipantId]);
+
+    const emitHostSetting = useCallback((event, payload) => {
+        socket.current?.emit(event, payload, (response) => {
+            if (!response?.success) {
+                setDownloadCompleteToast(response?.error || 'Could not update room settings.');
+                setTimeout(() => setDownloadCompleteToast(''), 2500);
+            }
+        });
+    }, [socket]);
+
+    const canControlPlayback = (() => {
+        const controlMode = roomSettings?.controlMode || 'everyone';
+        if (controlMode === 'everyone' || isHost) return true;
+        const me = roomSettings?.participants?.find((p) => p.participantId === getParticipantId());
+        return controlMode === 'co-hosts' && Boolean(me?.coHost);
+    })();
+
+    // Queued links are downloaded by the host's browser, so only trusted people may add them
+    const canQueueLinks = isHost || Boolean(roomSettings?.participants?.find((p) => p.participantId === getParticipantId())?.coHost);
+
+    useEffect(() => {
+        const sock = socket.current;
+        if (!sock) return;
+
+        const handlePeerLeft = ({ temporary, role: leftRole, connectedCount }) => {
+            // In group rooms a viewer dropping out doesn't stop the show — only the
+            // host leaving, or the last partner going away, does.
+            const othersRemain = typeof connectedCount === 'number' && connectedCount > 1;
+            if (leftRole !== 'host' && othersRemain) return;
+
             setPartnerDisconnected(true);
             setViewerPlayableReady(false);
             autoStartedRef.current = false;
@@ -328,20 +481,85 @@ function RoomContent() {
         return () => sock.off('peer-left', handlePeerLeft);
     }, [socket, activeVideoRef, isHost]);
 
-    // Listen for subtitle data from host
+    // Subtitle delay / framerate fix — kept per track in the room and remembered per movie in the library
+    const pendingTimingSaveRef = useRef(null); // { timer, fileName, timing }
+
+    // The host remembers against the file it picked (as named in its library); viewers
+    // against the movie the room announced.
+    const timingMovieName = useCallback(
+        () => (isHost ? currentFileRef.current?.name : state.movieName) || null,
+        [isHost, state.movieName]
+    );
+
+    const flushSubtitleTiming = useCallback(() => {
+        const pending = pendingTimingSaveRef.current;
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        pendingTimingSaveRef.current = null;
+        saveSubtitleTiming(pending.fileName, pending.timing)
+            .catch((err) => console.warn('[subtitles] could not remember timing:', err));
+    }, []);
+
+    // Delay clicks come in quick bursts; only the settled value is written
+    const rememberSubtitleTiming = useCallback((timing) => {
+        const fileName = timingMovieName();
+        if (pendingTimingSaveRef.current && pendingTimingSaveRef.current.fileName !== fileName) {
+            flushSubtitleTiming();
+        }
+        if (!fileName) return;
+        clearTimeout(pendingTimingSaveRef.current?.timer);
+        pendingTimingSaveRef.current = {
+            fileName,
+            timing,
+            timer: setTimeout(flushSubtitleTiming, SUBTITLE_TIMING_SAVE_DELAY_MS),
+        };
+    }, [timingMovieName, flushSubtitleTiming]);
+
+    useEffect(() => flushSubtitleTiming, [flushSubtitleTiming]);
+
+    // Applies to the track being watched. Without playback control the fix stays on this
+    // screen (the server would refuse it), as it does for tracks the room doesn't have yet.
+    const changeSubtitleTiming = useCallback((timing) => {
+        const track = activeSubtitleTrackRef.current;
+        if (!track) return;
+        dispatch({ type: 'SET_SUBTITLE_TIMING', trackId: track.id, timing });
+        rememberSubtitleTiming(timing);
+        const localOnly = !isHost && usingLocalPlayback;
+        if (!localOnly && canControlPlayback && !track.local) {
+            socket.current?.emit('subtitle-offset', { trackId: track.id, ...timing });
+        }
+    }, [socket, dispatch, isHost, usingLocalPlayback, canControlPlayback, rememberSubtitleTiming]);
+
+    // Listen for the room's subtitle tracks (the whole set on join, then one at a time)
     useEffect(() => {
         const sock = socket.current;
         if (!sock) return;
 
-        const handleSubtitleData = ({ subtitles, filename }) => {
+        // Someone watching their own copy keeps the room's tracks listed but off until picked
+        const autoSelect = isHost || !usingLocalPlayback;
+        const handleSubtitleTracks = ({ tracks }) => {
+            dispatch({ type: 'SET_SUBTITLE_TRACKS', tracks, autoSelect });
+        };
+        const handleSubtitleTrack = ({ track, trackIds }) => {
+            dispatch({ type: 'ADD_SUBTITLE_TRACK', track, trackIds, autoSelect });
+        };
+
+        const handleSubtitleOffset = ({ trackId, timing }) => {
             if (!isHost && usingLocalPlayback) return;
-            setSubtitleCues(subtitles);
-            dispatch({ type: 'SET_SUBTITLES', subtitles, filename });
+            const next = { ...DEFAULT_SUBTITLE_TIMING, ...timing };
+            dispatch({ type: 'SET_SUBTITLE_TIMING', trackId, timing: next });
+            if (activeSubtitleTrackRef.current?.id === trackId) rememberSubtitleTiming(next);
         };
 
-        sock.on('subtitle-data', handleSubtitleData);
-        return () => sock.off('subtitle-data', handleSubtitleData);
-    }, [socket, dispatch, isHost, usingLocalPlayback]);
+        sock.on('subtitle-tracks', handleSubtitleTracks);
+        sock.on('subtitle-track', handleSubtitleTrack);
+        sock.on('subtitle-offset', handleSubtitleOffset);
+        return () => {
+            sock.off('subtitle-tracks', handleSubtitleTracks);
+            sock.off('subtitle-track', handleSubtitleTrack);
+            sock.off('subtitle-offset', handleSubtitleOffset);
+        };
+    }, [socket, dispatch, isHost, usingLocalPlayback, rememberSubtitleTiming]);
 
     // Listen for movie metadata
     useEffect(() => {
@@ -352,31 +570,9 @@ function RoomContent() {
             dispatch({ type: 'SET_MOVIE', name, duration });
         };
 
-        const handlePlaybackSnapshot = ({ playback }) => {
-            if (!playback || typeof playback.time !== 'number') return;
-            const video = activeVideoRef.current;
-            if (!video) return;
-
-            const time = Math.max(0, playback.time || 0);
-            video.currentTime = time;
-            dispatch({ type: 'SET_CURRENT_TIME', time });
-
-            if (playback.type === 'play') {
-                video.play().catch(() => { });
-                dispatch({ type: 'SET_PLAYING', isPlaying: true });
-            } else {
-                video.pause();
-                dispatch({ type: 'SET_PLAYING', isPlaying: false });
-            }
-        };
-
         sock.on('movie-loaded', handleMovieLoaded);
-        sock.on('playback-snapshot', handlePlaybackSnapshot);
-        return () => {
-            sock.off('movie-loaded', handleMovieLoaded);
-            sock.off('playback-snapshot', handlePlaybackSnapshot);
-        };
-    }, [socket, dispatch, activeVideoRef]);
+        return () => sock.off('movie-loaded', handleMovieLoaded);
+    }, [socket, dispatch]);
 
     useEffect(() => {
         const sock = socket.current;
@@ -463,7 +659,8 @@ function RoomContent() {
             if (!isPreTranscodeSeed) {
                 currentFileRef.current = file;
 
-                if (isHost && manualSeedMode) {
+                // Queue entries advance on their own; manual seeding only gates hand-picked files
+                if (isHost && manualSeedMode && !options.autoSeed) {
                     resetTransferState();
                     setPendingSeedFile({ file, streamPath });
                     setDownloadCompleteToast('Movie ready. Click Start Seeding when you want to share.');
@@ -486,18 +683,43 @@ function RoomContent() {
         setPendingSeedFile(null);
     }, [pendingSeedFile, seedFile]);
 
-    // Handle subtitles loaded by host
+    // Subtitles loaded here show right away and join the room's set once the server accepts them.
+    // A fresh track starts from whatever fix was last used with this movie.
     const handleSubtitlesLoaded = useCallback(
-        (cues, filename, options = {}) => {
-            setSubtitleCues(cues);
-            dispatch({ type: 'SET_SUBTITLES', subtitles: cues, filename });
-            if (!options.localOnly) {
-                socket.current?.emit('subtitle-data', { subtitles: cues, filename });
+        async (cues, filename, options = {}) => {
+            const remembered = await loadSubtitleTiming(timingMovieName()).catch(() => null);
+            const timing = remembered ? { ...DEFAULT_SUBTITLE_TIMING, ...remembered } : null;
+            const localId = `local-${filename}`;
+            dispatch({
+                type: 'ADD_SUBTITLE_TRACK',
+                track: { id: localId, name: filename, subtitles: cues, ass: options.ass || null, timing, addedBy: getParticipantId(), local: true },
+                select: true,
+            });
+            if (options.localOnly) return;
+
+            const payload = { subtitles: cues, filename, ass: options.ass || undefined, timing: timing || undefined };
+            // Past the server's buffer limit the socket would be dropped rather than the event refused
+            if (new Blob([JSON.stringify(payload)]).size > MAX_SUBTITLE_SHARE_BYTES) {
+                showNotice('These subtitles are too large to share.');
+                return;
             }
+            socket.current?.emit('subtitle-data', payload, (res) => {
+                if (res?.success) {
+                    dispatch({ type: 'SHARE_SUBTITLE_TRACK', localId, trackId: res.trackId });
+                } else {
+                    showNotice(res?.code === 'INVALID_PAYLOAD'
+                        ? 'These subtitles are too large to share.'
+                        : res?.error || 'Could not share these subtitles.');
+                }
+            });
         },
-        [dispatch, socket]
+        [dispatch, socket, getParticipantId, showNotice, timingMovieName]
     );
 
+    const selectSubtitleTrack = useCallback((trackId) => {
+        dispatch({ type: 'SELECT_SUBTITLE_TRACK', trackId });
+    }, [dispatch]);
+
     const handleLocalPlaybackToggle = useCallback((enabled) => {
         const localEnabled = Boolean(enabled);
         setUsingLocalPlayback(localEnabled);
@@ -510,7 +732,21 @@ function RoomContent() {
     }, [isHost, socket]);
 
     // Chat
-    const [chatUnread, setChatUnread] = useState(0);
+    const [typingParticipants, setTypingParticipants] = useState([]);
+    const typingTimersRef = useRef(new Map()); // participantId -> expiry timer
+
+    const setParticipantTyping = useCallback((participantId, typing) => {
+        clearTimeout(typingTimersRef.current.get(participantId));
+        typingTimersRef.current.delete(participantId);
+        if (typing) {
+            // Typists refresh every few seconds; drop them if that stops (closed tab, lost "stopped").
+            typingTimersRef.current.set(participantId, setTimeout(() => setParticipantTyping(participantId, false), TYPING_TIMEOUT_MS));
+        }
+        setTypingParticipants((prev) => {
+            const others = prev.filter((id) => id !== participantId);
+            return typing ? [...others, participantId] : others;
+        });
+    }, []);
 
     useEffect(() => {
         const sock = socket.current;
@@ -518,33 +754,105 @@ function RoomContent() {
 
         const handleChat = (message) => {
             dispatch({ type: 'ADD_CHAT_MESSAGE', message });
-            if (!state.chatOpen) {
-                setChatUnread((prev) => prev + 1);
-            }
+            if (message.participantId) setParticipantTyping(message.participantId, false);
+        };
+
+        const handleChatHistory = ({ messages }) => {
+            dispatch({ type: 'MERGE_CHAT_HISTORY', messages: messages || [], participantId: getParticipantId() });
+        };
+
+        const handleChatTyping = ({ participantId, typing }) => {
+            setParticipantTyping(participantId, typing);
+        };
+
+        const handleChatReaction = ({ messageId, reactions }) => {
+            dispatch({ type: 'SET_CHAT_REACTIONS', messageId, reactions });
+        };
+
+        const handleChatRead = ({ participantId, messageId }) => {
+            dispatch({ type: 'MARK_CHAT_READ', participantId, messageId });
         };
 
         sock.on('chat-message', handleChat);
-        return () => sock.off('chat-message', handleChat);
-    }, [socket, dispatch, state.chatOpen]);
+        sock.on('chat-history', handleChatHistory);
+        sock.on('chat-typing', handleChatTyping);
+        sock.on('chat-reaction', handleChatReaction);
+        sock.on('chat-read', handleChatRead);
+        return () => {
+            sock.off('chat-message', handleChat);
+            sock.off('chat-history', handleChatHistory);
+            sock.off('chat-typing', handleChatTyping);
+            sock.off('chat-reaction', handleChatReaction);
+            sock.off('chat-read', handleChatRead);
+        };
+    }, [socket, dispatch, setParticipantTyping, getParticipantId]);
+
+    useEffect(() => {
+        const timers = typingTimersRef.current;
+        return () => timers.forEach(clearTimeout);
+    }, []);
+
+    // Unread = other people's messages we haven't sent a receipt for yet, leaving out the
+    // backlog a first join replays (see chatReadFloor).
+    const myParticipantId = getParticipantId();
+    const unreadMessages = useMemo(
+        () => state.chatMessages.filter((m) => m.participantId
+            && m.participantId !== myParticipantId
+            && !m.seenBy?.includes(myParticipantId)
+            && (state.chatReadFloor === null || m.timestamp > state.chatReadFloor)),
+        [state.chatMessages, state.chatReadFloor, myParticipantId]
+    );
+    const chatUnread = unreadMessages.length;
+    const lastUnreadId = unreadMessages[chatUnread - 1]?.id;
+
+    useEffect(() => {
+        if (!state.chatOpen || !lastUnreadId) return;
+        socket.current?.emit('chat-read', { messageId: lastUnreadId });
+    }, [socket, state.chatOpen, lastUnreadId]);
 
     const sendChatMessage = useCallback(
-        (text) => {
-            socket.current?.emit('chat-message', { text });
+        (text, position) => {
+            socket.current?.emit('chat-message', { text, position });
         },
         [socket]
     );
 
+    const getChatCommentTime = useCallback(() => {
+        const video = activeVideoRef.current;
+        return video?.readyState ? video.currentTime : null;
+    }, [activeVideoRef]);
+
+    const jumpToChatTime = useCallback((position) => {
+        if (!canControlPlayback) {
+            showNotice(roomSettings?.controlMode === 'host-only'
+                ? 'Only the host can control playback in this room.'
+                : 'Only the host and co-hosts can control playback in this room.');
+            return;
+        }
+        if (!playbackSync.seekTo(position)) showNotice('Load the movie first to jump to that moment.');
+    }, [canControlPlayback, roomSettings, playbackSync, showNotice]);
+
+    const sendChatTyping = useCallback((typing) => {
+        socket.current?.emit('chat-typing', { typing });
+    }, [socket]);
+
+    const reactToChatMessage = useCallback((messageId, emoji) => {
+        socket.current?.emit('chat-reaction', { messageId, emoji }, (response) => {
+            if (!response?.success) showNotice(response?.error || 'Could not add that reaction.');
+        });
+    }, [socket, showNotice]);
+
     const toggleChat = useCallback(() => {
         dispatch({ type: 'TOGGLE_CHAT' });
-        if (!state.chatOpen) setChatUnread(0);
-    }, [dispatch, state.chatOpen]);
+    }, [dispatch]);
 
     const handleLeave = useCallback(() => {
         socket.current?.emit('leave-room');
+        setStoredPassphrase(roomCode, '');
         resetTransferState();
         stopMedia();
         navigate('/');
-    }, [navigate, stopMedia, socket, resetTransferState]);
+    }, [navigate, stopMedia, socket, resetTransferState, roomCode]);
 
     const copyRoomLink = useCallback(() => {
         const url = `${window.location.origin}/room/${roomCode}`;
@@ -559,6 +867,48 @@ function RoomContent() {
                 </div>
             )}
 
+            {removedNotice && (
+                <div className="room__pin-prompt">
+                    <div className="room__pin-card">
+                        <h3>{roomCode} is no longer available</h3>
+                        <p>{removedNotice}</p>
+                        <div className="room__pin-actions">
+                            <button type="button" className="landing__btn" onClick={handleLeave}>
+                                Back to home
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {pinPrompt && (
+                <div className="room__pin-prompt">
+                    <form className="room__pin-card" onSubmit={handlePinSubmit}>
+                        <h3>This room is protected</h3>
+                        <p>Enter the room PIN to join {roomCode}.</p>
+                        <input
+                            type="password"
+                            className="landing__input landing__input--pin"
+                            placeholder="PIN"
+                            value={pinInput}
+                            onChange={(e) => setPinInput(e.target.value)}
+                            maxLength={64}
+                            autoComplete="off"
+                            autoFocus
+                        />
+                        {pinPrompt.error && <div className="landing__error">{pinPrompt.error}</div>}
+                        <div className="room__pin-actions">
+                            <button type="button" className="landing__btn" onClick={handleLeave}>
+                                Back
+                            </button>
+                            <button type="submit" className="landing__btn landing__btn--join" disabled={!pinInput.trim()}>
+                                Join
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
             {isHost && partnerDisconnected && (
                 <div className="toast toast--warning">
                     <span>Partner disconnected. Playback paused.</span>
@@ -607,6 +957,15 @@ function RoomContent() {
                             {manualSeedMode ? 'Manual Seed: ON' : 'Manual Seed: OFF'}
                         </button>
                     )}
+                    {isHost && state.movieName && !readyCheck.readyCheck && (
+                        <button
+                            className="room__seed-start"
+                            onClick={readyCheck.startReadyCheck}
+                            title="Ask everyone to confirm, then start together"
+                        >
+                            Ready Check
+                        </button>
+                    )}
                     {isHost && manualSeedMode && pendingSeedFile && (
                         <button
                             className="room__seed-start"
@@ -616,6 +975,29 @@ function RoomContent() {
                             Start Seeding
                         </button>
                     )}
+                    <WatchQueue
+                        queue={watchQueue.queue}
+                        loadError={watchQueue.loadError}
+                        isHost={isHost}
+                        canControl={canControlPlayback}
+                        canAddLinks={canQueueLinks}
+                        myParticipantId={getParticipantId()}
+                        onAddFile={watchQueue.addFile}
+                        onAddLibraryMovie={watchQueue.addLibraryMovie}
+                        onAddUrl={watchQueue.addUrl}
+                        onRemove={watchQueue.remove}
+                        onMove={watchQueue.move}
+                        onPlayNext={watchQueue.playNext}
+                    />
+                    <RoomSettings
+                        settings={roomSettings}
+                        myParticipantId={getParticipantId()}
+                        isHost={isHost}
+                        onChangeControlMode={(controlMode) => emitHostSetting('update-room-settings', { controlMode })}
+                        onChangeSyncSettings={(sync) => emitHostSetting('update-room-settings', { sync })}
+                        onToggleCoHost={(participantId, enabled) => emitHostSetting('set-co-host', { participantId, enabled })}
+                        onTransferHost={(participantId) => emitHostSetting('transfer-host', { participantId })}
+                    />
                     <span className="room__movie-name" title={`Room mode: ${roomMode}`}>
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                             {roomMode === 'native'
@@ -671,18 +1053,39 @@ function RoomContent() {
                         onTimeUpdate={handleTimeUpdate}
                         onSubtitlesLoaded={handleSubtitlesLoaded}
                         playbackSync={playbackSync}
+                        liveReactions={liveReactions}
+                        subtitleCues={subtitleCues}
+                        subtitleFileName={activeSubtitleTrack?.name ?? null}
+                        subtitleTracks={state.subtitleTracks}
+                        activeSubtitleTrackId={state.activeSubtitleTrackId}
+                        onSubtitleTrackSelect={selectSubtitleTrack}
+                        subtitleTiming={subtitleTiming}
+                        onSubtitleTimingChange={changeSubtitleTiming}
+                        canControl={canControlPlayback}
                         socket={socket}
                         completedDownload={completedDownload}
                         clearCompletedDownload={clearCompletedDownload}
+                        queuedFile={queuedFile}
+                        queueItemId={watchQueue.queue.nowPlaying?.id || null}
+                        onEnded={isHost && watchQueue.queue.items.length > 0 ? watchQueue.playNext : undefined}
+                    />
+
+                    <ReadyCheck
+                        readyCheck={readyCheck.readyCheck}
+                        countdown={readyCheck.countdown}
+                        myParticipantId={getParticipantId()}
+                        isHost={isHost}
+                        onRespond={readyCheck.respond}
+                        onCancel={readyCheck.cancelReadyCheck}
                     />
 
                     {/* Subtitle overlay */}
-                    <Subtitles cues={subtitleCues} currentTime={currentTime} />
+                    <Subtitles cues={subtitleCues} assScript={activeSubtitleTrack?.ass} currentTime={currentTime} timing={subtitleTiming} videoRef={activeVideoRef} />
 
                     {/* Video call PiP */}
                     <VideoCall
                         localStream={localStream}
-                        remoteStream={remoteCallStream}
+                        remoteStreams={remoteCallStreams}
                         cameraOn={cameraOn}
                         micOn={micOn}
                         toggleCamera={toggleCamera}
@@ -697,6 +1100,12 @@ function RoomContent() {
                         messages={state.chatMessages}
                         onSend={sendChatMessage}
                         role={role}
+                        participantId={myParticipantId}
+                        typingCount={typingParticipants.length}
+                        onTyping={sendChatTyping}
+                        onReact={reactToChatMessage}
+                        getCurrentTime={state.movieName ? getChatCommentTime : null}
+                        onJumpToTime={jumpToChatTime}
                         onClose={toggleChat}
                     />
                 )}
@@ -0,0 +1,186 @@
+/**
+ * Subtitle tracks carried inside the movie file itself.
+ *
+ *   - Desktop app: the native FFmpeg pulls every text stream out of the local file.
+ *   - MP4 in the browser: mp4box.js reads tx3g / WebVTT (wvtt) samples straight from the file.
+ *   - MKV in the browser: ffmpeg.wasm (the remux path already returns them).
+ *
+ * Each track ends up as { id, label, cues, ass } shaped like a loaded subtitle file.
+ */
+import { createFile as createMP4Box } from 'mp4box';
+import { extractSubtitleTracks, needsTransmux } from './mkvHandler.js';
+import { isNativeMP4 } from './mp4Fragmenter.js';
+import { parseSubtitleTrack } from './subtitleParser.js';
+
+const MP4_TEXT_CODECS = ['tx3g', 'wvtt'];
+const MP4_READ_CHUNK = 1024 * 1024;
+const MAX_HEADER_READS = 64;
+
+const CODEC_LABELS = {
+    ass: 'ASS', ssa: 'SSA', subrip: 'SRT', srt: 'SRT', text: 'SRT',
+    webvtt: 'WebVTT', wvtt: 'WebVTT', mov_text: 'tx3g', tx3g: 'tx3g',
+};
+
+// ─── MP4 (mp4box.js) ────────────────────────────────────────
+
+function vttTime(seconds) {
+    const ms = Math.round(Math.max(0, seconds) * 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+const escapeVTT = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function readBoxes(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = [];
+    let offset = 0;
+    while (offset + 8 <= bytes.byteLength) {
+        const size = view.getUint32(offset);
+        if (size < 8 || offset + size > bytes.byteLength) break;
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        boxes.push({ type, data: bytes.subarray(offset + 8, offset + size) });
+        offset += size;
+    }
+    return boxes;
+}
+
+/**
+ * One sample's cues as WebVTT blocks: tx3g samples are a 16-bit length plus UTF-8 text,
+ * wvtt samples hold a vttc box per cue (payl = text, sttg = settings). Empty samples are gaps.
+ */
+function sampleToVTT(kind, bytes, start, end, decoder) {
+    const timing = `${vttTime(start)} --> ${vttTime(end)}`;
+    if (kind === 'tx3g') {
+        const length = bytes.length >= 2 ? (bytes[0] << 8) | bytes[1] : 0;
+        const text = decoder.decode(bytes.subarray(2, 2 + length)).trim();
+        return text ? [`${timing}\n${escapeVTT(text).replace(/\n{2,}/g, '\n')}`] : [];
+    }
+
+    const blocks = [];
+    for (const box of readBoxes(bytes)) {
+        if (box.type !== 'vttc') continue;
+        let text = '';
+        let settings = '';
+        for (const child of readBoxes(box.data)) {
+            if (child.type === 'payl') text = decoder.decode(child.data).trim();
+            if (child.type === 'sttg') settings = decoder.decode(child.data).trim();
+        }
+        if (text) blocks.push(`${timing}${settings ? ` ${settings}` : ''}\n${text.replace(/\n{2,}/g, '\n')}`);
+    }
+    return blocks;
+}
+
+/** Parse just enough of the file (moov may sit at the end) to list its tracks and sample tables. */
+async function readMP4Header(file) {
+    const mp4box = createMP4Box();
+    let info = null;
+    let failure = null;
+    mp4box.onReady = (movieInfo) => { info = movieInfo; };
+    mp4box.onError = (e) => { failure = new Error(`MP4 parse error: ${e}`); };
+
+    let offset = 0;
+    for (let reads = 0; !info && !failure && offset < file.size && reads < MAX_HEADER_READS; reads++) {
+        const buffer = await file.slice(offset, offset + MP4_READ_CHUNK).arrayBuffer();
+        buffer.fileStart = offset;
+        const next = mp4box.appendBuffer(buffer);
+        if (next <= offset) break;
+        offset = next;
+    }
+    if (failure) throw failure;
+    return { mp4box, info };
+}
+
+/**
+ * Text tracks (tx3g, wvtt) of an MP4/MOV file. Only the subtitle samples are read,
+ * using the offsets from the sample tables, so this stays cheap for large movies.
+ */
+export async function extractMP4SubtitleTracks(file) {
+    const { mp4box, info } = await readMP4Header(file);
+    if (!info) return [];
+
+    const decoder = new TextDecoder();
+    const tracks = [];
+    for (const track of info.tracks) {
+        const kind = MP4_TEXT_CODECS.find((codec) => track.codec.startsWith(codec));
+        if (!kind || !track.nb_samples) continue;
+
+        const blocks = [];
+        for (const sample of mp4box.getTrackSamplesInfo(track.id)) {
+            if (!sample.size) continue;
+            const bytes = new Uint8Array(await file.slice(sample.offset, sample.offset + sample.size).arrayBuffer());
+            const start = sample.cts / sample.timescale;
+            blocks.push(...sampleToVTT(kind, bytes, start, start + sample.duration / sample.timescale, decoder));
+        }
+        tracks.push({
+            index: track.id,
+            language: track.language || null,
+            title: null,
+            codec: kind,
+            format: 'vtt',
+            text: `WEBVTT\n\n${blocks.join('\n\n')}\n`,
+        });
+    }
+    return tracks;
+}
+
+// ─── Tracks ─────────────────────────────────────────────────
+
+function languageName(code) {
+    if (!code || code === 'und') return null;
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch {
+        return code;
+    }
+}
+
+/**
+ * Parse extracted streams ({ index, language, title, codec, format, text }) into
+ * labelled tracks, dropping any that hold no cues.
+ */
+export function toSubtitleTracks(streams = []) {
+    const tracks = [];
+    streams.forEach((stream, i) => {
+        let cues;
+        let ass;
+        try {
+            ({ cues, ass } = parseSubtitleTrack(stream.text, `track.${stream.format}`));
+        } catch (err) {
+            console.warn('[subtitles] embedded track not parsed:', stream.index, err.message);
+            return;
+        }
+        if (!cues.length) return;
+
+        const language = languageName(stream.language);
+        const names = [stream.title, language].filter(Boolean);
+        // Titles often already say the language ("English SDH")
+        const name = names.length === 2 && names[0].toLowerCase().includes(names[1].toLowerCase())
+            ? names[0]
+            : names.join(' · ');
+        tracks.push({
+            id: `${stream.codec}-${stream.index}`,
+            label: `${name || `Track ${i + 1}`} (${CODEC_LABELS[stream.codec] || stream.codec})`,
+            cues,
+            ass,
+        });
+    });
+    return tracks;
+}
+
+/**
+ * Find and parse the embedded text subtitle tracks of a movie file.
+ * @param {File} file - The original file as picked (with .path in the desktop app)
+ * @returns {Promise<Array<{id: string, label: string, cues: Array, ass: object|null}>>}
+ */
+export async function extractEmbeddedSubtitles(file) {
+    const native = window?.electron?.nativeTranscoder;
+    if (native?.extractSubtitles && file.path) {
+        const result = await native.extractSubtitles(file.path);
+        if (!result?.success) throw new Error(result?.error || 'Subtitle extraction failed');
+        return toSubtitleTracks(result.tracks);
+    }
+    if (isNativeMP4(file)) return toSubtitleTracks(await extractMP4SubtitleTracks(file));
+    if (needsTransmux(file)) return toSubtitleTracks(await extractSubtitleTracks(file));
+    return [];
+}
@@ -46,11 +46,106 @@ export async function loadFFmpeg(onProgress) {
     }
 }
 
+// Text codecs ffmpeg can write out as a file we parse; bitmap ones (PGS, VobSub) are skipped
+const TEXT_SUBTITLE_FORMATS = { subrip: 'srt', srt: 'srt', ass: 'ass', ssa: 'ass', webvtt: 'vtt', mov_text: 'srt', text: 'srt' };
+
+// e.g. "Stream #0:2(eng): Subtitle: ass (default)" or "Stream #0:3[0x1203](jpn): Subtitle: subrip"
+const SUBTITLE_STREAM_RE = /Stream #0:(\d+)(?:\[\w+\])?(?:\((\w+)\))?: Subtitle: (\w+)/;
+
+/**
+ * Watch ffmpeg's description of the input for subtitle streams (and their titles,
+ * which follow as metadata lines). Call stop() once the input has been read.
+ */
+function collectSubtitleStreams(ffmpeg) {
+    const streams = [];
+    let current = null;
+    let done = false;
+
+    const onLog = ({ message }) => {
+        if (done) return;
+        if (message.startsWith('Output #')) {
+            done = true;
+            return;
+        }
+        const match = message.match(SUBTITLE_STREAM_RE);
+        if (match) {
+            current = { index: Number(match[1]), language: match[2] || null, codec: match[3], title: null };
+            streams.push(current);
+            return;
+        }
+        if (message.includes('Stream #')) {
+            current = null;
+            return;
+        }
+        const title = current && message.match(/^\s+title\s*:\s*(.+)$/);
+        if (title) current.title = title[1].trim();
+    };
+
+    ffmpeg.on('log', onLog);
+    return {
+        streams: () => streams.filter((stream) => TEXT_SUBTITLE_FORMATS[stream.codec]),
+        stop: () => ffmpeg.off('log', onLog),
+    };
+}
+
+// All text subtitle streams in one pass, one output file each
+async function readSubtitleStreams(ffmpeg, inputName, streams) {
+    if (streams.length === 0) return [];
+
+    const outputs = streams.map((stream) => ({
+        ...stream,
+        format: TEXT_SUBTITLE_FORMATS[stream.codec],
+        outputName: `subs-${stream.index}.${TEXT_SUBTITLE_FORMATS[stream.codec]}`,
+    }));
+    const args = ['-i', inputName];
+    for (const output of outputs) args.push('-map', `0:${output.index}`, output.outputName);
+    await ffmpeg.exec(args);
+
+    const decoder = new TextDecoder();
+    const tracks = [];
+    for (const { outputName, ...stream } of outputs) {
+        try {
+            tracks.push({ ...stream, text: decoder.decode(await ffmpeg.readFile(outputName)) });
+            await ffmpeg.deleteFile(outputName);
+        } catch (err) {
+            console.warn('[ffmpeg] subtitle stream not extracted:', stream.index, err.message);
+        }
+    }
+    return tracks;
+}
+
+/**
+ * Extract the embedded text subtitle streams of a file without remuxing it.
+ * @param {File} file - The input file
+ * @returns {Promise<Array<{index: number, language: string|null, title: string|null, codec: string, format: string, text: string}>>}
+ */
+export async function extractSubtitleTracks(file) {
+    const ffmpeg = await loadFFmpeg();
+    const { fetchFile } = await import('@ffmpeg/util');
+    const inputName = `subs-input.${file.name.split('.').pop()}`;
+
+    await ffmpeg.writeFile(inputName, await fetchFile(file));
+    const collector = collectSubtitleStreams(ffmpeg);
+    try {
+        // No output: ffmpeg just describes the input (and exits with an error)
+        await ffmpeg.exec(['-i', inputName]);
+    } finally {
+        collector.stop();
+    }
+
+    try {
+        return await readSubtitleStreams(ffmpeg, inputName, collector.streams());
+    } finally {
+        await ffmpeg.deleteFile(inputName);
+    }
+}
+
 /**
  * Remux a video file (MKV, MP4) to Fragmented MP4 (fMP4) for MSE streaming.
  * @param {File} file - The input file
  * @param {Function} onProgress - Progress callback (0-100)
- * @returns {Promise<{url: string, isHevc: boolean, mime: string}>} Result object
+ * @returns {Promise<{url: string, isHevc: boolean, mime: string, subtitleTracks: Array}>} Result object,
+ *   with the embedded text subtitles as returned by extractSubtitleTracks
  */
 export async function transmuxToFMP4(file, onProgress, options = {}) {
     const ffmpeg = await loadFFmpeg(onProgress);
@@ -111,7 +206,10 @@ export async function transmuxToFMP4(file, onProgress, options = {}) {
         }
     });
 
+    const subtitleCollector = collectSubtitleStreams(ffmpeg);
+
     // Remux/transcode to fMP4 (fragmented)
+    // Subtitles are left out (-sn) and extracted separately below.
     // Always transcode audio to AAC for MSE compatibility.
     // Video: copy by default (fast), or transcode to H.264 when forceH264 is enabled.
     const ffmpegArgs = forceH264
@@ -124,6 +222,7 @@ export async function transmuxToFMP4(file, onProgress, options = {}) {
             '-c:a', 'aac',
             '-b:a', '192k',
             '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+            '-sn',
             outputName,
         ]
         : [
@@ -132,13 +231,22 @@ export async function transmuxToFMP4(file, onProgress, options = {}) {
             '-c:a', 'aac',
             '-b:a', '192k',
             '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+            '-sn',
             outputName,
         ];
 
     await ffmpeg.exec(ffmpegArgs);
+    subtitleCollector.stop();
 
     const data = await ffmpeg.readFile(outputName);
 
+    let subtitleTracks = [];
+    try {
+        subtitleTracks = await readSubtitleStreams(ffmpeg, inputName, subtitleCollector.streams());
+    } catch (err) {
+        console.warn('[ffmpeg] subtitle extraction failed:', err.message);
+    }
+
     // Create blob with CORRECT codec string (or generic)
     // If HEVC, browser might still fail if no hardware support.
     const detectedCodec = forceH264 ? `avc1.640028,${detectedAudioCodec}` : `${detectedVideoCodec},${detectedAudioCodec}`;
@@ -150,7 +258,7 @@ export async function transmuxToFMP4(file, onProgress, options = {}) {
     await ffmpeg.deleteFile(inputName);
     await ffmpeg.deleteFile(outputName);
 
-    return { url, isHevc, mime, transcodedVideo: forceH264 };
+    return { url, isHevc, mime, transcodedVideo: forceH264, subtitleTracks };
 }
 
 /**
@@ -7,7 +7,8 @@
 
 const LIB_DB_NAME = 'lovestream-library';
 const LIB_STORE = 'movies';
-const LIB_DB_VERSION = 1;
+const TIMING_STORE = 'subtitleTimings'; // fileName -> subtitle delay / framerate fix
+const LIB_DB_VERSION = 2;
 
 /* ── helpers ── */
 
@@ -25,6 +26,9 @@ function openLibDb() {
                 const store = db.createObjectStore(LIB_STORE, { keyPath: 'key' });
                 store.createIndex('fileName', 'fileName', { unique: false });
             }
+            if (!db.objectStoreNames.contains(TIMING_STORE)) {
+                db.createObjectStore(TIMING_STORE, { keyPath: 'fileName' });
+            }
         };
 
         request.onsuccess = () => resolve(request.result);
@@ -32,12 +36,12 @@ function openLibDb() {
     });
 }
 
-function libTransaction(mode, callback) {
+function libTransaction(mode, callback, storeName = LIB_STORE) {
     return openLibDb().then(
         (db) =>
             new Promise((resolve, reject) => {
-                const tx = db.transaction(LIB_STORE, mode);
-                const store = tx.objectStore(LIB_STORE);
+                const tx = db.transaction(storeName, mode);
+                const store = tx.objectStore(storeName);
                 const result = callback(store);
 
                 tx.oncomplete = () => resolve(result);
@@ -185,6 +189,31 @@ export async function removeMovie(key) {
     });
 }
 
+/**
+ * Remember the subtitle timing (delay / framerate fix) used with a movie. Kept in its own
+ * small store keyed by file name, so saving never rewrites the movie's blob.
+ */
+export async function saveSubtitleTiming(fileName, timing) {
+    if (!fileName) return;
+    await libTransaction('readwrite', (store) => {
+        store.put({ fileName, timing, savedAt: Date.now() });
+    }, TIMING_STORE);
+}
+
+/**
+ * The subtitle timing last used with a movie, or null.
+ */
+export async function loadSubtitleTiming(fileName) {
+    if (!fileName) return null;
+    return libTransaction('readonly', (store) => {
+        const req = store.get(fileName);
+        return new Promise((resolve) => {
+            req.onsuccess = () => resolve(req.result?.timing || null);
+            req.onerror = () => resolve(null);
+        });
+    }, TIMING_STORE);
+}
+
 /**
  * Get total library size in bytes.
  */
@@ -0,0 +1,43 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMovie, loadSubtitleTiming, saveMovie, saveSubtitleTiming } from './movieLibrary.js';
+
+// A library written before subtitle timings had their own store
+function openV1Library() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open('lovestream-library', 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('movies', { keyPath: 'key' });
+            store.createIndex('fileName', 'fileName', { unique: false });
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+test('subtitle timing round-trips by file name', async () => {
+    await openV1Library();
+    await saveMovie(new Blob(['movie bytes'], { type: 'video/mp4' }), 'Heat (1995).mp4');
+
+    const timing = { offset: -1.3, fromFps: 25, toFps: 23.976 };
+    await saveSubtitleTiming('Heat (1995).mp4', timing);
+
+    assert.deepEqual(await loadSubtitleTiming('Heat (1995).mp4'), timing);
+    assert.equal(await loadSubtitleTiming('Ronin (1998).mp4'), null);
+    assert.equal(await loadSubtitleTiming(null), null);
+});
+
+test('saving subtitle timing leaves the library record alone', async () => {
+    await saveMovie(new Blob(['other bytes'], { type: 'video/mp4' }), 'Thief (1981).mp4');
+    const before = await findMovie('Thief (1981).mp4');
+
+    await saveSubtitleTiming('Thief (1981).mp4', { offset: 2, fromFps: null, toFps: null });
+    await saveSubtitleTiming('Thief (1981).mp4', { offset: 2.5, fromFps: null, toFps: null });
+
+    assert.deepEqual(await findMovie('Thief (1981).mp4'), before);
+    assert.equal((await loadSubtitleTiming('Thief (1981).mp4')).offset, 2.5);
+});
@@ -38,63 +38,490 @@ export function parseSRT(rawText) {
     return cues;
 }
 
+// VSFilter's defaults when a script doesn't say what resolution it was authored at
+const ASS_DEFAULT_PLAY_RES = [384, 288];
+
+// SSA v4 numbers alignments 1-3 bottom, 5-7 top, 9-11 middle; ASS uses numpad layout
+const SSA_ALIGNMENT = { 1: 1, 2: 2, 3: 3, 5: 7, 6: 8, 7: 9, 9: 4, 10: 5, 11: 6 };
+
+const ASS_DEFAULT_STYLE = {
+    fontName: 'Arial',
+    fontSize: 20,
+    primaryColor: '#FFFFFF',
+    primaryAlpha: 1,
+    secondaryColor: '#FF0000',
+    secondaryAlpha: 1,
+    outlineColor: '#000000',
+    outlineAlpha: 1,
+    backColor: '#000000',
+    backAlpha: 1,
+    bold: false,
+    italic: false,
+    underline: false,
+    strikeOut: false,
+    scaleX: 100,
+    scaleY: 100,
+    spacing: 0,
+    angle: 0,
+    borderStyle: 1,
+    outline: 2,
+    shadow: 2,
+    alignment: 2,
+    marginL: 10,
+    marginR: 10,
+    marginV: 10,
+};
+
+// Override tag names, longest first so e.g. \fscx isn't read as \fs + "cx"
+const ASS_TAGS = [
+    'fscx', 'fscy', 'fade', 'move', 'bord', 'shad', 'alpha', 'clip', 'iclip',
+    'fad', 'pos', 'org', 'frx', 'fry', 'frz', 'fsp', 'blur',
+    'an', 'fn', 'fs', 'fr', 'fe', 'kf', 'ko', 'be', '1c', '2c', '3c', '4c', '1a', '2a', '3a', '4a',
+    'b', 'i', 'u', 's', 'c', 'k', 'K', 'a', 'p', 'q', 'r',
+];
+
+/**
+ * ASS colours are &HAABBGGRR (alpha 00 = opaque); SSA may write them as decimal numbers.
+ * Returns a CSS hex colour plus opacity, or null for an unreadable value.
+ */
+function parseASSColor(value) {
+    if (value == null) return null;
+    const str = String(value).trim();
+    let num;
+    if (/^&H/i.test(str)) num = parseInt(str.replace(/^&H/i, '').replace(/&$/, ''), 16);
+    else if (/^-?\d+$/.test(str)) num = parseInt(str, 10) >>> 0;
+    if (num === undefined || Number.isNaN(num)) return null;
+    const hex = (n) => n.toString(16).padStart(2, '0').toUpperCase();
+    const r = num & 0xff;
+    const g = (num >>> 8) & 0xff;
+    const b = (num >>> 16) & 0xff;
+    const a = (num >>> 24) & 0xff;
+    return { color: `#${hex(r)}${hex(g)}${hex(b)}`, alpha: 1 - a / 255 };
+}
+
+function parseASSAlpha(value) {
+    const a = parseInt(String(value).replace(/^&H/i, '').replace(/&$/, ''), 16);
+    return Number.isNaN(a) ? null : 1 - (a & 0xff) / 255;
+}
+
+const assBool = (value) => value !== undefined && value !== '' && value !== '0';
+
+function parseASSStyle(fields, values, legacyAlignment) {
+    const get = (name) => values[fields.indexOf(name)]?.trim();
+    const num = (name, fallback) => {
+        const n = parseFloat(get(name));
+        return Number.isFinite(n) ? n : fallback;
+    };
+    const style = { ...ASS_DEFAULT_STYLE };
+    const colors = {
+        primary: get('primarycolour'),
+        secondary: get('secondarycolour'),
+        outline: get('outlinecolour') ?? get('tertiarycolour'),
+        back: get('backcolour'),
+    };
+    for (const [key, value] of Object.entries(colors)) {
+        const parsed = parseASSColor(value);
+        if (!parsed) continue;
+        style[`${key}Color`] = parsed.color;
+        style[`${key}Alpha`] = parsed.alpha;
+    }
+    style.fontName = get('fontname') || style.fontName;
+    style.fontSize = num('fontsize', style.fontSize);
+    style.bold = assBool(get('bold'));
+    style.italic = assBool(get('italic'));
+    style.underline = assBool(get('underline'));
+    style.strikeOut = assBool(get('strikeout'));
+    style.scaleX = num('scalex', style.scaleX);
+    style.scaleY = num('scaley', style.scaleY);
+    style.spacing = num('spacing', style.spacing);
+    style.angle = num('angle', style.angle);
+    style.borderStyle = num('borderstyle', style.borderStyle);
+    style.outline = num('outline', style.outline);
+    style.shadow = num('shadow', style.shadow);
+    const alignment = num('alignment', style.alignment);
+    style.alignment = legacyAlignment ? SSA_ALIGNMENT[alignment] || 2 : alignment;
+    style.marginL = num('marginl', style.marginL);
+    style.marginR = num('marginr', style.marginR);
+    style.marginV = num('marginv', style.marginV);
+    return style;
+}
+
+function splitOverrideTags(block) {
+    // Animated transforms (\t) can nest other tags; we don't animate, so drop them whole
+    const tags = [];
+    for (const chunk of block.replace(/\\t\([^()]*(?:\([^()]*\)[^()]*)*\)/g, '').split('\\').slice(1)) {
+        const name = ASS_TAGS.find((tag) => chunk.startsWith(tag));
+        if (!name) continue;
+        const value = chunk.slice(name.length).trim();
+        const args = value.startsWith('(') ? value.replace(/^\(|\)$/g, '').split(',').map((v) => v.trim()) : null;
+        tags.push({ name, value, args });
+    }
+    return tags;
+}
+
+/**
+ * Splits a Dialogue text field into styled runs. Cue-wide tags (\an, \pos, \move, \fad,
+ * \frz) are collected separately; per-run overrides only record what differs from the
+ * line's style, and karaoke timings (ms from the cue start) stay attached to their run.
+ */
+function parseASSDialogueText(raw, styles, lineStyleName) {
+    const cue = { alignment: null, pos: null, move: null, fade: null, rotation: null };
+    const runs = [];
+    let overrides = {};
+    let karaokeAt = 0;
+    let karaoke = null;
+    let drawing = false;
+
+    const pushText = (text) => {
+        if (!text || drawing) return;
+        const clean = text.replace(/\\N/g, '\n').replace(/\\n/g, '\n').replace(/\\h/g, ' ');
+        runs.push({ text: clean, ...overrides, ...(karaoke ? { karaoke } : {}) });
+        karaoke = null;
+    };
+
+    const applyTag = ({ name, value, args }) => {
+        const n = parseFloat(value);
+        switch (name) {
+            case 'b': overrides.bold = value === '' ? undefined : value !== '0'; break;
+            case 'i': overrides.italic = value === '' ? undefined : value === '1'; break;
+            case 'u': overrides.underline = value === '' ? undefined : value === '1'; break;
+            case 's': overrides.strikeOut = value === '' ? undefined : value === '1'; break;
+            case 'fn': overrides.fontName = value || undefined; break;
+            case 'fs': overrides.fontSize = Number.isFinite(n) && n > 0 ? n : undefined; break;
+            case 'fscx': overrides.scaleX = Number.isFinite(n) ? n : undefined; break;
+            case 'fscy': overrides.scaleY = Number.isFinite(n) ? n : undefined; break;
+            case 'fsp': overrides.spacing = Number.isFinite(n) ? n : undefined; break;
+            case 'bord': overrides.outline = Number.isFinite(n) ? n : undefined; break;
+            case 'shad': overrides.shadow = Number.isFinite(n) ? n : undefined; break;
+            case 'c':
+            case '1c':
+            case '2c':
+            case '3c':
+            case '4c': {
+                const key = { c: 'primary', '1c': 'primary', '2c': 'secondary', '3c': 'outline', '4c': 'back' }[name];
+                overrides[`${key}Color`] = parseASSColor(value)?.color;
+                break;
+            }
+            case 'alpha':
+            case '1a':
+            case '2a':
+            case '3a':
+            case '4a': {
+                const alpha = value ? parseASSAlpha(value) : undefined;
+                const keys = name === 'alpha' ? ['primary', 'secondary', 'outline', 'back'] : [{ '1a': 'primary', '2a': 'secondary', '3a': 'outline', '4a': 'back' }[name]];
+                keys.forEach((key) => { overrides[`${key}Alpha`] = alpha ?? undefined; });
+                break;
+            }
+            case 'k':
+            case 'K':
+            case 'kf':
+            case 'ko': {
+                const duration = (Number.isFinite(n) ? n : 0) * 10; // centiseconds
+                karaoke = { start: karaokeAt, duration };
+                karaokeAt += duration;
+                break;
+            }
+            case 'an':
+                if (cue.alignment === null && n >= 1 && n <= 9) cue.alignment = n;
+                break;
+            case 'a':
+                if (cue.alignment === null && SSA_ALIGNMENT[n]) cue.alignment = SSA_ALIGNMENT[n];
+                break;
+            case 'pos':
+                if (!cue.pos && !cue.move && args?.length >= 2) cue.pos = [parseFloat(args[0]), parseFloat(args[1])];
+                break;
+            case 'move':
+                if (!cue.pos && !cue.move && args?.length >= 4) {
+                    const [x1, y1, x2, y2, t1, t2] = args.map(parseFloat);
+                    cue.move = { from: [x1, y1], to: [x2, y2], t1: Number.isFinite(t1) ? t1 : null, t2: Number.isFinite(t2) ? t2 : null };
+                }
+                break;
+            case 'fad':
+                if (args?.length >= 2) cue.fade = [parseFloat(args[0]) || 0, parseFloat(args[1]) || 0];
+                break;
+            case 'frz':
+            case 'fr':
+                if (Number.isFinite(n)) cue.rotation = n;
+                break;
+            case 'p':
+                drawing = n > 0; // vector drawings aren't rendered
+                break;
+            case 'r': {
+                // \r resets to the line's style, \rName to another named style
+                const style = value && styles[value];
+                overrides = style ? diffStyle(style, styles[lineStyleName] || ASS_DEFAULT_STYLE) : {};
+                break;
+            }
+            default:
+                break; // \blur, \be, \clip, \org, 3D rotations… aren't rendered
+        }
+        // Keep runs compact: unset overrides fall back to the style
+        Object.keys(overrides).forEach((key) => overrides[key] === undefined && delete overrides[key]);
+    };
+
+    const blockRe = /\{([^}]*)\}/g;
+    let last = 0;
+    let match;
+    while ((match = blockRe.exec(raw)) !== null) {
+        pushText(raw.slice(last, match.index));
+        // A block without backslashes is a comment
+        splitOverrideTags(match[1]).forEach(applyTag);
+        last = blockRe.lastIndex;
+    }
+    pushText(raw.slice(last));
+
+    return { ...cue, runs };
+}
+
+function diffStyle(style, base) {
+    const diff = {};
+    for (const [key, value] of Object.entries(style)) {
+        if (base[key] !== value && !key.startsWith('margin') && key !== 'alignment') diff[key] = value;
+    }
+    return diff;
+}
+
 /**
- * Parses ASS/SSA subtitle files into an array of cues.
+ * Reads an ASS/SSA script: its cues plus the track-wide `{ playResX, playResY, styles }`.
+ *
+ * Besides plain `text` (used for export and as a fallback), each cue carries a compact
+ * `ass` object for the styled renderer: the layer, cue-wide placement/fade/rotation tags,
+ * per-line margins and the text split into styled runs. The style itself is only named
+ * (`cue.style`) and looked up in the track's `styles`, so it isn't repeated on every line.
  * @param {string} text - Raw ASS file content
- * @returns {Array<{id: number, start: number, end: number, text: string, style: string}>}
+ * @returns {{cues: Array<{id: number, start: number, end: number, text: string, style: string, ass: object}>, script: object}}
  */
-export function parseASS(rawText) {
+function readASS(rawText) {
     const cues = [];
     const lines = rawText.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
 
-    let inEvents = false;
-    let formatFields = [];
-    let id = 0;
+    let section = '';
+    let styleFields = [];
+    let eventFields = [];
+    const playRes = {};
+    const styles = {};
+    const dialogues = [];
 
-    for (const line of lines) {
-        if (line.startsWith('[Events]')) {
-            inEvents = true;
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (line.startsWith('[')) {
+            section = line.toLowerCase();
             continue;
         }
-        if (line.startsWith('[') && inEvents) {
-            break; // Next section
+
+        if (section === '[script info]') {
+            const match = line.match(/^PlayRes([XY])\s*:\s*(\d+)/i);
+            if (match) playRes[match[1].toUpperCase()] = parseInt(match[2], 10);
+        } else if (section === '[v4+ styles]' || section === '[v4 styles]') {
+            if (line.startsWith('Format:')) {
+                styleFields = line.slice(7).split(',').map((f) => f.trim().toLowerCase());
+            } else if (line.startsWith('Style:')) {
+                const values = line.slice(6).split(',');
+                const name = values[styleFields.indexOf('name')]?.trim() || 'Default';
+                styles[name] = parseASSStyle(styleFields, values, section === '[v4 styles]');
+            }
+        } else if (section === '[events]') {
+            if (line.startsWith('Format:')) {
+                eventFields = line.slice(7).split(',').map((f) => f.trim().toLowerCase());
+            } else if (line.startsWith('Dialogue:')) {
+                dialogues.push(line.slice(9));
+            }
         }
-        if (!inEvents) continue;
+    }
+
+    // With only one of PlayResX/Y given, the other follows a 4:3 frame
+    const playResX = playRes.X || (playRes.Y ? Math.round((playRes.Y * 4) / 3) : ASS_DEFAULT_PLAY_RES[0]);
+    const playResY = playRes.Y || (playRes.X ? Math.round((playRes.X * 3) / 4) : ASS_DEFAULT_PLAY_RES[1]);
+
+    const script = { playResX, playResY, styles };
+
+    const field = (name) => eventFields.indexOf(name);
+    const startIdx = field('start');
+    const endIdx = field('end');
+    const textIdx = field('text');
+    if (startIdx === -1 || endIdx === -1 || textIdx === -1) return { cues, script };
+
+    let id = 0;
+    for (const dialogue of dialogues) {
+        const values = dialogue.split(',');
+        const styleName = values[field('style')]?.trim().replace(/^\*/, '') || 'Default';
+        // Text field may contain commas, so join everything from textIdx onwards
+        const rawText = values.slice(textIdx).join(',').trim();
+        const parsed = parseASSDialogueText(rawText, styles, styleName);
+        const text = parsed.runs.map((run) => run.text).join('').trim();
+        if (!text) continue;
+
+        // Only what the line actually sets is kept; everything else comes from its style
+        const ass = { layer: parseInt(values[field('layer')], 10) || 0 };
+        for (const key of ['alignment', 'pos', 'move', 'fade', 'rotation']) {
+            if (parsed[key] !== null) ass[key] = parsed[key];
+        }
+        // Non-zero per-line margins override the style's
+        const margins = {};
+        for (const margin of ['marginl', 'marginr', 'marginv']) {
+            const value = parseInt(values[field(margin)], 10);
+            if (value) margins[`margin${margin.slice(-1).toUpperCase()}`] = value;
+        }
+        if (Object.keys(margins).length) ass.margins = margins;
+        ass.runs = parsed.runs;
+
+        cues.push({
+            id: ++id,
+            start: parseASSTime(values[startIdx]?.trim()),
+            end: parseASSTime(values[endIdx]?.trim()),
+            text,
+            style: styleName,
+            ass,
+        });
+    }
+
+    return { cues, script };
+}
+
+/**
+ * Parses ASS/SSA subtitle files into an array of cues. Their styles are in the track's
+ * script; use parseSubtitleTrack to get both.
+ * @param {string} text - Raw ASS file content
+ */
+export function parseASS(rawText) {
+    return readASS(rawText).cues;
+}
 
-        if (line.startsWith('Format:')) {
-            formatFields = line
-                .slice(7)
-                .split(',')
-                .map((f) => f.trim().toLowerCase());
+/**
+ * A cue's resolved style and script resolution, from the track's ASS script. Cues saved
+ * before styles moved to the track carry their own `ass.style` / `ass.playResX|Y`.
+ */
+export function resolveASSCue(cue, script) {
+    const { ass } = cue;
+    const base = ass.style || script?.styles?.[cue.style] || script?.styles?.Default || ASS_DEFAULT_STYLE;
+    return {
+        playResX: ass.playResX || script?.playResX || ASS_DEFAULT_PLAY_RES[0],
+        playResY: ass.playResY || script?.playResY || ASS_DEFAULT_PLAY_RES[1],
+        style: ass.margins ? { ...base, ...ass.margins } : base,
+    };
+}
+
+// Cue settings we keep from a WebVTT timing line (regions are parsed but not rendered)
+const VTT_CUE_SETTINGS = ['vertical', 'line', 'position', 'size', 'align', 'region'];
+
+const VTT_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': '\u00A0', '&lrm;': '\u200E', '&rlm;': '\u200F' };
+
+/**
+ * Parses WebVTT files into an array of cues. NOTE, STYLE and REGION blocks are skipped;
+ * cue settings (line/position/size/align/vertical) are kept as written. When a cue uses
+ * `<v>` or `<c>` spans, its text is also kept as `spans`: runs of { text, voice?, classes? }
+ * in order, so a cue with several speakers survives a round trip. `voice` is the first
+ * speaker. Other markup (<i>, ruby, karaoke timestamps) is stripped to plain text.
+ * @param {string} text - Raw WebVTT file content
+ * @returns {Array<{id: number, start: number, end: number, text: string, settings?: object, voice?: string, spans?: Array}>}
+ */
+export function parseVTT(rawText) {
+    const text = rawText.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+    if (!/^WEBVTT(?:[ \t]|\n|$)/.test(text)) {
+        throw new Error('Not a WebVTT file (missing WEBVTT header)');
+    }
+
+    const cues = [];
+    // The first block is the header (WEBVTT plus optional metadata lines).
+    // A line holding only spaces or tabs still ends a block.
+    const blocks = text.trim().split(/\n(?:[ \t]*\n)+/).slice(1);
+
+    for (const block of blocks) {
+        if (/^(NOTE|STYLE|REGION)(?:[ \t\n]|$)/.test(block)) continue;
+
+        const lines = block.split('\n');
+        // An optional cue identifier line comes before the timing line
+        const tsLineIdx = lines.findIndex((line) => line.includes('-->'));
+        if (tsLineIdx === -1 || tsLineIdx > 1) continue;
+
+        const timeMatch = lines[tsLineIdx].match(
+            /^\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/
+        );
+        if (!timeMatch) continue;
+
+        const spans = parseVTTSpans(lines.slice(tsLineIdx + 1).join('\n'));
+        const cueText = spans.map((span) => span.text).join('');
+        if (!cueText) continue;
+
+        const cue = { id: cues.length + 1, start: parseVTTTime(timeMatch[1]), end: parseVTTTime(timeMatch[2]), text: cueText };
+        const settings = parseVTTSettings(timeMatch[3]);
+        if (settings) cue.settings = settings;
+        const voice = spans.find((span) => span.voice)?.voice;
+        if (voice) cue.voice = voice;
+        if (spans.some((span) => span.voice || span.classes)) cue.spans = spans;
+        cues.push(cue);
+    }
+
+    return cues;
+}
+
+const decodeVTTEntities = (text) => text.replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, (entity) => VTT_ENTITIES[entity]);
+
+/**
+ * Splits a cue payload into text runs tagged with the enclosing voice and classes.
+ * A new `<v>` ends the previous one, as files usually leave voice spans unclosed.
+ */
+function parseVTTSpans(payload) {
+    const spans = [];
+    const open = []; // { name, classes, voice? }
+    // A '<' that never closes is plain text
+    for (const [, tag, raw] of payload.matchAll(/<([^>]*)>|([^<]+|<)/g)) {
+        if (raw !== undefined) {
+            const voice = open.findLast((entry) => entry.voice)?.voice;
+            const classes = [...new Set(open.flatMap((entry) => entry.classes))];
+            const last = spans[spans.length - 1];
+            const text = decodeVTTEntities(raw);
+            if (last && last.voice === voice && (last.classes || []).join('.') === classes.join('.')) {
+                last.text += text;
+            } else {
+                spans.push({ text, ...(voice && { voice }), ...(classes.length && { classes }) });
+            }
             continue;
         }
 
-        if (line.startsWith('Dialogue:')) {
-            const values = line.slice(9).split(',');
-            const startIdx = formatFields.indexOf('start');
-            const endIdx = formatFields.indexOf('end');
-            const styleIdx = formatFields.indexOf('style');
-            const textIdx = formatFields.indexOf('text');
-
-            if (startIdx === -1 || endIdx === -1 || textIdx === -1) continue;
-
-            const startTime = parseASSTime(values[startIdx]?.trim());
-            const endTime = parseASSTime(values[endIdx]?.trim());
-            const style = values[styleIdx]?.trim() || 'Default';
-            // Text field may contain commas, so join everything from textIdx onwards
-            const subtitleText = values
-                .slice(textIdx)
-                .join(',')
-                .trim()
-                .replace(/\{[^}]+\}/g, '') // Remove ASS style overrides like {\b1}
-                .replace(/\\N/g, '\n')      // Convert ASS newlines
-                .replace(/\\n/g, '\n');
-
-            cues.push({ id: ++id, start: startTime, end: endTime, text: subtitleText, style });
+        if (tag.startsWith('/')) {
+            const name = tag.slice(1).trim();
+            const idx = open.findLastIndex((entry) => entry.name === name);
+            if (idx !== -1) open.splice(idx);
+            continue;
         }
+
+        const [head, ...annotation] = tag.split(/[ \t\n]+/);
+        const [name, ...classes] = head.split('.');
+        if (name !== 'c' && name !== 'v') continue;
+        const entry = { name, classes: classes.filter(Boolean) };
+        if (name === 'v') {
+            const idx = open.findLastIndex((item) => item.name === 'v');
+            if (idx !== -1) open.splice(idx);
+            entry.voice = decodeVTTEntities(annotation.join(' ')).trim() || undefined;
+        }
+        open.push(entry);
     }
 
-    return cues;
+    // Trim the cue as a whole, dropping runs left empty
+    while (spans.length && !(spans[0].text = spans[0].text.trimStart())) spans.shift();
+    while (spans.length && !(spans[spans.length - 1].text = spans[spans.length - 1].text.trimEnd())) spans.pop();
+    return spans;
+}
+
+function parseVTTTime(timeStr) {
+    const parts = timeStr.split(':');
+    const seconds = parseFloat(parts.pop());
+    const minutes = parseInt(parts.pop(), 10);
+    const hours = parts.length ? parseInt(parts.pop(), 10) : 0;
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+function parseVTTSettings(settingsStr) {
+    const settings = {};
+    for (const token of settingsStr.trim().split(/\s+/)) {
+        const sep = token.indexOf(':');
+        if (sep <= 0) continue;
+        const key = token.slice(0, sep);
+        const value = token.slice(sep + 1);
+        if (VTT_CUE_SETTINGS.includes(key) && value) settings[key] = value;
+    }
+    return Object.keys(settings).length ? settings : null;
 }
 
 function parseASSTime(timeStr) {
@@ -117,8 +544,104 @@ function timeToSeconds(h, m, s, ms) {
  * Auto-detect format by filename extension and parse.
  */
 export function parseSubtitles(text, filename) {
+    return parseSubtitleTrack(text, filename).cues;
+}
+
+/**
+ * Like parseSubtitles, plus the track-wide ASS script (`{ playResX, playResY, styles }`)
+ * the styled cues refer to; `ass` is null for other formats.
+ * @returns {{cues: Array, ass: object|null}}
+ */
+export function parseSubtitleTrack(text, filename) {
     const ext = filename.split('.').pop().toLowerCase();
-    if (ext === 'srt') return parseSRT(text);
-    if (ext === 'ass' || ext === 'ssa') return parseASS(text);
+    if (ext === 'srt') return { cues: parseSRT(text), ass: null };
+    if (ext === 'vtt') return { cues: parseVTT(text), ass: null };
+    if (ext === 'ass' || ext === 'ssa') {
+        const { cues, script } = readASS(text);
+        return { cues, ass: script };
+    }
     throw new Error(`Unsupported subtitle format: .${ext}`);
 }
+
+// ─── Export ────────────────────────────────────────────────
+
+function formatCueTime(seconds, msSeparator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const h = Math.floor(totalMs / 3600000);
+    const m = Math.floor((totalMs % 3600000) / 60000);
+    const s = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}${msSeparator}${String(ms).padStart(3, '0')}`;
+}
+
+// A blank line would end the cue early in both formats
+const cueLines = (text) => text.replace(/\n{2,}/g, '\n').trim();
+
+const byStart = (cues) => [...cues].sort((a, b) => a.start - b.start);
+
+/**
+ * Serializes cues to SRT. Styling and positioning are dropped.
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {string}
+ */
+export function toSRT(cues) {
+    return byStart(cues)
+        .map((cue, i) => `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cueLines(cue.text)}`)
+        .join('\n\n') + '\n';
+}
+
+const escapeVTT = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Class names can't hold whitespace, dots or markup
+const vttClasses = (classes) => (classes || []).filter((name) => /^[^\s.<>&]+$/.test(name));
+
+/** Rebuilds a cue payload from parsed spans, one `<v>` span per run of the same speaker. */
+function spansToVTT(spans) {
+    let payload = '';
+    let voice;
+    for (const span of spans) {
+        if (span.voice !== voice) {
+            if (voice) payload += '</v>';
+            voice = span.voice;
+            if (voice) payload += `<v ${escapeVTT(voice)}>`;
+        }
+        const classes = vttClasses(span.classes);
+        const text = escapeVTT(span.text);
+        payload += classes.length ? `<c.${classes.join('.')}>${text}</c>` : text;
+    }
+    if (voice) payload += '</v>';
+    return payload;
+}
+
+/**
+ * Serializes cues to WebVTT, keeping cue settings, voices and class spans from parsed .vtt files.
+ * @param {Array<{start: number, end: number, text: string, settings?: object, voice?: string, spans?: Array}>} cues
+ * @returns {string}
+ */
+export function toVTT(cues) {
+    const blocks = byStart(cues).map((cue, i) => {
+        const settings = Object.entries(cue.settings || {})
+            .filter(([key]) => VTT_CUE_SETTINGS.includes(key))
+            .map(([key, value]) => ` ${key}:${value}`)
+            .join('');
+        let payload;
+        if (Array.isArray(cue.spans) && cue.spans.length) {
+            payload = cueLines(spansToVTT(cue.spans));
+        } else {
+            const text = escapeVTT(cueLines(cue.text));
+            payload = cue.voice ? `<v ${escapeVTT(cue.voice)}>${text}` : text;
+        }
+        return `${i + 1}\n${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}${settings}\n${payload}`;
+    });
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Serializes cues in the given format ('srt' or 'vtt').
+ */
+export function serializeSubtitles(cues, format) {
+    if (format === 'srt') return toSRT(cues);
+    if (format === 'vtt') return toVTT(cues);
+    throw new Error(`Unsupported subtitle format: .${format}`);
+}
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSubtitleTrack, parseVTT, resolveASSCue, toVTT } from './subtitleParser.js';
+
+const vtt = (...cues) => `WEBVTT\n\n${cues.join('\n\n')}\n`;
+
+test('parseVTT keeps voice and class spans', () => {
+    const [cue] = parseVTT(vtt('00:00:01.000 --> 00:00:02.000\n<v.loud Bob>Hi <c.yellow.bg_blue>there</c></v>'));
+    assert.equal(cue.text, 'Hi there');
+    assert.equal(cue.voice, 'Bob');
+    assert.deepEqual(cue.spans, [
+        { text: 'Hi ', voice: 'Bob', classes: ['loud'] },
+        { text: 'there', voice: 'Bob', classes: ['loud', 'yellow', 'bg_blue'] },
+    ]);
+});
+
+test('parseVTT keeps several voices in one cue', () => {
+    const [cue] = parseVTT(vtt('00:00:01.000 --> 00:00:02.000\n<v Alice>Ready?\n<v Bob>Always.'));
+    assert.equal(cue.text, 'Ready?\nAlways.');
+    assert.equal(cue.voice, 'Alice');
+    assert.deepEqual(cue.spans, [
+        { text: 'Ready?\n', voice: 'Alice' },
+        { text: 'Always.', voice: 'Bob' },
+    ]);
+});
+
+test('parseVTT leaves plain cues without spans and strips other markup', () => {
+    const [cue] = parseVTT(vtt('00:00:01.000 --> 00:00:02.000\n<i>a</i> &lt; <b>b</b>'));
+    assert.equal(cue.text, 'a < b');
+    assert.equal(cue.spans, undefined);
+    assert.equal(cue.voice, undefined);
+});
+
+test('parseVTT ends a cue at a line holding only whitespace', () => {
+    const cues = parseVTT('WEBVTT\n \n00:00:01.000 --> 00:00:02.000\nOne\n\t\n00:00:03.000 --> 00:00:04.000\nTwo\n');
+    assert.deepEqual(cues.map((cue) => cue.text), ['One', 'Two']);
+});
+
+test('toVTT writes spans back out and round-trips', () => {
+    const source = vtt(
+        '00:00:01.000 --> 00:00:02.000 line:85%\n<v Alice>Ready?</v>\n<v Bob><c.loud>Always</c>.</v>',
+        '00:00:03.000 --> 00:00:04.000\n<c.music>la la</c>',
+    );
+    const cues = parseVTT(source);
+    const output = toVTT(cues);
+    assert.match(output, /<v Alice>Ready\?<\/v>\n<v Bob><c\.loud>Always<\/c>\.<\/v>/);
+    assert.match(output, /<c\.music>la la<\/c>/);
+    assert.deepEqual(parseVTT(output).map(({ id, ...cue }) => cue), cues.map(({ id, ...cue }) => cue));
+});
+
+test('toVTT escapes markup in voice names', () => {
+    const output = toVTT([{ start: 0, end: 1, text: 'Hi', voice: 'Tom & <Jerry>' }]);
+    assert.match(output, /<v Tom &amp; &lt;Jerry&gt;>Hi/);
+    assert.equal(parseVTT(output)[0].voice, 'Tom & <Jerry>');
+
+    const spanned = toVTT([{ start: 0, end: 1, text: 'Hi', spans: [{ text: 'Hi', voice: 'A>B' }] }]);
+    assert.match(spanned, /<v A&gt;B>Hi<\/v>/);
+});
+
+const ASS_SCRIPT = [
+    '[Script Info]',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Alignment, MarginL, MarginR, MarginV',
+    'Style: Default,Arial,48,&H00FFFFFF,0,2,20,20,40',
+    'Style: Sign,Georgia,36,&H0000FFFF,-1,8,10,10,10',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, MarginL, MarginR, MarginV, Text',
+    'Dialogue: 0,0:00:01.00,0:00:02.00,Default,0,0,0,Hello',
+    'Dialogue: 1,0:00:03.00,0:00:04.00,Sign,0,0,80,{\\pos(960,100)}Exit',
+].join('\n');
+
+test('parseSubtitleTrack keeps ASS styles once per track', () => {
+    const { cues, ass } = parseSubtitleTrack(ASS_SCRIPT, 'movie.ass');
+    assert.equal(ass.playResX, 1920);
+    assert.equal(ass.playResY, 1080);
+    assert.deepEqual(Object.keys(ass.styles), ['Default', 'Sign']);
+
+    assert.deepEqual(cues[0].ass, { layer: 0, runs: [{ text: 'Hello' }] });
+    assert.equal(cues[1].style, 'Sign');
+    assert.deepEqual(cues[1].ass, { layer: 1, pos: [960, 100], margins: { marginV: 80 }, runs: [{ text: 'Exit' }] });
+});
+
+test('resolveASSCue looks styles up by name and applies line margins', () => {
+    const { cues, ass } = parseSubtitleTrack(ASS_SCRIPT, 'movie.ass');
+    const sign = resolveASSCue(cues[1], ass);
+    assert.equal(sign.playResX, 1920);
+    assert.equal(sign.style.fontName, 'Georgia');
+    assert.equal(sign.style.marginV, 80);
+    assert.equal(sign.style.marginL, 10);
+    assert.equal(ass.styles.Sign.marginV, 10);
+
+    // Cues saved before styles moved to the track still render with their own copy
+    const legacy = { style: 'Sign', ass: { playResX: 640, playResY: 360, style: { fontName: 'Old' }, runs: [] } };
+    assert.deepEqual(resolveASSCue(legacy, null), { playResX: 640, playResY: 360, style: { fontName: 'Old' } });
+});
+
+test('parseSubtitleTrack has no ASS script for other formats', () => {
+    const { cues, ass } = parseSubtitleTrack('1\n00:00:01,000 --> 00:00:02,000\nHi\n', 'movie.srt');
+    assert.equal(cues.length, 1);
+    assert.equal(ass, null);
+});
@@ -0,0 +1,36 @@
+/**
+ * Subtitle timing correction shared by the room: a delay in seconds plus an optional
+ * framerate conversion for tracks timed against a different release (e.g. 25 fps PAL
+ * subtitles on a 23.976 fps video).
+ */
+
+export const DEFAULT_SUBTITLE_TIMING = { offset: 0, fromFps: null, toFps: null };
+
+export const FRAME_RATES = [23.976, 24, 25, 29.97, 30];
+
+/** How much cue times are stretched: a cue at `t` in the file shows at `t * scale + offset`. */
+export function timingScale(timing) {
+    const { fromFps, toFps } = timing || {};
+    return fromFps && toFps ? fromFps / toFps : 1;
+}
+
+/** Map a playback position back onto the file's own cue times. */
+export function toCueTime(currentTime, timing) {
+    if (!timing) return currentTime;
+    return (currentTime - (timing.offset || 0)) / timingScale(timing);
+}
+
+/** Cues with the timing baked in, e.g. for export. */
+export function applySubtitleTiming(cues, timing) {
+    const scale = timingScale(timing);
+    const offset = timing?.offset || 0;
+    if (scale === 1 && offset === 0) return cues;
+    return cues
+        .map((cue) => ({ ...cue, start: cue.start * scale + offset, end: cue.end * scale + offset }))
+        .filter((cue) => cue.end > 0)
+        .map((cue) => ({ ...cue, start: Math.max(0, cue.start) }));
+}
+
+export function isDefaultTiming(timing) {
+    return !timing?.offset && timingScale(timing) === 1;
+}
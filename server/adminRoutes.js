@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Compare digests so token length doesn't leak through timing either.
+function tokensMatch(given, expected) {
+    const a = createHash('sha256').update(String(given)).digest();
+    const b = createHash('sha256').update(String(expected)).digest();
+    return timingSafeEqual(a, b);
+}
+
+/**
+ * Admin REST API: room inspection and moderation.
+ * Every route requires `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ *   GET    /rooms                                   list rooms
+ *   GET    /rooms/:code                             one room
+ *   DELETE /rooms/:code                             force-close a room
+ *   DELETE /rooms/:code/participants/:participantId kick a participant
+ *   POST   /reservations/purge?olderThanMs=         drop expired reservations now
+ */
+export default function createAdminRouter({ roomManager, moderation, token }) {
+    const router = Router();
+
+    router.use((req, res, next) => {
+        const [scheme, given] = (req.get('authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !given || !tokensMatch(given, token)) {
+            res.status(401).json({ error: 'Unauthorized' });
+            return;
+        }
+        next();
+    });
+
+    router.get('/rooms', (_req, res) => {
+        res.json({ rooms: roomManager.listRooms() });
+    });
+
+    router.get('/rooms/:code', (req, res) => {
+        const room = roomManager.describeRoom(req.params.code.toUpperCase());
+        if (!room) {
+            res.status(404).json({ error: 'Room not found.' });
+            return;
+        }
+        res.json({ room });
+    });
+
+    router.delete('/rooms/:code', (req, res) => {
+        const result = moderation.closeRoom(req.params.code.toUpperCase(), req.body?.reason);
+        if (!result) {
+            res.status(404).json({ error: 'Room not found.' });
+            return;
+        }
+        res.json({ closed: result.code, disconnected: result.socketIds.length });
+    });
+
+    router.delete('/rooms/:code/participants/:participantId', (req, res) => {
+        const code = req.params.code.toUpperCase();
+        const result = moderation.kickParticipant(code, req.params.participantId, req.body?.reason);
+        if (result.error) {
+            res.status(404).json({ error: result.error });
+            return;
+        }
+        res.json({
+            kicked: result.participant.participantId,
+            newHostParticipantId: result.newHost?.participantId || null,
+            roomClosed: !result.room,
+        });
+    });
+
+    router.post('/reservations/purge', (req, res) => {
+        const olderThanMs = req.query.olderThanMs === undefined ? undefined : Number(req.query.olderThanMs);
+        if (olderThanMs !== undefined && (!Number.isFinite(olderThanMs) || olderThanMs < 0)) {
+            res.status(400).json({ error: 'olderThanMs must be a non-negative number.' });
+            return;
+        }
+        res.json(moderation.purgeReservations(olderThanMs));
+    });
+
+    return router;
+}
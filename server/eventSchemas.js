@@ -0,0 +1,282 @@
+/**
+ * Payload schemas for every client → server socket event.
+ *
+ * A schema is a validator function `(value, path) => errorMessage | null`, built
+ * from the small helpers below. `null` as an event schema means the event carries
+ * no payload (anything sent is ignored). Unknown keys are allowed through so older
+ * and newer clients can coexist; only the keys a handler reads are checked.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// null/undefined both count as "missing": socket.io serialises NaN/Infinity to null.
+const isMissing = (value) => value === undefined || value === null;
+
+export function string({ max = 256, min = 0, optional = false, pattern = null, oneOf = null } = {}) {
+    return (value, path) => {
+        if (isMissing(value)) return optional ? null : `${path} is required`;
+        if (typeof value !== 'string') return `${path} must be a string`;
+        if (value.length < min) return `${path} must be at least ${min} characters`;
+        if (value.length > max) return `${path} must be at most ${max} characters`;
+        if (pattern && !pattern.test(value)) return `${path} has an invalid format`;
+        if (oneOf && !oneOf.includes(value)) return `${path} must be one of: ${oneOf.join(', ')}`;
+        return null;
+    };
+}
+
+export function number({ min = -Infinity, max = Infinity, optional = false } = {}) {
+    return (value, path) => {
+        if (isMissing(value)) return optional ? null : `${path} is required`;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a finite number`;
+        if (value < min || value > max) return `${path} must be between ${min} and ${max}`;
+        return null;
+    };
+}
+
+export function boolean({ optional = true } = {}) {
+    return (value, path) => {
+        if (isMissing(value)) return optional ? null : `${path} is required`;
+        return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+    };
+}
+
+export function oneOfTypes(...validators) {
+    return (value, path) => {
+        const errors = validators.map((validate) => validate(value, path));
+        return errors.some((err) => err === null) ? null : errors[0];
+    };
+}
+
+export function object(shape, { optional = false } = {}) {
+    return (value, path) => {
+        if (isMissing(value)) return optional ? null : `${path || 'payload'} is required`;
+        if (!isPlainObject(value)) return `${path || 'payload'} must be an object`;
+        for (const [key, validate] of Object.entries(shape)) {
+            const error = validate(value[key], path ? `${path}.${key}` : key);
+            if (error) return error;
+        }
+        return null;
+    };
+}
+
+export function array(item, { max = 100, optional = false } = {}) {
+    return (value, path) => {
+        if (isMissing(value)) return optional ? null : `${path} is required`;
+        if (!Array.isArray(value)) return `${path} must be an array`;
+        if (value.length > max) return `${path} must have at most ${max} items`;
+        for (let i = 0; i < value.length; i++) {
+            const error = item(value[i], `${path}[${i}]`);
+            if (error) return error;
+        }
+        return null;
+    };
+}
+
+/**
+ * Opaque JSON blob (e.g. WebRTC SDP/ICE) — only its serialised size is bounded.
+ */
+export function json({ maxBytes = 16 * 1024, optional = false } = {}) {
+    return (value, path) => {
+        if (isMissing(value)) return optional ? null : `${path} is required`;
+        let size;
+        try {
+            size = Buffer.byteLength(JSON.stringify(value), 'utf8');
+        } catch {
+            return `${path} must be JSON-serialisable`;
+        }
+        return size > maxBytes ? `${path} exceeds ${maxBytes} bytes` : null;
+    };
+}
+
+/* ── shared field shapes ── */
+
+const MAX_MEDIA_SECONDS = 7 * 24 * 60 * 60;
+// Free text: the handler trims/uppercases and unknown codes simply aren't found.
+const ROOM_CODE = string({ max: 32, min: 1 });
+const PARTICIPANT_TOKEN = string({ max: 256, optional: true });
+const TARGET_SOCKET = string({ max: 64, optional: true });
+const TIMESTAMP = number({ min: 0, optional: true });
+const PLAYBACK_TIME = number({ min: 0, max: MAX_MEDIA_SECONDS });
+const CAPABILITIES = object({ nativePlayback: boolean() }, { optional: true });
+const PASSPHRASE = string({ max: 64, optional: true });
+const FILE_NAME = string({ max: 512, optional: true });
+const QUEUE_ITEM_ID = string({ max: 32 });
+const CHAT_MESSAGE_ID = string({ max: 64 });
+
+// `sentAt` is the sender's estimate of server time when the action happened;
+// `baseSeq` the last playback sequence number it had applied.
+const PLAYBACK_SEQ = number({ min: 0, optional: true });
+const SYNC_ACTION = object({
+    time: PLAYBACK_TIME,
+    actionId: string({ max: 128, optional: true }),
+    sentAt: TIMESTAMP,
+    baseSeq: PLAYBACK_SEQ,
+});
+
+// Shared playback speed; Controls offers steps within this range.
+const PLAYBACK_RATE = number({ min: 0.5, max: 2 });
+
+export const MAX_SUBTITLE_CUES = 20000;
+const MAX_SUBTITLE_OFFSET = 3600; // seconds either way
+
+const SUBTITLE_CUE = object({
+    id: oneOfTypes(number({ optional: true }), string({ max: 64, optional: true })),
+    start: number({ min: 0, max: MAX_MEDIA_SECONDS }),
+    end: number({ min: 0, max: MAX_MEDIA_SECONDS }),
+    text: string({ max: 2000 }),
+    style: string({ max: 128, optional: true }),
+    // WebVTT cue settings, kept as written (e.g. line: '85%', position: '30%,line-left')
+    settings: object({
+        vertical: string({ max: 8, optional: true }),
+        line: string({ max: 32, optional: true }),
+        position: string({ max: 32, optional: true }),
+        size: string({ max: 16, optional: true }),
+        align: string({ max: 16, optional: true }),
+        region: string({ max: 64, optional: true }),
+    }, { optional: true }),
+    voice: string({ max: 128, optional: true }),
+    // WebVTT voice/class spans ({ text, voice?, classes? }) — kept so exports round-trip
+    spans: json({ maxBytes: 8 * 1024, optional: true }),
+    // ASS/SSA line: placement tags and styled runs; the style is named by `style` and
+    // defined once in the track's ASS_SCRIPT — rendered client-side only
+    ass: object({
+        layer: number({ min: -1000, max: 1000, optional: true }),
+        alignment: number({ min: 1, max: 9, optional: true }),
+        pos: array(number(), { max: 2, optional: true }),
+        move: json({ maxBytes: 256, optional: true }),
+        fade: array(number(), { max: 2, optional: true }),
+        rotation: number({ optional: true }),
+        margins: json({ maxBytes: 128, optional: true }),
+        runs: array(json({ maxBytes: 4 * 1024 }), { max: 256 }),
+    }, { optional: true }),
+});
+
+const SUBTITLE_TRACK_ID = string({ max: 32, min: 1 });
+const SUBTITLE_TIMING_FIELDS = {
+    offset: number({ min: -MAX_SUBTITLE_OFFSET, max: MAX_SUBTITLE_OFFSET }),
+    fromFps: number({ min: 1, max: 240, optional: true }),
+    toFps: number({ min: 1, max: 240, optional: true }),
+};
+
+// Track-wide ASS/SSA info: script resolution plus the styles its cues refer to by name
+const ASS_SCRIPT = object({
+    playResX: number({ min: 1, max: 100000 }),
+    playResY: number({ min: 1, max: 100000 }),
+    styles: json({ maxBytes: 64 * 1024 }),
+}, { optional: true });
+
+export const EVENT_SCHEMAS = {
+    'create-room': object({
+        participantToken: PARTICIPANT_TOKEN,
+        capabilities: CAPABILITIES,
+        passphrase: PASSPHRASE,
+    }),
+    'join-room': object({
+        code: ROOM_CODE,
+        participantToken: PARTICIPANT_TOKEN,
+        capabilities: CAPABILITIES,
+        passphrase: PASSPHRASE,
+    }),
+    'leave-room': null,
+    'ready-for-connection': null,
+
+    'update-room-settings': object({
+        controlMode: string({ max: 32, optional: true }),
+        sync: object({
+            nudgeThreshold: number({ optional: true }),
+            seekThreshold: number({ optional: true }),
+            maxRateAdjust: number({ optional: true }),
+            heartbeatMs: number({ optional: true }),
+        }, { optional: true }),
+    }),
+    'set-co-host': object({
+        participantId: string({ max: 128 }),
+        enabled: boolean(),
+    }),
+    'transfer-host': object({
+        participantId: string({ max: 128 }),
+    }),
+
+    offer: object({ offer: json({ maxBytes: 64 * 1024 }), to: TARGET_SOCKET }),
+    answer: object({ answer: json({ maxBytes: 64 * 1024 }), to: TARGET_SOCKET }),
+    'ice-candidate': object({ candidate: json({ maxBytes: 4 * 1024 }), to: TARGET_SOCKET }),
+
+    'sync-play': SYNC_ACTION,
+    'sync-pause': SYNC_ACTION,
+    'sync-seek': SYNC_ACTION,
+    'sync-rate': object({
+        rate: PLAYBACK_RATE,
+        time: PLAYBACK_TIME,
+        actionId: string({ max: 128, optional: true }),
+        sentAt: TIMESTAMP,
+        baseSeq: PLAYBACK_SEQ,
+    }),
+    'playback-buffering': object({ buffering: boolean({ optional: false }) }),
+    'sync-heartbeat': object({ time: PLAYBACK_TIME, sentAt: TIMESTAMP }),
+    'playback-state': null,
+    'clock-ping': object({ t0: number() }),
+
+    'chat-message': object({
+        text: string({ max: 500 }),
+        position: number({ min: 0, max: MAX_MEDIA_SECONDS, optional: true }),
+    }),
+    'chat-typing': object({ typing: boolean({ optional: false }) }),
+    'chat-reaction': object({ messageId: CHAT_MESSAGE_ID, emoji: string({ max: 16, min: 1 }) }),
+    'chat-read': object({ messageId: CHAT_MESSAGE_ID }),
+    reaction: object({ emoji: string({ max: 16, min: 1 }), time: PLAYBACK_TIME }),
+    'subtitle-offset': object({
+        trackId: SUBTITLE_TRACK_ID,
+        ...SUBTITLE_TIMING_FIELDS,
+    }),
+    'subtitle-data': object({
+        subtitles: array(SUBTITLE_CUE, { max: MAX_SUBTITLE_CUES }),
+        filename: FILE_NAME,
+        ass: ASS_SCRIPT,
+        // The fix to start the track with (e.g. remembered for this movie)
+        timing: object(SUBTITLE_TIMING_FIELDS, { optional: true }),
+    }),
+
+    'movie-loaded': object({
+        name: FILE_NAME,
+        duration: number({ min: 0, optional: true }),
+        // Set when the sender picked a different movie (not on reloads or restores)
+        changed: boolean(),
+    }),
+    'viewer-stream-ready': object({
+        progress: number({ min: 0, max: 100, optional: true }),
+        timestamp: TIMESTAMP,
+    }),
+    'viewer-playable': object({ timestamp: TIMESTAMP }),
+    'queue-add': object({
+        kind: string({ max: 16 }),
+        title: FILE_NAME,
+        libraryKey: string({ max: 600, optional: true }),
+        url: string({ max: 2048, optional: true }),
+    }),
+    'queue-remove': object({ id: QUEUE_ITEM_ID }),
+    'queue-move': object({ id: QUEUE_ITEM_ID, toIndex: number({ min: 0, max: 1000 }) }),
+    'queue-advance': object({ expectedCurrentId: string({ max: 32, optional: true }) }),
+    'ready-check-start': null,
+    'ready-check-respond': object({
+        id: string({ max: 32 }),
+        ready: boolean({ optional: false }),
+        progress: number({ min: 0, max: 100, optional: true }),
+    }),
+    'ready-check-cancel': null,
+    'viewer-local-playback': object({ enabled: boolean(), timestamp: TIMESTAMP }),
+    'torrent-download-complete': object({ name: FILE_NAME }),
+    'torrent-magnet': object({
+        magnetURI: string({ max: 8192, pattern: /^magnet:\?/i }),
+        preTranscode: boolean(),
+        name: FILE_NAME,
+        streamPath: string({ max: 16, optional: true, oneOf: ['direct', 'remux', 'transcode'] }),
+    }),
+};
+
+/**
+ * Validate an event payload. Returns an error message, or null when valid.
+ */
+export function validatePayload(schema, payload) {
+    if (schema === null) return null;
+    return schema(payload == null ? {} : payload, '');
+}
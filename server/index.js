@@ -6,9 +6,13 @@ import cors from 'cors';
 import { WebSocketServer } from 'ws';
 import { Server as TrackerServer } from 'bittorrent-tracker';
 import RoomManager from './roomManager.js';
+import ParticipantIdentity from './participantIdentity.js';
+import { createRoomStore } from './roomStore.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import registerSocketHandlers from './socketHandlers.js';
+import createAdminRouter from './adminRoutes.js';
+import MetricsRegistry from './metrics.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -36,19 +40,59 @@ const io = new Server(httpServer, {
     },
     pingTimeout: 60000,
     pingInterval: 25000,
+    // Large enough for a full-length subtitle file (see MAX_SUBTITLE_CUES); per-event
+    // limits are enforced by socketGuard.
+    maxHttpBufferSize: 4e6,
 });
 
-// Room manager
-const roomManager = new RoomManager();
+// Room manager — rooms are rehydrated from the configured store so they survive restarts
+const roomStore = createRoomStore({
+    driver: process.env.ROOM_STORE,
+    filePath: process.env.ROOM_STORE_PATH,
+});
+const roomManager = new RoomManager({
+    maxParticipants: Number(process.env.MAX_PARTICIPANTS) || undefined,
+    store: roomStore,
+});
+const restoredRooms = await roomManager.hydrate();
+if (restoredRooms > 0) {
+    console.log(`[store] restored ${restoredRooms} room(s)`);
+}
+
+// Participant tokens are signed with this secret; set it when using the file store so
+// reconnecting clients can still reclaim their seats after a restart.
+const identity = new ParticipantIdentity({ secret: process.env.PARTICIPANT_TOKEN_SECRET });
+
+// Prometheus metrics — counters are fed by the socket handlers and the tracker below
+const metrics = new MetricsRegistry();
+metrics.gauge('lovestream_rooms', 'Active rooms', () => roomManager.getStats().rooms);
+metrics.gauge('lovestream_participants', 'Room seats by state', () => {
+    const { connected, reserved } = roomManager.getStats();
+    return [[{ state: 'connected' }, connected], [{ state: 'reserved' }, reserved]];
+});
+metrics.gauge('lovestream_sockets_connected', 'Connected Socket.IO clients', () => io.engine.clientsCount);
+metrics.gauge('lovestream_process_uptime_seconds', 'Process uptime', () => Math.round(process.uptime()));
+metrics.gauge('lovestream_process_resident_memory_bytes', 'Resident set size', () => process.memoryUsage().rss);
 
 // Register socket handlers
-registerSocketHandlers(io, roomManager);
+const moderation = registerSocketHandlers(io, roomManager, { identity, metrics });
+
+// Admin API — only mounted when a token is configured
+if (process.env.ADMIN_TOKEN) {
+    app.use('/admin', createAdminRouter({ roomManager, moderation, token: process.env.ADMIN_TOKEN }));
+} else {
+    console.log('[admin] ADMIN_TOKEN not set, admin API disabled');
+}
 
 // Health check
 app.get('/health', (_req, res) => {
     res.json({ status: 'ok', rooms: roomManager.rooms.size });
 });
 
+app.get('/metrics', (_req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // ICE server config endpoint
 app.get('/ice-servers', (_req, res) => {
     const servers = [
@@ -90,6 +134,21 @@ tracker.on('warning', (err) => {
     console.warn('[tracker] warning:', err.message);
 });
 
+const announcesTotal = metrics.counter('lovestream_tracker_announces_total', 'Tracker announces by event');
+for (const event of ['start', 'update', 'complete', 'stop']) {
+    tracker.on(event, () => announcesTotal.inc({ event }));
+}
+metrics.gauge('lovestream_tracker_torrents', 'Torrents tracked', () => Object.keys(tracker.torrents).length);
+metrics.gauge('lovestream_tracker_peers', 'Tracker peers by state', () => {
+    let seeders = 0;
+    let leechers = 0;
+    for (const swarm of Object.values(tracker.torrents)) {
+        seeders += swarm.complete;
+        leechers += swarm.incomplete;
+    }
+    return [[{ state: 'seeder' }, seeders], [{ state: 'leecher' }, leechers]];
+});
+
 httpServer.listen(PORT, () => {
     console.log(`🚀 Lovestream server running on port ${PORT}`);
     console.log(`   Accepting connections from: ${CLIENT_URL}`);
@@ -119,6 +178,14 @@ httpServer.listen(PORT, () => {
 
     console.log(`   WebTorrent tracker ready on ws://localhost:${PORT}`);
 
+    // Flush pending room writes before the process exits
+    const shutdown = (signal) => {
+        console.log(`[server] ${signal} received, flushing room store`);
+        roomStore.flush().finally(() => process.exit(0));
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+
     // Keep alive — prevent Render free-tier idle shutdown (~15 min inactivity spin-down)
     setInterval(() => {
         fetch(`http://localhost:${PORT}/health`).catch(() => { });
@@ -0,0 +1,66 @@
+/**
+ * Minimal Prometheus registry — counters and gauges rendered in the text exposition
+ * format. Gauges may be backed by a collect function evaluated on every scrape.
+ */
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(name, help, type, collect = null) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.collect = collect;
+        this.values = new Map(); // formatted labels -> value
+    }
+
+    inc(labels = {}, by = 1) {
+        const key = formatLabels(labels);
+        this.values.set(key, (this.values.get(key) || 0) + by);
+    }
+
+    set(labels, value) {
+        this.values.set(formatLabels(labels), value);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        if (this.collect) {
+            // A collector returns either a plain number or [labels, value] pairs.
+            const collected = this.collect();
+            const samples = typeof collected === 'number' ? [[{}, collected]] : collected;
+            for (const [labels, value] of samples) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        } else {
+            for (const [labels, value] of this.values) lines.push(`${this.name}${labels} ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export default class MetricsRegistry {
+    #metrics = new Map();
+
+    counter(name, help) {
+        return this.#register(new Metric(name, help, 'counter'));
+    }
+
+    gauge(name, help, collect = null) {
+        return this.#register(new Metric(name, help, 'gauge', collect));
+    }
+
+    render() {
+        return `${[...this.#metrics.values()].map((metric) => metric.render()).join('\n')}\n`;
+    }
+
+    #register(metric) {
+        if (this.#metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        this.#metrics.set(metric.name, metric);
+        return metric;
+    }
+}
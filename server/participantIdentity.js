@@ -0,0 +1,42 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { nanoid } from 'nanoid';
+
+/**
+ * Server-minted participant identities.
+ *
+ * A token is `<participantId>.<signature>` where the signature is an HMAC of the
+ * id. Clients keep the token and present it on every connect/join; only a valid
+ * token can claim a participantId, so a seat can't be reclaimed (and its live
+ * socket evicted) by someone who merely learned the id.
+ */
+export default class ParticipantIdentity {
+    constructor({ secret } = {}) {
+        if (!secret) {
+            console.warn('[identity] PARTICIPANT_TOKEN_SECRET is not set — using a random secret, participant tokens will not survive a restart');
+        }
+        this.secret = secret || randomBytes(32).toString('hex');
+    }
+
+    /** Mint a fresh identity: `{ participantId, token }`. */
+    issue() {
+        const participantId = nanoid();
+        return { participantId, token: `${participantId}.${this.#sign(participantId)}` };
+    }
+
+    /** Returns the participantId for a valid token, or null. */
+    verify(token) {
+        if (typeof token !== 'string') return null;
+        const dot = token.lastIndexOf('.');
+        if (dot <= 0) return null;
+
+        const participantId = token.slice(0, dot);
+        const given = Buffer.from(token.slice(dot + 1));
+        const expected = Buffer.from(this.#sign(participantId));
+        if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+        return participantId;
+    }
+
+    #sign(participantId) {
+        return createHmac('sha256', this.secret).update(participantId).digest('base64url');
+    }
+}
@@ -1,35 +1,144 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
 import { nanoid } from 'nanoid';
+import { MemoryRoomStore } from './roomStore.js';
+
+const DEFAULT_MAX_PARTICIPANTS = 8;
+const PASSPHRASE_KEY_LENGTH = 32;
+// Oldest client timestamp accepted as a playback anchor
+const MAX_ACTION_LAG_MS = 5000;
+// Recent playback seqs remembered with their author, for telling races from quick successions
+const PLAYBACK_AUTHOR_HISTORY = 64;
+// Lead time between a passed ready check and the synchronized start
+export const READY_CHECK_COUNTDOWN_MS = 3000;
+const MAX_QUEUE_ITEMS = 50;
+// Chat lines kept per room for replay to joining/reconnecting participants
+const MAX_CHAT_HISTORY = 200;
+const MAX_REACTIONS_PER_MESSAGE = 12; // distinct emoji
+// Live reactions sent over the movie, kept as seek-bar markers for rewatching
+export const LIVE_REACTIONS = ['❤️', '😂', '😱'];
+const MAX_TIMELINE_REACTIONS = 500;
+// Named subtitle tracks shared in a room; each participant picks which one they watch
+const MAX_SUBTITLE_TRACKS = 8;
+// What a watch-queue entry points at:
+//   'file'    — a local file only the host holds (it seeds it when the entry comes up)
+//   'library' — a movie in the host's library, by library key
+//   'url'     — a direct video URL the host fetches and seeds
+export const QUEUE_ITEM_KINDS = ['file', 'library', 'url'];
+
+// Who may play/pause/seek and share a torrent:
+//   'everyone'  — any participant (the original 1-on-1 behaviour)
+//   'co-hosts'  — the host plus participants the host promoted to co-host
+//   'host-only' — the host alone
+export const CONTROL_MODES = ['everyone', 'co-hosts', 'host-only'];
+
+// Drift correction, tunable per room by the host. Below `nudgeThreshold` seconds of
+// drift nothing happens; up to `seekThreshold` the playbackRate is nudged by at most
+// `maxRateAdjust`; beyond it clients hard-seek. The host reports its position every
+// `heartbeatMs`.
+export const DEFAULT_SYNC_SETTINGS = {
+    nudgeThreshold: 0.25,
+    seekThreshold: 2,
+    maxRateAdjust: 0.03,
+    heartbeatMs: 2000,
+};
+const SYNC_SETTING_LIMITS = {
+    nudgeThreshold: [0.05, 5],
+    seekThreshold: [0.5, 30],
+    maxRateAdjust: [0.005, 0.1],
+    heartbeatMs: [500, 30000],
+};
 
 class RoomManager {
-    constructor() {
+    constructor({ maxParticipants = DEFAULT_MAX_PARTICIPANTS, store = new MemoryRoomStore() } = {}) {
         this.rooms = new Map();
         this.socketToRoom = new Map();
+        this.maxParticipants = Math.max(2, Number(maxParticipants) || DEFAULT_MAX_PARTICIPANTS);
+        this.store = store;
+        // code -> { participants: Set<participantId>, resumeOnRecovery } — runtime only
+        this.buffering = new Map();
+        // code -> { id, position, startedBy, responses: Map<participantId, { ready, progress }> } — runtime only
+        this.readyChecks = new Map();
+        // code -> [{ seq, participantId }] for the latest playback changes (null = server-driven) — runtime only
+        this.playbackAuthors = new Map();
     }
 
-    createRoom(socketId, participantId, capabilities = {}, requestedCode = null) {
-        // Use requested code if provided and not already taken (e.g. host re-creating after server restart)
-        let code;
-        if (requestedCode) {
-            const normalized = requestedCode.trim().toUpperCase();
-            code = this.rooms.has(normalized) ? this.#generateUniqueCode() : normalized;
-        } else {
-            code = this.#generateUniqueCode();
+    /**
+     * Restore rooms saved by a previous server run. Sockets don't survive a restart,
+     * so every participant comes back as a reservation whose grace period starts now.
+     */
+    async hydrate() {
+        const records = await this.store.loadAll();
+        const now = Date.now();
+
+        for (const record of records) {
+            if (!record?.code || !Array.isArray(record.participants)) continue;
+
+            const room = {
+                controlMode: 'everyone',
+                ...record,
+                syncSettings: { ...DEFAULT_SYNC_SETTINGS, ...record.syncSettings },
+                queue: { items: [], nowPlaying: null, ...record.queue },
+                chat: Array.isArray(record.chat) ? record.chat : [],
+                reactions: Array.isArray(record.reactions) ? record.reactions : [],
+                participants: record.participants.map((p) => ({
+                    ...p,
+                    capabilities: this.#normalizeCapabilities(p.capabilities),
+                    socketId: null,
+                    disconnectedAt: p.disconnectedAt || now,
+                })),
+                cache: { movie: null, subtitleTracks: [], magnet: null, playback: null, updatedAt: now, ...record.cache },
+            };
+            // Rooms saved before tracks held a single shared `subtitles` entry, and before
+            // each track kept its own timing
+            const { subtitles: legacySubtitles, subtitleTiming: legacyTiming, ...cache } = room.cache;
+            room.cache = cache;
+            if (!Array.isArray(room.cache.subtitleTracks)) room.cache.subtitleTracks = [];
+            if (legacySubtitles?.subtitles?.length) {
+                room.cache.subtitleTracks.push({
+                    id: nanoid(10),
+                    name: legacySubtitles.filename || 'Subtitles',
+                    subtitles: legacySubtitles.subtitles,
+                    addedBy: null,
+                    addedAt: now,
+                });
+            }
+            room.cache.subtitleTracks = room.cache.subtitleTracks.map((t) => ({
+                ...t,
+                timing: t.timing ?? this.#normalizeSubtitleTiming(legacyTiming),
+            }));
+            // Nobody is connected yet, so the clock stops where it would be now.
+            room.cache.playback = this.#normalizePlayback(room.cache.playback);
+            this.#pausePlaybackClock(room, now);
+            this.#recomputeRoomMode(room);
+            this.rooms.set(room.code, room);
         }
+
+        return this.rooms.size;
+    }
+
+    createRoom(socketId, participantId, capabilities = {}, { passphrase = null } = {}) {
+        const code = this.#generateUniqueCode();
         const room = {
             code,
-            host: socketId,
-            viewer: null,
-            hostParticipantId: participantId || null,
-            viewerParticipantId: null,
-            hostDisconnectedAt: null,
-            viewerDisconnectedAt: null,
-            hostCapabilities: this.#normalizeCapabilities(capabilities),
-            viewerCapabilities: { nativePlayback: false },
+            // Every seat in the room — connected or reserved for a reconnecting participant.
+            // Exactly one participant holds the 'host' role; everyone else is a 'viewer'.
+            participants: [
+                this.#createParticipant(socketId, participantId, 'host', capabilities),
+            ],
             mode: 'web-compatible',
+            controlMode: 'everyone',
+            syncSettings: { ...DEFAULT_SYNC_SETTINGS },
+            playbackSeq: 0, // bumped on every playback state change; orders concurrent actions
+            // Up-next list; `nowPlaying` is the entry most recently taken off its front
+            queue: { items: [], nowPlaying: null },
+            chat: [], // last MAX_CHAT_HISTORY messages, oldest first
+            reactions: [], // last MAX_TIMELINE_REACTIONS live reactions, across movies
+            // scrypt hash of the room PIN/passphrase; null for open rooms
+            passphraseHash: passphrase ? this.#hashPassphrase(passphrase) : null,
             createdAt: Date.now(),
             cache: {
                 movie: null,
-                subtitles: null,
+                subtitleTracks: [], // [{ id, name, subtitles, ass, timing, addedBy, addedAt }], oldest first
                 magnet: null,
                 playback: null,
                 updatedAt: Date.now(),
@@ -38,10 +147,11 @@ class RoomManager {
 
         this.rooms.set(code, room);
         this.socketToRoom.set(socketId, code);
+        this.#persist(room);
         return room;
     }
 
-    joinRoom(code, socketId, participantId, capabilities = {}, { graceMs = 120000 } = {}) {
+    joinRoom(code, socketId, participantId, capabilities = {}, { graceMs = 120000, passphrase = null } = {}) {
         const room = this.rooms.get(code);
         if (!room) {
             return { error: 'Room not found. Check the code and try again.' };
@@ -49,72 +159,66 @@ class RoomManager {
 
         this.#pruneRoomReservations(room, graceMs);
 
-        if (room.host === socketId) return { room, role: 'host' };
-        if (room.viewer === socketId) return { room, role: 'viewer' };
+        const existing = this.#findBySocket(room, socketId);
+        if (existing) return { room, role: existing.role, participant: existing };
 
-        const participant = participantId || null;
         const caps = this.#normalizeCapabilities(capabilities);
+        const reserved = participantId
+            ? room.participants.find((p) => p.participantId === participantId)
+            : null;
 
-        if (!room.host && room.hostParticipantId && participant && room.hostParticipantId === participant) {
-            room.host = socketId;
-            room.hostDisconnectedAt = null;
-            room.hostCapabilities = caps;
-            this.#recomputeRoomMode(room);
-            this.socketToRoom.set(socketId, code);
-            return { room, role: 'host', reclaimed: true };
-        }
+        if (reserved) {
+            // Either a reconnect within the grace window, or the peer came back with the
+            // same participantId before the stale socket's disconnect event fired.
+            // Callers must only pass a participantId taken from a verified participant token.
+            const evictedSocketId = reserved.socketId && reserved.socketId !== socketId ? reserved.socketId : null;
+            if (evictedSocketId) {
+                console.log(`[room] force-evicting stale ${reserved.role} socket ${evictedSocketId} for participant ${participantId}`);
+                this.socketToRoom.delete(evictedSocketId);
+            }
 
-        if (!room.viewer && room.viewerParticipantId && participant && room.viewerParticipantId === participant) {
-            room.viewer = socketId;
-            room.viewerDisconnectedAt = null;
-            room.viewerCapabilities = caps;
+            reserved.socketId = socketId;
+            reserved.disconnectedAt = null;
+            reserved.capabilities = caps;
             this.#recomputeRoomMode(room);
             this.socketToRoom.set(socketId, code);
-            return { room, role: 'viewer', reclaimed: true };
+            this.#persist(room);
+            return { room, role: reserved.role, participant: reserved, reclaimed: true, evictedSocketId };
         }
 
-        if (!room.viewer) {
-            if (room.viewerParticipantId && room.viewerParticipantId !== participant) {
-                return { error: 'Partner is reconnecting. Please try again in a moment.' };
+        // Reclaiming a reserved seat doesn't need the passphrase again; new participants do.
+        if (room.passphraseHash) {
+            if (!passphrase) {
+                return { error: 'This room is protected. Enter its PIN to join.', code: 'PASSPHRASE_REQUIRED' };
             }
-
-            room.viewer = socketId;
-            room.viewerParticipantId = participant;
-            room.viewerDisconnectedAt = null;
-            room.viewerCapabilities = caps;
-            this.#recomputeRoomMode(room);
-            this.socketToRoom.set(socketId, code);
-            return { room, role: 'viewer' };
-        }
-        // Room appears full — but the reconnecting peer may have the same participantId
-        // as a stale socket whose disconnect event hasn't fired yet. Force-evict the stale one.
-        if (participant) {
-            if (room.hostParticipantId === participant && room.host !== socketId) {
-                console.log(`[room] force-evicting stale host socket ${room.host} for participant ${participant}`);
-                this.socketToRoom.delete(room.host);
-                room.host = socketId;
-                room.hostDisconnectedAt = null;
-                room.hostCapabilities = caps;
-                this.#recomputeRoomMode(room);
-                this.socketToRoom.set(socketId, code);
-                return { room, role: 'host', reclaimed: true };
-            }
-            if (room.viewerParticipantId === participant && room.viewer !== socketId) {
-                console.log(`[room] force-evicting stale viewer socket ${room.viewer} for participant ${participant}`);
-                this.socketToRoom.delete(room.viewer);
-                room.viewer = socketId;
-                room.viewerDisconnectedAt = null;
-                room.viewerCapabilities = caps;
-                this.#recomputeRoomMode(room);
-                this.socketToRoom.set(socketId, code);
-                return { room, role: 'viewer', reclaimed: true };
+            if (!this.#verifyPassphrase(room.passphraseHash, passphrase)) {
+                return { error: 'Incorrect room PIN.', code: 'PASSPHRASE_INVALID' };
             }
         }
 
-        return { error: 'Room is full. Only 1-on-1 sessions are supported.' };
+        if (room.participants.length >= this.maxParticipants) {
+            const someoneReconnecting = room.participants.some((p) => !p.socketId);
+            return {
+                error: someoneReconnecting
+                    ? 'Room is full while a participant is reconnecting. Please try again in a moment.'
+                    : `Room is full. Rooms are limited to ${this.maxParticipants} participants.`,
+            };
+        }
+
+        const participant = this.#createParticipant(socketId, participantId, 'viewer', caps);
+        room.participants.push(participant);
+        this.#recomputeRoomMode(room);
+        this.socketToRoom.set(socketId, code);
+        this.#persist(room);
+        return { room, role: 'viewer', participant };
     }
 
-    leaveRoom(socketId) {
+    /**
+     * Detach a socket from its room. The participant's seat is kept as a reservation
+     * for the reconnect grace period unless `release` is set (explicit leave). The host
+     * seat is always kept so the room is not orphaned.
+     */
+    leaveRoom(socketId, { release = false } = {}) {
         const code = this.socketToRoom.get(socketId);
         if (!code) return null;
 
@@ -122,38 +226,60 @@ class RoomManager {
         this.socketToRoom.delete(socketId);
         if (!room) return null;
 
-        let role = null;
-        let peerSocketId = null;
+        const participant = this.#findBySocket(room, socketId);
+        if (!participant) return null;
 
-        if (room.host === socketId) {
-            role = 'host';
-            peerSocketId = room.viewer;
-            room.host = null;
-            room.hostDisconnectedAt = Date.now();
-        } else if (room.viewer === socketId) {
-            role = 'viewer';
-            peerSocketId = room.host;
-            room.viewer = null;
-            room.viewerDisconnectedAt = Date.now();
+        if (release && participant.role !== 'host') {
+            room.participants = room.participants.filter((p) => p !== participant);
+        } else {
+            participant.socketId = null;
+            participant.disconnectedAt = Date.now();
         }
 
+        if (!this.#connectedSocketIds(room).length) this.#pausePlaybackClock(room);
         this.#recomputeRoomMode(room);
+        this.#persist(room);
 
-        return { code, role, peerSocketId };
+        return {
+            code,
+            role: participant.role,
+            participantId: participant.participantId,
+            peerSocketIds: this.#connectedSocketIds(room),
+        };
     }
 
+    /**
+     * Drop reservations older than `graceMs` and delete rooms left empty.
+     * Returns how many reservations and rooms were removed.
+     */
     cleanupExpired(graceMs = 120000) {
         const now = Date.now();
+        let reservations = 0;
+        let rooms = 0;
 
         for (const [code, room] of this.rooms.entries()) {
-            this.#pruneRoomReservations(room, graceMs, now);
+            reservations += this.#pruneRoomReservations(room, graceMs, now);
 
-            const noConnectedPeers = !room.host && !room.viewer;
-            const noReservations = !room.hostParticipantId && !room.viewerParticipantId;
-            if (noConnectedPeers && noReservations) {
-                this.rooms.delete(code);
+            if (room.participants.length === 0) {
+                this.#deleteRoom(code);
+                rooms++;
             }
         }
+
+        return { reservations, rooms };
+    }
+
+    /** Counts for monitoring: rooms and connected vs. reserved seats. */
+    getStats() {
+        let connected = 0;
+        let reserved = 0;
+        for (const room of this.rooms.values()) {
+            for (const p of room.participants) {
+                if (p.socketId) connected++;
+                else reserved++;
+            }
+        }
+        return { rooms: this.rooms.size, connected, reserved };
     }
 
     getRoom(code) {
@@ -165,20 +291,39 @@ class RoomManager {
         return code ? this.rooms.get(code) : null;
     }
 
-    getRoleInRoom(socketId) {
+    getParticipantBySocket(socketId) {
         const room = this.getRoomBySocket(socketId);
         if (!room) return null;
-        if (room.host === socketId) return 'host';
-        if (room.viewer === socketId) return 'viewer';
-        return null;
+        return this.#findBySocket(room, socketId);
     }
 
-    getPeerSocketId(socketId) {
-        const room = this.getRoomBySocket(socketId);
+    getRoleInRoom(socketId) {
+        return this.getParticipantBySocket(socketId)?.role || null;
+    }
+
+    getHostSocketId(code) {
+        const room = this.rooms.get(code);
         if (!room) return null;
-        if (room.host === socketId) return room.viewer;
-        if (room.viewer === socketId) return room.host;
-        return null;
+        return room.participants.find((p) => p.role === 'host')?.socketId || null;
+    }
+
+    /**
+     * Resolve the socket a relayed message should go to. With an explicit target the
+     * target must be another connected participant of the same room; without one, the
+     * only other connected participant is used (legacy 1-on-1 clients).
+     */
+    getPeerSocketId(socketId, targetSocketId = null) {
+        const peers = this.getPeerSocketIds(socketId);
+        if (targetSocketId) {
+            return peers.includes(targetSocketId) ? targetSocketId : null;
+        }
+        return peers.length === 1 ? peers[0] : null;
+    }
+
+    getPeerSocketIds(socketId) {
+        const room = this.getRoomBySocket(socketId);
+        if (!room || !this.#findBySocket(room, socketId)) return [];
+        return this.#connectedSocketIds(room).filter((id) => id !== socketId);
     }
 
     updateRoomCache(code, patch) {
@@ -190,6 +335,7 @@ class RoomManager {
             ...patch,
             updatedAt: Date.now(),
         };
+        this.#persist(room);
     }
 
     getRoomSnapshot(code) {
@@ -198,6 +344,637 @@ class RoomManager {
         return room.cache || null;
     }
 
+    /**
+     * Advance the room's canonical playback clock with a play/pause/seek/rate change. The new
+     * position is anchored at `at` — the sender's server-clock timestamp for the action —
+     * or at receipt when the sender hasn't synced its clock (or claims something implausible).
+     * Every accepted action gets the room's next `seq`.
+     */
+    applyPlaybackAction(code, { type, time, rate = null, actionId = null, at = null, participantId = null }) {
+        const room = this.rooms.get(code);
+        if (!room) return null;
+
+        const now = Date.now();
+        const anchor = this.#anchorFor(at, now);
+        const previous = room.cache.playback;
+        let status = previous?.status || 'paused';
+        if (type === 'play') status = 'playing';
+        if (type === 'pause') status = 'paused';
+
+        // While someone is buffering, "play" means "play once everyone is ready".
+        const stalled = this.buffering.get(code);
+        if (stalled) {
+            if (type === 'play') stalled.resumeOnRecovery = true;
+            if (type === 'pause') stalled.resumeOnRecovery = false;
+            if (status === 'playing') status = 'paused';
+        }
+
+        this.updateRoomCache(code, {
+            playback: {
+                status,
+                position: Math.max(0, time),
+                rate: type === 'rate' && Number.isFinite(rate) ? rate : previous?.rate || 1,
+                anchor,
+                actionId,
+                seq: this.#nextPlaybackSeq(room, participantId),
+                updatedAt: now,
+            },
+        });
+        return this.getPlaybackState(code, now);
+    }
+
+    /**
+     * Whether an action was decided without seeing the latest state: `baseSeq` is the
+     * last sequence number the sender had applied. Such an action lost a race (someone
+     * else's action — or a server-driven change — landed first) and is dropped instead
+     * of undoing the winner. Seqs the sender missed only because they were its own,
+     * still-unacknowledged actions (play then pause, repeated seeks) don't count.
+     * Senders that don't report a `baseSeq` are never considered stale.
+     */
+    isStaleAction(code, baseSeq, participantId = null) {
+        const room = this.rooms.get(code);
+        if (!room || !Number.isInteger(baseSeq)) return false;
+        const missedCount = (room.playbackSeq || 0) - baseSeq;
+        if (missedCount <= 0) return false;
+        const missed = (this.playbackAuthors.get(code) || []).filter((entry) => entry.seq > baseSeq);
+        // Anything older than the remembered history is treated as someone else's
+        if (missed.length < missedCount) return true;
+        return !participantId || missed.some((entry) => entry.participantId !== participantId);
+    }
+
+    /**
+     * Playback state with `position` computed for `now` (and `anchor` set to it), so a
+     * client only has to add its own network delay. A scheduled start keeps its future
+     * anchor so late joiners still start on the beat.
+     */
+    getPlaybackState(code, now = Date.now()) {
+        const room = this.rooms.get(code);
+        const playback = room?.cache?.playback;
+        if (!playback) return null;
+        if (playback.status === 'playing' && playback.anchor > now) return { ...playback };
+        return { ...playback, position: this.#positionAt(room, now), anchor: now };
+    }
+
+    /**
+     * Re-anchor a running clock to the reference player's reported position without
+     * treating it as a user action (drift-correction heartbeat). Not persisted — it
+     * arrives every few seconds and the next action or leave persists the clock anyway.
+     */
+    recordPlaybackHeartbeat(code, { time, at = null }) {
+        const room = this.rooms.get(code);
+        const playback = room?.cache.playback;
+        if (playback?.status !== 'playing') return null;
+
+        const now = Date.now();
+        const anchor = this.#anchorFor(at, now);
+        room.cache.playback = { ...playback, position: Math.max(0, time), anchor };
+        return this.getPlaybackState(code, now);
+    }
+
+    /**
+     * Track participants whose player is stalled. While anyone is, a playing clock is
+     * held (paused) and it resumes from the same position once the last one recovers.
+     * Returns null when nothing changed, otherwise `{ buffering, playback, resumed }`.
+     */
+    setBuffering(code, participantId, isBuffering) {
+        const room = this.rooms.get(code);
+        if (!room || !participantId) return null;
+        let stalled = this.buffering.get(code);
+
+        if (isBuffering) {
+            if (stalled?.participants.has(participantId)) return null;
+            if (!stalled) {
+                stalled = { participants: new Set(), resumeOnRecovery: false };
+                this.buffering.set(code, stalled);
+            }
+            stalled.participants.add(participantId);
+            if (room.cache.playback?.status === 'playing') {
+                this.#pausePlaybackClock(room);
+                room.cache.playback.seq = this.#nextPlaybackSeq(room);
+                stalled.resumeOnRecovery = true;
+                this.#persist(room);
+            }
+            return { buffering: [...stalled.participants], playback: this.getPlaybackState(code), resumed: false };
+        }
+
+        if (!stalled?.participants.delete(participantId)) return null;
+        if (stalled.participants.size) {
+            return { buffering: [...stalled.participants], playback: this.getPlaybackState(code), resumed: false };
+        }
+
+        this.buffering.delete(code);
+        const playback = room.cache.playback;
+        const resumed = Boolean(stalled.resumeOnRecovery && playback);
+        if (resumed) {
+            room.cache.playback = { ...playback, status: 'playing', anchor: Date.now(), seq: this.#nextPlaybackSeq(room) };
+            this.#persist(room);
+        }
+        return { buffering: [], playback: this.getPlaybackState(code), resumed };
+    }
+
+    getBuffering(code) {
+        return [...(this.buffering.get(code)?.participants || [])];
+    }
+
+    /**
+     * Open a ready check at the current position (replacing any running one). The
+     * participant who started it counts as ready.
+     */
+    startReadyCheck(code, participantId) {
+        const room = this.rooms.get(code);
+        if (!room) return null;
+        const position = room.cache.playback ? this.#positionAt(room, Date.now()) : 0;
+        this.readyChecks.set(code, {
+            id: nanoid(8),
+            position,
+            startedBy: participantId,
+            responses: new Map([[participantId, { ready: true, progress: 100 }]]),
+        });
+        return this.getReadyCheck(code);
+    }
+
+    /** Record one participant's answer; answers to a superseded check are ignored. */
+    respondReadyCheck(code, participantId, { id, ready, progress = null }) {
+        const check = this.readyChecks.get(code);
+        if (!check || check.id !== id) return null;
+        check.responses.set(participantId, {
+            ready: Boolean(ready),
+            progress: Number.isFinite(progress) ? Math.max(0, Math.min(100, progress)) : null,
+        });
+        return this.getReadyCheck(code);
+    }
+
+    /**
+     * The running check as seen by currently connected participants — someone who
+     * drops out stops blocking it. `allReady` is true once every one of them confirmed.
+     */
+    getReadyCheck(code) {
+        const room = this.rooms.get(code);
+        const check = this.readyChecks.get(code);
+        if (!room || !check) return null;
+
+        const participants = room.participants
+            .filter((p) => p.socketId)
+            .map((p) => ({
+                participantId: p.participantId,
+                role: p.role,
+                ready: false,
+                progress: null,
+                ...check.responses.get(p.participantId),
+            }));
+        return {
+            id: check.id,
+            position: check.position,
+            startedBy: check.startedBy,
+            participants,
+            allReady: participants.length > 0 && participants.every((p) => p.ready),
+        };
+    }
+
+    /**
+     * Close a passed check by scheduling playback to start `delayMs` from now at the
+     * check's position. Returns `{ id, startAt, playback }`.
+     */
+    completeReadyCheck(code, delayMs = READY_CHECK_COUNTDOWN_MS) {
+        const room = this.rooms.get(code);
+        const check = this.readyChecks.get(code);
+        if (!room || !check) return null;
+        this.readyChecks.delete(code);
+
+        const now = Date.now();
+        const startAt = now + delayMs;
+        this.updateRoomCache(code, {
+            playback: {
+                status: 'playing',
+                position: check.position,
+                rate: room.cache.playback?.rate || 1,
+                anchor: startAt,
+                actionId: `ready-${check.id}`,
+                seq: this.#nextPlaybackSeq(room),
+                updatedAt: now,
+            },
+        });
+        return { id: check.id, startAt, playback: this.getPlaybackState(code, now) };
+    }
+
+    cancelReadyCheck(code) {
+        const check = this.readyChecks.get(code);
+        if (!check) return null;
+        this.readyChecks.delete(code);
+        return { id: check.id };
+    }
+
+    resetPlayback(code) {
+        if (!this.rooms.get(code)?.cache.playback) return;
+        this.updateRoomCache(code, { playback: null });
+    }
+
+    /**
+     * Whether this socket may drive shared playback (sync-*) and share torrents.
+     */
+    hasControl(socketId) {
+        const room = this.getRoomBySocket(socketId);
+        const participant = room ? this.#findBySocket(room, socketId) : null;
+        if (!participant) return false;
+
+        switch (room.controlMode) {
+            case 'host-only':
+                return participant.role === 'host';
+            case 'co-hosts':
+                return participant.role === 'host' || Boolean(participant.coHost);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Change the control mode and/or patch the sync settings. Both parts are validated
+     * before either is applied, so a bad patch leaves the room exactly as it was.
+     */
+    updateRoomSettings(code, { controlMode, sync } = {}) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+        if (controlMode !== undefined && !CONTROL_MODES.includes(controlMode)) {
+            return { error: `Unknown control mode: ${controlMode}` };
+        }
+        const merged = sync ? this.#mergeSyncSettings(room, sync) : null;
+        if (merged?.error) return merged;
+
+        if (controlMode !== undefined) room.controlMode = controlMode;
+        if (merged) room.syncSettings = merged.settings;
+        this.#persist(room);
+        return { room };
+    }
+
+    setCoHost(code, participantId, enabled) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+        const participant = room.participants.find((p) => p.participantId === participantId);
+        if (!participant) return { error: 'Participant not found.' };
+        if (participant.role === 'host') return { error: 'The host already has full control.' };
+
+        participant.coHost = Boolean(enabled);
+        this.#persist(room);
+        return { room, participant };
+    }
+
+    /**
+     * Hand the host role (seeding, snapshot ownership, settings) to another connected
+     * participant. The previous host stays in the room as a viewer.
+     */
+    transferHost(code, fromSocketId, toParticipantId) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+
+        const currentHost = this.#findBySocket(room, fromSocketId);
+        if (!currentHost || currentHost.role !== 'host') return { error: 'Only the host can transfer host duties.' };
+
+        const target = room.participants.find((p) => p.participantId === toParticipantId);
+        if (!target || target === currentHost) return { error: 'Participant not found.' };
+        if (!target.socketId) return { error: 'That participant is not connected right now.' };
+
+        currentHost.role = 'viewer';
+        currentHost.coHost = false;
+        target.role = 'host';
+        target.coHost = false;
+        this.#persist(room);
+        return { room, previousHost: currentHost, newHost: target };
+    }
+
+    /**
+     * Public view of room permissions and who is in the room. Socket ids stay private.
+     */
+    getRoomSettings(code) {
+        const room = this.rooms.get(code);
+        if (!room) return null;
+        return {
+            controlMode: room.controlMode,
+            sync: room.syncSettings,
+            hostParticipantId: room.participants.find((p) => p.role === 'host')?.participantId || null,
+            participants: room.participants.map((p) => ({
+                participantId: p.participantId,
+                role: p.role,
+                coHost: Boolean(p.coHost),
+                connected: Boolean(p.socketId),
+            })),
+        };
+    }
+
+    // ─── Chat ───────────────────────────────────────────────
+
+    /** `position`, when given, anchors the message to that point in the movie (seconds). */
+    addChatMessage(code, { participantId, sender, from, text, position = null }) {
+        const room = this.rooms.get(code);
+        if (!room) return null;
+        const message = {
+            id: nanoid(12),
+            text,
+            sender,
+            participantId,
+            from,
+            timestamp: Date.now(),
+            position: typeof position === 'number' ? position : null,
+            reactions: {}, // emoji -> participantIds
+            seenBy: [], // participantIds (other than the sender) who have read it
+        };
+        room.chat.push(message);
+        if (room.chat.length > MAX_CHAT_HISTORY) room.chat.splice(0, room.chat.length - MAX_CHAT_HISTORY);
+        this.#persist(room);
+        return message;
+    }
+
+    /** Add or take back one participant's emoji reaction on a message. */
+    toggleChatReaction(code, messageId, participantId, emoji) {
+        const message = this.rooms.get(code)?.chat.find((m) => m.id === messageId);
+        if (!message) return { error: 'That message is no longer available.' };
+
+        const reactions = { ...message.reactions };
+        const reacted = reactions[emoji] || [];
+        if (reacted.includes(participantId)) {
+            reactions[emoji] = reacted.filter((id) => id !== participantId);
+            if (!reactions[emoji].length) delete reactions[emoji];
+        } else {
+            if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+                return { error: 'This message has too many different reactions.' };
+            }
+            reactions[emoji] = [...reacted, participantId];
+        }
+        message.reactions = reactions;
+        this.#persist(this.rooms.get(code));
+        return { message };
+    }
+
+    /**
+     * Mark every message up to and including `messageId` as seen by a participant.
+     * Returns null when that changed nothing (already read, or an unknown message).
+     */
+    markChatRead(code, participantId, messageId) {
+        const room = this.rooms.get(code);
+        const index = room ? room.chat.findIndex((m) => m.id === messageId) : -1;
+        if (index === -1) return null;
+
+        let changed = false;
+        for (const message of room.chat.slice(0, index + 1)) {
+            const seenBy = message.seenBy || [];
+            if (message.participantId === participantId || seenBy.includes(participantId)) continue;
+            message.seenBy = [...seenBy, participantId];
+            changed = true;
+        }
+        if (!changed) return null;
+        this.#persist(room);
+        return { participantId, messageId };
+    }
+
+    getChatHistory(code) {
+        return [...(this.rooms.get(code)?.chat || [])];
+    }
+
+    // ─── Live reactions ─────────────────────────────────────
+
+    /** Record a live reaction at `time` seconds into the movie currently loaded. */
+    addReaction(code, { participantId, emoji, time }) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+        if (!LIVE_REACTIONS.includes(emoji)) return { error: 'Unsupported reaction.' };
+        const movie = room.cache.movie?.name;
+        if (!movie) return { error: 'Nothing is playing yet.' };
+
+        const reaction = { id: nanoid(10), emoji, time, movie, participantId, timestamp: Date.now() };
+        room.reactions.push(reaction);
+        if (room.reactions.length > MAX_TIMELINE_REACTIONS) {
+            room.reactions.splice(0, room.reactions.length - MAX_TIMELINE_REACTIONS);
+        }
+        this.#persist(room);
+        return { reaction };
+    }
+
+    /** Reactions left on the movie currently loaded, for its seek-bar markers. */
+    getReactionTimeline(code) {
+        const room = this.rooms.get(code);
+        const movie = room?.cache.movie?.name;
+        if (!movie) return [];
+        return room.reactions.filter((r) => r.movie === movie);
+    }
+
+    // ─── Subtitle tracks ────────────────────────────────────
+
+    getSubtitleTracks(code) {
+        return this.rooms.get(code)?.cache.subtitleTracks || [];
+    }
+
+    /**
+     * Share a subtitle track with the room. Loading a track under a name the room
+     * already has replaces it; past MAX_SUBTITLE_TRACKS the oldest track is dropped.
+     */
+    addSubtitleTrack(code, { participantId, name, subtitles, ass = null, timing = null }) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+        if (!subtitles.length) return { error: 'These subtitles have no cues.' };
+
+        const trackName = name || 'Subtitles';
+        const existing = room.cache.subtitleTracks.find((t) => t.name === trackName);
+        const track = {
+            id: existing?.id || nanoid(10),
+            name: trackName,
+            subtitles,
+            ass, // ASS/SSA script info (playRes, styles) the cues' styles refer to
+            timing: this.#normalizeSubtitleTiming(timing),
+            addedBy: participantId,
+            addedAt: Date.now(),
+        };
+        const tracks = room.cache.subtitleTracks.filter((t) => t.id !== track.id);
+        tracks.push(track);
+        this.updateRoomCache(code, { subtitleTracks: tracks.slice(-MAX_SUBTITLE_TRACKS) });
+        return { track };
+    }
+
+    /**
+     * Set one track's delay / framerate fix. Each track keeps its own, so fixing the
+     * track you watch doesn't shift anyone else's.
+     */
+    setSubtitleTiming(code, trackId, timing) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+        const track = room.cache.subtitleTracks.find((t) => t.id === trackId);
+        if (!track) return { error: 'That subtitle track is no longer in the room.' };
+
+        const normalized = this.#normalizeSubtitleTiming(timing);
+        this.updateRoomCache(code, {
+            subtitleTracks: room.cache.subtitleTracks.map((t) => (t.id === trackId ? { ...t, timing: normalized } : t)),
+        });
+        return { timing: normalized };
+    }
+
+    // A framerate conversion only counts when it actually converts
+    #normalizeSubtitleTiming(timing) {
+        if (!timing) return null;
+        const { offset = 0, fromFps, toFps } = timing;
+        const convert = fromFps && toFps && fromFps !== toFps;
+        return { offset, fromFps: convert ? fromFps : null, toFps: convert ? toFps : null };
+    }
+
+    // ─── Watch queue ────────────────────────────────────────
+
+    getQueue(code) {
+        const queue = this.rooms.get(code)?.queue;
+        return queue ? { items: queue.items.map((item) => ({ ...item })), nowPlaying: queue.nowPlaying } : null;
+    }
+
+    addQueueItem(code, participantId, { kind, title, libraryKey = null, url = null }) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+        if (!QUEUE_ITEM_KINDS.includes(kind)) return { error: 'Unknown queue item type.' };
+        if (kind === 'library' && !libraryKey) return { error: 'Library entries need a library key.' };
+        if (kind === 'url' && !/^https?:\/\//i.test(url || '')) return { error: 'Only http(s) links can be queued.' };
+        if (room.queue.items.length >= MAX_QUEUE_ITEMS) return { error: `The queue is full (${MAX_QUEUE_ITEMS} items).` };
+
+        const item = {
+            id: nanoid(10),
+            kind,
+            title: title || url || 'Untitled',
+            libraryKey: kind === 'library' ? libraryKey : null,
+            url: kind === 'url' ? url : null,
+            addedBy: participantId,
+            addedAt: Date.now(),
+        };
+        room.queue.items.push(item);
+        this.#persist(room);
+        return { item };
+    }
+
+    removeQueueItem(code, itemId) {
+        const room = this.rooms.get(code);
+        const index = room ? room.queue.items.findIndex((item) => item.id === itemId) : -1;
+        if (index === -1) return { error: 'That item is no longer in the queue.' };
+        const [item] = room.queue.items.splice(index, 1);
+        this.#persist(room);
+        return { item };
+    }
+
+    moveQueueItem(code, itemId, toIndex) {
+        const room = this.rooms.get(code);
+        const items = room?.queue.items;
+        const index = items ? items.findIndex((item) => item.id === itemId) : -1;
+        if (index === -1) return { error: 'That item is no longer in the queue.' };
+        const [item] = items.splice(index, 1);
+        items.splice(Math.max(0, Math.min(items.length, toIndex)), 0, item);
+        this.#persist(room);
+        return { item };
+    }
+
+    /**
+     * Take the next entry off the queue and make it `nowPlaying`. `expectedCurrentId`
+     * guards against double-advancing when an "ended" and a "play next" race: if what
+     * is playing has already changed, nothing happens.
+     */
+    advanceQueue(code, { expectedCurrentId } = {}) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+        const { queue } = room;
+        if (expectedCurrentId !== undefined && (queue.nowPlaying?.id || null) !== expectedCurrentId) {
+            return { error: 'The queue already moved on.' };
+        }
+        if (!queue.items.length) return { error: 'The queue is empty.' };
+
+        queue.nowPlaying = queue.items.shift();
+        this.#persist(room);
+        return { item: queue.nowPlaying };
+    }
+
+    // ─── Admin / moderation ─────────────────────────────────
+
+    listRooms() {
+        return [...this.rooms.keys()].map((code) => this.describeRoom(code));
+    }
+
+    /**
+     * Full admin view of a room, socket ids included. Subtitle tracks are summarised
+     * rather than dumped.
+     */
+    describeRoom(code) {
+        const room = this.rooms.get(code);
+        if (!room) return null;
+
+        const { subtitleTracks = [], ...cache } = room.cache || {};
+        return {
+            code: room.code,
+            mode: room.mode,
+            controlMode: room.controlMode,
+            passphraseProtected: Boolean(room.passphraseHash),
+            createdAt: room.createdAt,
+            queue: room.queue,
+            chatMessages: room.chat.length,
+            reactions: room.reactions.length,
+            participants: room.participants.map((p) => ({
+                participantId: p.participantId,
+                socketId: p.socketId,
+                role: p.role,
+                coHost: Boolean(p.coHost),
+                connected: Boolean(p.socketId),
+                capabilities: p.capabilities,
+                joinedAt: p.joinedAt,
+                disconnectedAt: p.disconnectedAt,
+            })),
+            cache: {
+                ...cache,
+                subtitleTracks: subtitleTracks.map((t) => ({
+                    id: t.id,
+                    name: t.name,
+                    addedBy: t.addedBy,
+                    cueCount: t.subtitles.length,
+                })),
+            },
+        };
+    }
+
+    /**
+     * Delete a room outright. Returns the sockets that were still in it.
+     */
+    closeRoom(code) {
+        const room = this.rooms.get(code);
+        if (!room) return null;
+
+        const socketIds = this.#connectedSocketIds(room);
+        for (const socketId of socketIds) this.socketToRoom.delete(socketId);
+        this.#deleteRoom(code);
+        return { code, socketIds };
+    }
+
+    /**
+     * Remove a participant (connected or reserved) from a room. Kicking the host hands
+     * the role to the longest-present connected participant so the room stays usable.
+     */
+    kickParticipant(code, participantId) {
+        const room = this.rooms.get(code);
+        if (!room) return { error: 'Room not found.' };
+        const participant = room.participants.find((p) => p.participantId === participantId);
+        if (!participant) return { error: 'Participant not found.' };
+
+        room.participants = room.participants.filter((p) => p !== participant);
+        if (participant.socketId) this.socketToRoom.delete(participant.socketId);
+        if (!this.#connectedSocketIds(room).length) this.#pausePlaybackClock(room);
+
+        let newHost = null;
+        if (participant.role === 'host' && room.participants.length) {
+            newHost = room.participants.find((p) => p.socketId) || room.participants[0];
+            newHost.role = 'host';
+            newHost.coHost = false;
+        }
+
+        if (room.participants.length === 0) {
+            this.#deleteRoom(code);
+            return { room: null, participant, newHost, peerSocketIds: [] };
+        }
+
+        this.#recomputeRoomMode(room);
+        this.#persist(room);
+        return { room, participant, newHost, peerSocketIds: this.#connectedSocketIds(room) };
+    }
+
+    isPassphraseProtected(code) {
+        return Boolean(this.rooms.get(code)?.passphraseHash);
+    }
+
     getRoomMode(code) {
         const room = this.rooms.get(code);
         return room?.mode || 'web-compatible';
@@ -209,19 +986,125 @@ class RoomManager {
     }
 
     #pruneRoomReservations(room, graceMs, now = Date.now()) {
-        if (!room.host && room.hostParticipantId && room.hostDisconnectedAt && now - room.hostDisconnectedAt > graceMs) {
-            room.hostParticipantId = null;
-            room.hostDisconnectedAt = null;
-            room.hostCapabilities = { nativePlayback: false };
+        const before = room.participants.length;
+        room.participants = room.participants.filter((p) => (
+            p.socketId || !p.disconnectedAt || now - p.disconnectedAt <= graceMs
+        ));
+
+        this.#recomputeRoomMode(room);
+        const removed = before - room.participants.length;
+        if (removed > 0 && room.participants.length > 0) {
+            this.#persist(room);
         }
+        return removed;
+    }
+
+    #deleteRoom(code) {
+        this.rooms.delete(code);
+        this.buffering.delete(code);
+        this.readyChecks.delete(code);
+        this.playbackAuthors.delete(code);
+        this.store.remove(code);
+    }
+
+    #positionAt(room, now) {
+        const { status, position, rate = 1, anchor } = room.cache.playback;
+        // A scheduled start (anchor in the future) holds at `position` until then.
+        let current = status === 'playing' ? position + (Math.max(0, now - anchor) / 1000) * rate : position;
+        const duration = room.cache.movie?.duration;
+        if (Number.isFinite(duration) && duration > 0) current = Math.min(current, duration);
+        return Math.max(0, current);
+    }
 
-        if (!room.viewer && room.viewerParticipantId && room.viewerDisconnectedAt && now - room.viewerDisconnectedAt > graceMs) {
-            room.viewerParticipantId = null;
-            room.viewerDisconnectedAt = null;
-            room.viewerCapabilities = { nativePlayback: false };
+    #mergeSyncSettings(room, patch) {
+        const settings = { ...room.syncSettings };
+        for (const [key, value] of Object.entries(patch)) {
+            const limits = SYNC_SETTING_LIMITS[key];
+            if (!limits) return { error: `Unknown sync setting: ${key}` };
+            if (!Number.isFinite(value) || value < limits[0] || value > limits[1]) {
+                return { error: `${key} must be between ${limits[0]} and ${limits[1]}.` };
+            }
+            settings[key] = value;
         }
+        if (settings.nudgeThreshold >= settings.seekThreshold) {
+            return { error: 'The nudge threshold must be below the seek threshold.' };
+        }
+        return { settings };
+    }
 
-        this.#recomputeRoomMode(room);
+    #nextPlaybackSeq(room, participantId = null) {
+        room.playbackSeq = (room.playbackSeq || 0) + 1;
+        const authors = this.playbackAuthors.get(room.code) || [];
+        authors.push({ seq: room.playbackSeq, participantId });
+        this.playbackAuthors.set(room.code, authors.slice(-PLAYBACK_AUTHOR_HISTORY));
+        return room.playbackSeq;
+    }
+
+    // Trust a client's server-clock timestamp only if it is plausible.
+    #anchorFor(at, now) {
+        return Number.isFinite(at) && Math.abs(now - at) <= MAX_ACTION_LAG_MS ? Math.min(at, now) : now;
+    }
+
+    #pausePlaybackClock(room, now = Date.now()) {
+        const playback = room.cache.playback;
+        if (playback?.status !== 'playing') return;
+        room.cache.playback = { ...playback, status: 'paused', position: this.#positionAt(room, now), anchor: now };
+    }
+
+    // Rooms saved before the canonical clock cached only the last `{ type, time }`.
+    #normalizePlayback(playback) {
+        if (!playback || playback.status) return playback || null;
+        if (typeof playback.time !== 'number') return null;
+        return {
+            status: playback.type === 'play' ? 'playing' : 'paused',
+            position: playback.time,
+            rate: 1,
+            anchor: playback.updatedAt || Date.now(),
+            actionId: playback.actionId || null,
+            updatedAt: playback.updatedAt || Date.now(),
+        };
+    }
+
+    #persist(room) {
+        if (!this.rooms.has(room.code)) return;
+        this.store.save({
+            ...room,
+            participants: room.participants.map((p) => ({ ...p })),
+        });
+    }
+
+    #createParticipant(socketId, participantId, role, capabilities = {}) {
+        return {
+            participantId: participantId || null,
+            socketId,
+            role,
+            coHost: false,
+            capabilities: this.#normalizeCapabilities(capabilities),
+            joinedAt: Date.now(),
+            disconnectedAt: null,
+        };
+    }
+
+    #findBySocket(room, socketId) {
+        if (!socketId) return null;
+        return room.participants.find((p) => p.socketId === socketId) || null;
+    }
+
+    #connectedSocketIds(room) {
+        return room.participants.filter((p) => p.socketId).map((p) => p.socketId);
+    }
+
+    #hashPassphrase(passphrase) {
+        const salt = randomBytes(16).toString('hex');
+        const hash = scryptSync(String(passphrase), salt, PASSPHRASE_KEY_LENGTH).toString('hex');
+        return { salt, hash };
+    }
+
+    #verifyPassphrase(stored, passphrase) {
+        if (!stored?.salt || !stored?.hash || typeof passphrase !== 'string') return false;
+        const expected = Buffer.from(stored.hash, 'hex');
+        const actual = scryptSync(passphrase, stored.salt, expected.length);
+        return timingSafeEqual(expected, actual);
     }
 
     #generateUniqueCode() {
@@ -239,9 +1122,9 @@ class RoomManager {
     }
 
     #recomputeRoomMode(room) {
-        const bothConnected = Boolean(room.host && room.viewer && !room.hostDisconnectedAt && !room.viewerDisconnectedAt);
-        const bothNative = Boolean(room.hostCapabilities?.nativePlayback) && Boolean(room.viewerCapabilities?.nativePlayback);
-        room.mode = bothConnected && bothNative ? 'native' : 'web-compatible';
+        const allConnected = room.participants.length >= 2 && room.participants.every((p) => p.socketId && !p.disconnectedAt);
+        const allNative = room.participants.every((p) => Boolean(p.capabilities?.nativePlayback));
+        room.mode = allConnected && allNative ? 'native' : 'web-compatible';
     }
 }
 
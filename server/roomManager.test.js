@@ -0,0 +1,243 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomManager from './roomManager.js';
+
+// A room with a host and one viewer, both connected
+function twoPersonRoom(options) {
+    const manager = new RoomManager(options);
+    const { code } = manager.createRoom('host-socket', 'host');
+    manager.joinRoom(code, 'viewer-socket', 'viewer');
+    return { manager, code };
+}
+
+// ─── Playback clock ─────────────────────────────────────
+
+test('a playing clock advances from its anchor at the playback rate', () => {
+    const { manager, code } = twoPersonRoom();
+    const at = Date.now();
+    manager.applyPlaybackAction(code, { type: 'play', time: 10, at, participantId: 'host' });
+
+    assert.equal(manager.getPlaybackState(code, at + 2000).position, 12);
+
+    manager.applyPlaybackAction(code, { type: 'rate', time: 12, rate: 2, at, participantId: 'host' });
+    const state = manager.getPlaybackState(code, at + 3000);
+    assert.equal(state.status, 'playing');
+    assert.equal(state.rate, 2);
+    assert.equal(state.position, 18);
+    assert.equal(state.anchor, at + 3000);
+});
+
+test('a paused clock holds its position', () => {
+    const { manager, code } = twoPersonRoom();
+    const at = Date.now();
+    manager.applyPlaybackAction(code, { type: 'play', time: 5, at, participantId: 'host' });
+    manager.applyPlaybackAction(code, { type: 'pause', time: 7.5, at, participantId: 'host' });
+
+    const state = manager.getPlaybackState(code, at + 60000);
+    assert.equal(state.status, 'paused');
+    assert.equal(state.position, 7.5);
+});
+
+test('the clock stops at the end of the movie', () => {
+    const { manager, code } = twoPersonRoom();
+    manager.updateRoomCache(code, { movie: { name: 'Short.mp4', duration: 30 } });
+    const at = Date.now();
+    manager.applyPlaybackAction(code, { type: 'play', time: 25, at, participantId: 'host' });
+
+    assert.equal(manager.getPlaybackState(code, at + 60000).position, 30);
+});
+
+test('an implausible client timestamp anchors the action at receipt', () => {
+    const { manager, code } = twoPersonRoom();
+    const before = Date.now();
+    manager.applyPlaybackAction(code, { type: 'play', time: 0, at: before - 60000, participantId: 'host' });
+
+    // Anchored a minute back, the clock would already be at 60s
+    assert.ok(manager.getRoomSnapshot(code).playback.anchor >= before);
+    assert.ok(manager.getPlaybackState(code, before + 1000).position <= 1);
+});
+
+test('a scheduled start keeps its future anchor until it is due', () => {
+    const { manager, code } = twoPersonRoom();
+    const startAt = Date.now() + 3000;
+    manager.updateRoomCache(code, {
+        playback: { status: 'playing', position: 40, rate: 1, anchor: startAt, seq: 1 },
+    });
+
+    const early = manager.getPlaybackState(code, startAt - 1000);
+    assert.equal(early.position, 40);
+    assert.equal(early.anchor, startAt);
+    assert.equal(manager.getPlaybackState(code, startAt + 1500).position, 41.5);
+});
+
+test('every accepted action takes the next seq', () => {
+    const { manager, code } = twoPersonRoom();
+    const first = manager.applyPlaybackAction(code, { type: 'play', time: 0, participantId: 'host' });
+    const second = manager.applyPlaybackAction(code, { type: 'seek', time: 30, participantId: 'viewer' });
+    assert.equal(second.seq, first.seq + 1);
+});
+
+// ─── Stale actions ──────────────────────────────────────
+
+test('an action based on the latest seq is never stale', () => {
+    const { manager, code } = twoPersonRoom();
+    const { seq } = manager.applyPlaybackAction(code, { type: 'play', time: 0, participantId: 'host' });
+    assert.equal(manager.isStaleAction(code, seq, 'viewer'), false);
+});
+
+test('an action that missed someone else\'s change is stale', () => {
+    const { manager, code } = twoPersonRoom();
+    const { seq } = manager.applyPlaybackAction(code, { type: 'play', time: 0, participantId: 'host' });
+    manager.applyPlaybackAction(code, { type: 'seek', time: 90, participantId: 'host' });
+
+    assert.equal(manager.isStaleAction(code, seq, 'viewer'), true);
+});
+
+test('a quick succession of the sender\'s own actions is not stale', () => {
+    const { manager, code } = twoPersonRoom();
+    const { seq } = manager.applyPlaybackAction(code, { type: 'play', time: 0, participantId: 'viewer' });
+    manager.applyPlaybackAction(code, { type: 'pause', time: 1, participantId: 'viewer' });
+    manager.applyPlaybackAction(code, { type: 'seek', time: 20, participantId: 'viewer' });
+
+    assert.equal(manager.isStaleAction(code, seq - 1, 'viewer'), false);
+    assert.equal(manager.isStaleAction(code, seq - 1, 'host'), true);
+});
+
+test('a server-driven change makes an older action stale', () => {
+    const { manager, code } = twoPersonRoom();
+    const { seq } = manager.applyPlaybackAction(code, { type: 'play', time: 0, participantId: 'viewer' });
+    manager.applyPlaybackAction(code, { type: 'pause', time: 3, participantId: null });
+
+    assert.equal(manager.isStaleAction(code, seq, 'viewer'), true);
+});
+
+test('senders that report no baseSeq are never stale', () => {
+    const { manager, code } = twoPersonRoom();
+    manager.applyPlaybackAction(code, { type: 'play', time: 0, participantId: 'host' });
+    manager.applyPlaybackAction(code, { type: 'seek', time: 90, participantId: 'host' });
+
+    assert.equal(manager.isStaleAction(code, undefined, 'viewer'), false);
+    assert.equal(manager.isStaleAction(code, null, 'viewer'), false);
+});
+
+// ─── Permissions ────────────────────────────────────────
+
+test('control follows the room\'s control mode', () => {
+    const { manager, code } = twoPersonRoom();
+    manager.joinRoom(code, 'cohost-socket', 'cohost');
+    manager.setCoHost(code, 'cohost', true);
+    const control = () => ['host-socket', 'cohost-socket', 'viewer-socket'].map((id) => manager.hasControl(id));
+
+    assert.deepEqual(control(), [true, true, true]);
+
+    manager.updateRoomSettings(code, { controlMode: 'co-hosts' });
+    assert.deepEqual(control(), [true, true, false]);
+
+    manager.updateRoomSettings(code, { controlMode: 'host-only' });
+    assert.deepEqual(control(), [true, false, false]);
+
+    assert.equal(manager.hasControl('stranger-socket'), false);
+});
+
+test('the host can\'t be made a co-host', () => {
+    const { manager, code } = twoPersonRoom();
+    assert.ok(manager.setCoHost(code, 'host', true).error);
+});
+
+test('a bad settings patch leaves the room as it was', () => {
+    const { manager, code } = twoPersonRoom();
+    const before = manager.getRoomSettings(code);
+
+    const result = manager.updateRoomSettings(code, { controlMode: 'host-only', sync: { seekThreshold: 999 } });
+    assert.ok(result.error);
+    assert.deepEqual(manager.getRoomSettings(code), before);
+
+    assert.ok(manager.updateRoomSettings(code, { sync: { nudgeThreshold: 3, seekThreshold: 2 } }).error);
+    assert.ok(manager.updateRoomSettings(code, { controlMode: 'anyone' }).error);
+    assert.deepEqual(manager.getRoomSettings(code), before);
+});
+
+test('host duties only move to a connected participant, by the host', () => {
+    const { manager, code } = twoPersonRoom();
+    assert.ok(manager.transferHost(code, 'viewer-socket', 'host').error);
+
+    const { newHost, previousHost } = manager.transferHost(code, 'host-socket', 'viewer');
+    assert.equal(newHost.participantId, 'viewer');
+    assert.equal(previousHost.role, 'viewer');
+    assert.equal(manager.getRoleInRoom('viewer-socket'), 'host');
+});
+
+test('a protected room asks new participants for its passphrase', () => {
+    const manager = new RoomManager();
+    const { code } = manager.createRoom('host-socket', 'host', {}, { passphrase: 'popcorn' });
+
+    assert.equal(manager.joinRoom(code, 'a', 'viewer').code, 'PASSPHRASE_REQUIRED');
+    assert.equal(manager.joinRoom(code, 'a', 'viewer', {}, { passphrase: 'nachos' }).code, 'PASSPHRASE_INVALID');
+    assert.equal(manager.joinRoom(code, 'a', 'viewer', {}, { passphrase: 'popcorn' }).role, 'viewer');
+
+    // Reclaiming a seat doesn't ask again
+    manager.leaveRoom('a');
+    assert.equal(manager.joinRoom(code, 'b', 'viewer').reclaimed, true);
+});
+
+// ─── Subtitle timing ────────────────────────────────────
+
+test('each subtitle track keeps its own timing', () => {
+    const { manager, code } = twoPersonRoom();
+    const cues = [{ start: 1, end: 2, text: 'Hi' }];
+    const english = manager.addSubtitleTrack(code, { participantId: 'host', name: 'en.srt', subtitles: cues }).track;
+    manager.setSubtitleTiming(code, english.id, { offset: 1.5, fromFps: 25, toFps: 25 });
+
+    const french = manager.addSubtitleTrack(code, {
+        participantId: 'viewer',
+        name: 'fr.srt',
+        subtitles: cues,
+        timing: { offset: -2, fromFps: 25, toFps: 23.976 },
+    }).track;
+
+    const timings = Object.fromEntries(manager.getSubtitleTracks(code).map((t) => [t.id, t.timing]));
+    // A conversion between equal framerates isn't one
+    assert.deepEqual(timings[english.id], { offset: 1.5, fromFps: null, toFps: null });
+    assert.deepEqual(timings[french.id], { offset: -2, fromFps: 25, toFps: 23.976 });
+
+    assert.ok(manager.setSubtitleTiming(code, 'gone', { offset: 1 }).error);
+});
+
+// ─── Hydration ──────────────────────────────────────────
+
+test('hydrated rooms come back paused with every seat reserved', async () => {
+    const savedAt = Date.now() - 10000;
+    const store = {
+        async loadAll() {
+            return [{
+                code: 'ABC123',
+                participants: [{ participantId: 'host', socketId: 'old-socket', role: 'host', disconnectedAt: null }],
+                playbackSeq: 4,
+                cache: {
+                    movie: { name: 'Heat (1995).mp4', duration: 10000 },
+                    playback: { status: 'playing', position: 100, rate: 1, anchor: savedAt, seq: 4 },
+                    subtitleTracks: [{ id: 't1', name: 'en.srt', subtitles: [] }],
+                    subtitleTiming: { offset: 2 },
+                },
+            }];
+        },
+        save() { },
+        remove() { },
+        async flush() { },
+    };
+    const manager = new RoomManager({ store });
+
+    assert.equal(await manager.hydrate(), 1);
+    const room = manager.getRoom('ABC123');
+    assert.equal(room.participants[0].socketId, null);
+    assert.ok(room.participants[0].disconnectedAt);
+
+    const { playback, subtitleTracks } = manager.getRoomSnapshot('ABC123');
+    assert.equal(playback.status, 'paused');
+    assert.ok(playback.position >= 110 && playback.position < 111);
+    // The room-wide timing of older saves moves onto each track
+    assert.deepEqual(subtitleTracks[0].timing, { offset: 2, fromFps: null, toFps: null });
+    assert.equal(room.cache.subtitleTiming, undefined);
+
+    assert.equal(manager.joinRoom('ABC123', 'new-socket', 'host').reclaimed, true);
+});
@@ -0,0 +1,121 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+// Next to this module (matches the server/data/ .gitignore entry), whatever the working directory
+const DEFAULT_ROOMS_FILE = fileURLToPath(new URL('./data/rooms.json', import.meta.url));
+
+/**
+ * Room storage adapters for RoomManager.
+ *
+ * A store persists plain room records (code, participants, mode, cache, …) and
+ * hands them back on boot. Every adapter implements:
+ *
+ *   loadAll()      → Promise<Array<object>>  records saved by a previous run
+ *   save(record)   → void                    upsert one room (may persist lazily)
+ *   remove(code)   → void                    drop one room
+ *   flush()        → Promise<void>           force pending writes to disk
+ */
+
+export class MemoryRoomStore {
+    async loadAll() {
+        return [];
+    }
+
+    save() { }
+
+    remove() { }
+
+    async flush() { }
+}
+
+/**
+ * Keeps every room in a single JSON file. Writes are debounced so a burst of
+ * playback/cache updates results in one write, and go through a temp file +
+ * rename so a crash mid-write never leaves a truncated file behind.
+ */
+export class FileRoomStore {
+    constructor({ filePath, writeDelayMs = 500 } = {}) {
+        if (!filePath) throw new Error('FileRoomStore requires a filePath');
+        this.filePath = resolve(filePath);
+        this.writeDelayMs = writeDelayMs;
+        this.records = new Map();
+        this.writeTimer = null;
+        this.writing = Promise.resolve();
+    }
+
+    async loadAll() {
+        try {
+            const raw = await readFile(this.filePath, 'utf8');
+            const parsed = JSON.parse(raw);
+            const rooms = Array.isArray(parsed?.rooms) ? parsed.rooms : [];
+            for (const record of rooms) {
+                if (record?.code) this.records.set(record.code, record);
+            }
+            return [...this.records.values()];
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[store] failed to read ${this.filePath}:`, err.message);
+            }
+            return [];
+        }
+    }
+
+    save(record) {
+        if (!record?.code) return;
+        this.records.set(record.code, record);
+        this.#scheduleWrite();
+    }
+
+    remove(code) {
+        if (!this.records.delete(code)) return;
+        this.#scheduleWrite();
+    }
+
+    async flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+            this.#write();
+        }
+        await this.writing;
+    }
+
+    #scheduleWrite() {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.#write();
+        }, this.writeDelayMs);
+    }
+
+    #write() {
+        const payload = JSON.stringify({ version: 1, savedAt: Date.now(), rooms: [...this.records.values()] });
+        const tmpPath = `${this.filePath}.tmp`;
+
+        // Chain writes so two flushes never race on the temp file.
+        this.writing = this.writing
+            .then(async () => {
+                await mkdir(dirname(this.filePath), { recursive: true });
+                await writeFile(tmpPath, payload, 'utf8');
+                await rename(tmpPath, this.filePath);
+            })
+            .catch((err) => {
+                console.error(`[store] failed to write ${this.filePath}:`, err.message);
+            });
+    }
+}
+
+/**
+ * Pick a store from configuration (ROOM_STORE / ROOM_STORE_PATH env vars).
+ */
+export function createRoomStore({ driver = 'memory', filePath } = {}) {
+    switch ((driver || 'memory').toLowerCase()) {
+        case 'file':
+            return new FileRoomStore({ filePath: filePath || DEFAULT_ROOMS_FILE });
+        case 'memory':
+            return new MemoryRoomStore();
+        default:
+            throw new Error(`Unknown room store driver: ${driver}`);
+    }
+}
@@ -0,0 +1,118 @@
+import { EVENT_SCHEMAS, validatePayload } from './eventSchemas.js';
+
+/**
+ * Per-event token buckets: `capacity` is the burst size, `refillPerSec` the
+ * sustained rate. Events not listed fall back to `default`.
+ */
+export const RATE_LIMITS = {
+    default: { capacity: 20, refillPerSec: 5 },
+    'create-room': { capacity: 5, refillPerSec: 0.2 },
+    'join-room': { capacity: 10, refillPerSec: 0.5 },
+    'update-room-settings': { capacity: 5, refillPerSec: 1 },
+    'set-co-host': { capacity: 10, refillPerSec: 1 },
+    'transfer-host': { capacity: 3, refillPerSec: 0.2 },
+    offer: { capacity: 30, refillPerSec: 5 },
+    answer: { capacity: 30, refillPerSec: 5 },
+    'ice-candidate': { capacity: 200, refillPerSec: 50 },
+    'sync-play': { capacity: 10, refillPerSec: 4 },
+    'sync-pause': { capacity: 10, refillPerSec: 4 },
+    'sync-seek': { capacity: 20, refillPerSec: 8 },
+    'sync-rate': { capacity: 10, refillPerSec: 2 },
+    'sync-heartbeat': { capacity: 10, refillPerSec: 2 },
+    'playback-buffering': { capacity: 20, refillPerSec: 4 },
+    'playback-state': { capacity: 10, refillPerSec: 1 },
+    'clock-ping': { capacity: 10, refillPerSec: 1 },
+    'queue-add': { capacity: 10, refillPerSec: 0.5 },
+    'queue-advance': { capacity: 5, refillPerSec: 0.5 },
+    'ready-check-start': { capacity: 3, refillPerSec: 0.2 },
+    'ready-check-respond': { capacity: 10, refillPerSec: 2 },
+    'chat-message': { capacity: 8, refillPerSec: 1 },
+    'chat-typing': { capacity: 10, refillPerSec: 2 },
+    'chat-reaction': { capacity: 15, refillPerSec: 2 },
+    'chat-read': { capacity: 20, refillPerSec: 5 },
+    reaction: { capacity: 8, refillPerSec: 2 },
+    'subtitle-data': { capacity: 3, refillPerSec: 0.1 },
+    'torrent-magnet': { capacity: 5, refillPerSec: 0.5 },
+};
+
+class TokenBucket {
+    constructor({ capacity, refillPerSec }) {
+        this.capacity = capacity;
+        this.refillPerSec = refillPerSec;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    take() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSec);
+        this.updatedAt = now;
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+/**
+ * Wrap a socket so every handler is registered through schema validation and
+ * rate limiting. Rejected events never reach the handler; the client gets
+ * `{ success: false, error, code }` on its ack, or an `error` event when the
+ * emit had no ack: `{ event, code, message }`.
+ *
+ * Handlers are called as `handler(payload, callback)` with `payload` defaulting
+ * to `{}` — including for `create-room`, which older clients emit with only a callback.
+ * `onEvent(event, outcome)` observes every event: 'accepted', 'rate_limited' or 'invalid'.
+ */
+export function guardSocket(socket, { schemas = EVENT_SCHEMAS, limits = RATE_LIMITS, onEvent = null } = {}) {
+    const buckets = new Map();
+    let lastWarnAt = 0;
+
+    const allow = (event) => {
+        let bucket = buckets.get(event);
+        if (!bucket) {
+            bucket = new TokenBucket(limits[event] || limits.default);
+            buckets.set(event, bucket);
+        }
+        return bucket.take();
+    };
+
+    const reject = (event, callback, code, message) => {
+        // Floods would otherwise flood the log too.
+        const now = Date.now();
+        if (now - lastWarnAt > 5000) {
+            lastWarnAt = now;
+            console.warn(`[guard] rejected ${event} from ${socket.id}: ${code} (${message})`);
+        }
+        if (callback) {
+            callback({ success: false, error: message, code });
+        } else {
+            socket.emit('error', { event, code, message });
+        }
+    };
+
+    return function on(event, handler) {
+        if (!(event in schemas)) {
+            throw new Error(`No payload schema registered for socket event "${event}"`);
+        }
+        const schema = schemas[event];
+
+        socket.on(event, (...args) => {
+            const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+            const payload = args[0];
+
+            if (!allow(event)) {
+                onEvent?.(event, 'rate_limited');
+                reject(event, callback, 'RATE_LIMITED', 'Too many requests, slow down.');
+                return;
+            }
+            const error = validatePayload(schema, payload);
+            if (error) {
+                onEvent?.(event, 'invalid');
+                reject(event, callback, 'INVALID_PAYLOAD', `Invalid ${event} payload: ${error}`);
+                return;
+            }
+            onEvent?.(event, 'accepted');
+            handler(schema === null || payload == null ? {} : payload, callback);
+        });
+    };
+}
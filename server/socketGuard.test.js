@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guardSocket } from './socketGuard.js';
+import { number, object } from './eventSchemas.js';
+
+// Just enough of a socket: `receive` plays an event in from the client
+function fakeSocket() {
+    const handlers = new Map();
+    const emitted = [];
+    return {
+        id: 'socket-1',
+        emitted,
+        on: (event, handler) => handlers.set(event, handler),
+        emit: (event, payload) => emitted.push({ event, payload }),
+        receive: (event, ...args) => handlers.get(event)(...args),
+    };
+}
+
+const schemas = { ping: object({ n: number({ min: 0 }) }), hello: null };
+const limits = { default: { capacity: 2, refillPerSec: 0 } };
+
+test('valid events reach the handler', () => {
+    const socket = fakeSocket();
+    const on = guardSocket(socket, { schemas, limits });
+    const calls = [];
+    on('ping', (payload, callback) => calls.push({ payload, callback }));
+    on('hello', (payload) => calls.push({ payload }));
+
+    const ack = () => { };
+    socket.receive('ping', { n: 1 }, ack);
+    socket.receive('hello', ack);
+    assert.deepEqual(calls, [{ payload: { n: 1 }, callback: ack }, { payload: {} }]);
+});
+
+test('invalid payloads are rejected on the ack, or with an error event', () => {
+    const socket = fakeSocket();
+    const on = guardSocket(socket, { schemas, limits: { default: { capacity: 10, refillPerSec: 0 } } });
+    let handled = 0;
+    on('ping', () => handled++);
+
+    let response;
+    socket.receive('ping', { n: -1 }, (r) => { response = r; });
+    assert.equal(response.success, false);
+    assert.equal(response.code, 'INVALID_PAYLOAD');
+
+    socket.receive('ping', { n: 'one' });
+    assert.equal(socket.emitted[0].event, 'error');
+    assert.equal(socket.emitted[0].payload.code, 'INVALID_PAYLOAD');
+    assert.equal(handled, 0);
+});
+
+test('bursts past the bucket are rate limited per event', () => {
+    const socket = fakeSocket();
+    const outcomes = [];
+    const on = guardSocket(socket, { schemas, limits, onEvent: (event, outcome) => outcomes.push(outcome) });
+    on('ping', () => { });
+    on('hello', () => { });
+
+    const codes = [];
+    for (let i = 0; i < 3; i++) socket.receive('ping', { n: i }, (r) => codes.push(r.code));
+    socket.receive('hello');
+
+    assert.deepEqual(codes, ['RATE_LIMITED']);
+    assert.deepEqual(outcomes, ['accepted', 'accepted', 'rate_limited', 'accepted']);
+});
+
+test('events without a schema can\'t be registered', () => {
+    const on = guardSocket(fakeSocket(), { schemas, limits });
+    assert.throws(() => on('unknown', () => { }), /No payload schema/);
+});
@@ -1,202 +1,603 @@
-export default function registerSocketHandlers(io, roomManager) {
+import { guardSocket } from './socketGuard.js';
+import MetricsRegistry from './metrics.js';
+import { READY_CHECK_COUNTDOWN_MS } from './roomManager.js';
+
+export const RECONNECT_GRACE_MS = 24 * 60 * 60 * 1000;
+// A player that never reports recovery stops holding the room after this long
+const BUFFERING_TIMEOUT_MS = 30000;
+// An unanswered ready check is called off after this long
+const READY_CHECK_TIMEOUT_MS = 60000;
+const PASSPHRASE_MIN_LENGTH = 4;
+const PASSPHRASE_MAX_LENGTH = 64;
+
+// Empty/missing means "no passphrase"; anything else must be a string of sane length.
+function normalizePassphrase(value) {
+    if (value == null || value === '') return { passphrase: null };
+    if (typeof value !== 'string') return { error: 'Room PIN must be text.' };
+    const passphrase = value.trim();
+    if (passphrase.length < PASSPHRASE_MIN_LENGTH || passphrase.length > PASSPHRASE_MAX_LENGTH) {
+        return { error: `Room PIN must be ${PASSPHRASE_MIN_LENGTH}-${PASSPHRASE_MAX_LENGTH} characters.` };
+    }
+    return { passphrase };
+}
+
+export default function registerSocketHandlers(io, roomManager, { identity, metrics = new MetricsRegistry() }) {
     // Track which sockets are ready for WebRTC
     const readySockets = new Set();
-    const RECONNECT_GRACE_MS = 24 * 60 * 60 * 1000;
+
+    const connectionsTotal = metrics.counter('lovestream_socket_connections_total', 'Socket.IO connections accepted');
+    const eventsTotal = metrics.counter('lovestream_socket_events_total', 'Client socket events by type and outcome');
+    const joinsTotal = metrics.counter('lovestream_room_joins_total', 'Room create/join attempts by outcome');
+    const evictionsTotal = metrics.counter('lovestream_room_evictions_total', 'Stale sockets force-evicted by a reclaiming participant');
+    const countEvent = (event, outcome) => eventsTotal.inc({ event, outcome });
 
     setInterval(() => {
         roomManager.cleanupExpired(RECONNECT_GRACE_MS);
     }, 30000);
 
+    const broadcastRoomSettings = (code) => {
+        const settings = roomManager.getRoomSettings(code);
+        if (settings) io.in(code).emit('room-settings', settings);
+    };
+
+    // Tell a participant without control that their action was dropped, and replay the
+    // authoritative playback state so their player snaps back.
+    const rejectUncontrolled = (socket, room, action) => {
+        console.warn(`[perm] ${socket.id} tried ${action} in room ${room.code} (${room.controlMode})`);
+        socket.emit('permission-denied', {
+            action,
+            controlMode: room.controlMode,
+            reason: room.controlMode === 'host-only'
+                ? 'Only the host can control playback in this room.'
+                : 'Only the host and co-hosts can control playback in this room.',
+        });
+        const playback = roomManager.getPlaybackState(room.code);
+        if (playback) {
+            socket.emit('playback-snapshot', { playback });
+        }
+    };
+
+    // Playback actions are ordered by the room's sequence number. One sent before its
+    // sender saw the latest state lost a race: drop it and hand back the winning state,
+    // so every client converges on the same one.
+    const rejectStale = (socket, room, action, callback) => {
+        console.log(`[sync] dropped stale ${action} from ${socket.id} in room ${room.code}`);
+        callback?.({ success: false, code: 'STALE_ACTION', error: 'A newer playback action took precedence.' });
+        const playback = roomManager.getPlaybackState(room.code);
+        if (playback) {
+            socket.emit('playback-snapshot', { playback });
+        }
+    };
+
+    // Group buffering: everyone pauses while anyone is stalled (see RoomManager.setBuffering).
+    const bufferingTimers = new Map(); // `${code}:${participantId}` -> timeout
+
+    const updateBuffering = (code, participantId, isBuffering) => {
+        const key = `${code}:${participantId}`;
+        clearTimeout(bufferingTimers.get(key));
+        bufferingTimers.delete(key);
+        if (isBuffering) {
+            bufferingTimers.set(key, setTimeout(() => {
+                console.warn(`[buffer] ${participantId} in room ${code} never recovered, releasing the room`);
+                updateBuffering(code, participantId, false);
+            }, BUFFERING_TIMEOUT_MS));
+        }
+
+        const result = roomManager.setBuffering(code, participantId, isBuffering);
+        if (result) io.in(code).emit('buffering-state', result);
+    };
+
+    // Ready check: the host asks, everyone confirms, then the server schedules the start.
+    const readyCheckTimers = new Map(); // code -> expiry timeout
+
+    const clearReadyCheckTimer = (code) => {
+        clearTimeout(readyCheckTimers.get(code));
+        readyCheckTimers.delete(code);
+    };
+
+    const cancelReadyCheck = (code, reason) => {
+        clearReadyCheckTimer(code);
+        const result = roomManager.cancelReadyCheck(code);
+        if (result) io.in(code).emit('ready-check', { status: 'cancelled', id: result.id, reason });
+    };
+
+    // Broadcast progress, or start the countdown once every connected participant confirmed.
+    // Called after any answer and whenever the roster changes.
+    const updateReadyCheck = (code) => {
+        const check = roomManager.getReadyCheck(code);
+        if (!check) return;
+        if (!check.allReady) {
+            io.in(code).emit('ready-check', { status: 'pending', ...check });
+            return;
+        }
+
+        clearReadyCheckTimer(code);
+        const { id, startAt, playback } = roomManager.completeReadyCheck(code, READY_CHECK_COUNTDOWN_MS);
+        console.log(`[ready] room ${code} is ready, starting at ${playback.position.toFixed(1)}s`);
+        io.in(code).emit('ready-check', { status: 'starting', id, startAt, playback });
+    };
+
+    const broadcastQueue = (code) => {
+        const queue = roomManager.getQueue(code);
+        if (queue) io.in(code).emit('queue-updated', queue);
+    };
+
+    // Host-only settings handlers share the same room + role checks.
+    const withHostRoom = (socket, callback, action) => {
+        const room = roomManager.getRoomBySocket(socket.id);
+        if (!room) {
+            callback?.({ success: false, error: 'Not in a room.' });
+            return;
+        }
+        if (roomManager.getRoleInRoom(socket.id) !== 'host') {
+            callback?.({ success: false, error: 'Only the host can change room settings.' });
+            return;
+        }
+        action(room);
+    };
+
+    // Client-chosen ids are never trusted: a token sent with create/join is verified, and
+    // a missing or forged one falls back to the identity verified (or minted) at connect.
+    const resolveParticipantId = (socket, participantToken) => {
+        if (!participantToken) return socket.data.participantId;
+        const participantId = identity.verify(participantToken);
+        if (!participantId) {
+            console.warn(`[identity] ${socket.id} presented an invalid participant token`);
+            return socket.data.participantId;
+        }
+        socket.data.participantId = participantId;
+        return participantId;
+    };
+
     io.on('connection', (socket) => {
         console.log(`[connect] ${socket.id}`);
+        connectionsTotal.inc();
+
+        socket.data.participantId = identity.verify(socket.handshake.auth?.participantToken);
+        if (!socket.data.participantId) {
+            const issued = identity.issue();
+            socket.data.participantId = issued.participantId;
+            socket.emit('participant-identity', issued);
+        }
+        // Every client event goes through payload validation and rate limiting.
+        const on = guardSocket(socket, { onEvent: countEvent });
 
         // ─── Room Events ─────────────────────────────────────────
-        socket.on('create-room', (payloadOrCb, maybeCb) => {
-            const callback = typeof payloadOrCb === 'function' ? payloadOrCb : maybeCb;
-            const payload = typeof payloadOrCb === 'function' ? {} : (payloadOrCb || {});
-            const participantId = payload.participantId || null;
+        on('create-room', (payload, callback) => {
+            const participantId = resolveParticipantId(socket, payload.participantToken);
             const capabilities = payload.capabilities || {};
+            const { passphrase, error: passphraseError } = normalizePassphrase(payload.passphrase);
+            if (passphraseError) {
+                joinsTotal.inc({ outcome: 'rejected' });
+                callback?.({ success: false, error: passphraseError, code: 'PASSPHRASE_INVALID' });
+                return;
+            }
 
-            const room = roomManager.createRoom(socket.id, participantId, capabilities, payload.requestedCode);
+            const room = roomManager.createRoom(socket.id, participantId, capabilities, { passphrase });
             socket.join(room.code);
-            console.log(`[room] ${socket.id} created room ${room.code}`);
+            joinsTotal.inc({ outcome: 'created' });
+            console.log(`[room] ${socket.id} created room ${room.code}${passphrase ? ' (PIN protected)' : ''}`);
             callback?.({
                 success: true,
-                room: { code: room.code, role: 'host' },
+                room: { code: room.code, role: 'host', passphraseProtected: Boolean(passphrase) },
                 mode: room.mode,
                 reconnectGraceMs: RECONNECT_GRACE_MS,
             });
+            broadcastRoomSettings(room.code);
         });
 
-        socket.on('join-room', ({ code, participantId, capabilities } = {}, callback) => {
+        on('join-room', ({ code, participantToken, capabilities, passphrase }, callback) => {
             const normalizedCode = (code || '').trim().toUpperCase();
+            const participantId = resolveParticipantId(socket, participantToken);
             roomManager.cleanupExpired(RECONNECT_GRACE_MS);
-            const result = roomManager.joinRoom(normalizedCode, socket.id, participantId || null, capabilities || {}, {
+            const result = roomManager.joinRoom(normalizedCode, socket.id, participantId, capabilities || {}, {
                 graceMs: RECONNECT_GRACE_MS,
+                passphrase: typeof passphrase === 'string' ? passphrase.trim() : null,
             });
 
             if (result.error) {
-                callback?.({ success: false, error: result.error });
+                if (result.code === 'PASSPHRASE_INVALID') {
+                    console.warn(`[room] ${socket.id} gave a wrong PIN for room ${normalizedCode}`);
+                }
+                joinsTotal.inc({ outcome: 'rejected' });
+                callback?.({ success: false, error: result.error, code: result.code || null });
                 return;
             }
 
+            joinsTotal.inc({ outcome: result.reclaimed ? 'reclaimed' : 'joined' });
             socket.join(normalizedCode);
             console.log(`[room] ${socket.id} joined room ${normalizedCode}`);
 
+            if (result.evictedSocketId) {
+                evictionsTotal.inc();
+                readySockets.delete(result.evictedSocketId);
+                io.sockets.sockets.get(result.evictedSocketId)?.leave(normalizedCode);
+                const peers = roomManager.getPeerSocketIds(socket.id);
+                if (peers.length) {
+                    io.to(peers).emit('peer-left', {
+                        role: result.role,
+                        socketId: result.evictedSocketId,
+                        participantId: result.participant?.participantId || null,
+                        connectedCount: peers.length + 1,
+                        temporary: true,
+                        reconnectGraceMs: RECONNECT_GRACE_MS,
+                    });
+                }
+            }
+
             callback?.({
                 success: true,
-                room: { code: normalizedCode, role: result.role || 'viewer' },
+                room: {
+                    code: normalizedCode,
+                    role: result.role || 'viewer',
+                    passphraseProtected: roomManager.isPassphraseProtected(normalizedCode),
+                },
                 mode: roomManager.getRoomMode(normalizedCode),
                 reconnectGraceMs: RECONNECT_GRACE_MS,
             });
 
             io.in(normalizedCode).emit('room-mode', { mode: roomManager.getRoomMode(normalizedCode) });
+            broadcastRoomSettings(normalizedCode);
 
             // Replay cached room state to reconnecting/joining peer.
             const snapshot = roomManager.getRoomSnapshot(normalizedCode);
             if (snapshot?.movie) {
                 io.to(socket.id).emit('movie-loaded', snapshot.movie);
             }
-            if (snapshot?.subtitles) {
-                io.to(socket.id).emit('subtitle-data', snapshot.subtitles);
-            }
+            io.to(socket.id).emit('subtitle-tracks', { tracks: roomManager.getSubtitleTracks(normalizedCode) });
             if (snapshot?.magnet) {
                 io.to(socket.id).emit('torrent-magnet', snapshot.magnet);
             }
-            if (snapshot?.playback) {
-                io.to(socket.id).emit('playback-snapshot', { playback: snapshot.playback });
+            const playback = roomManager.getPlaybackState(normalizedCode);
+            if (playback) {
+                io.to(socket.id).emit('playback-snapshot', { playback });
             }
+            io.to(socket.id).emit('queue-updated', roomManager.getQueue(normalizedCode));
+            io.to(socket.id).emit('chat-history', { messages: roomManager.getChatHistory(normalizedCode) });
+            io.to(socket.id).emit('reaction-timeline', { reactions: roomManager.getReactionTimeline(normalizedCode) });
+            updateReadyCheck(normalizedCode);
+        });
+
+        // ─── Permissions & Host Transfer ───────────────────────
+        on('update-room-settings', ({ controlMode, sync }, callback) => {
+            withHostRoom(socket, callback, (room) => {
+                const result = roomManager.updateRoomSettings(room.code, { controlMode, sync });
+                if (result.error) {
+                    callback?.({ success: false, error: result.error });
+                    return;
+                }
+                if (controlMode !== undefined) console.log(`[perm] room ${room.code} control mode -> ${controlMode}`);
+                callback?.({ success: true });
+                broadcastRoomSettings(room.code);
+            });
+        });
+
+        on('set-co-host', ({ participantId, enabled }, callback) => {
+            withHostRoom(socket, callback, (room) => {
+                const result = roomManager.setCoHost(room.code, participantId, enabled);
+                if (result.error) {
+                    callback?.({ success: false, error: result.error });
+                    return;
+                }
+                callback?.({ success: true });
+                broadcastRoomSettings(room.code);
+            });
+        });
+
+        on('transfer-host', ({ participantId }, callback) => {
+            withHostRoom(socket, callback, (room) => {
+                const result = roomManager.transferHost(room.code, socket.id, participantId);
+                if (result.error) {
+                    callback?.({ success: false, error: result.error });
+                    return;
+                }
+                console.log(`[perm] room ${room.code} host ${socket.id} -> ${result.newHost.socketId}`);
+                callback?.({ success: true });
+                io.in(room.code).emit('host-changed', {
+                    hostParticipantId: result.newHost.participantId,
+                    previousHostParticipantId: result.previousHost.participantId,
+                });
+                broadcastRoomSettings(room.code);
+            });
         });
 
         // Client emits this when its WebRTC hooks are fully set up
-        socket.on('ready-for-connection', () => {
+        on('ready-for-connection', () => {
             readySockets.add(socket.id);
             const room = roomManager.getRoomBySocket(socket.id);
             if (!room) return;
 
             const role = roomManager.getRoleInRoom(socket.id);
-            const peerId = roomManager.getPeerSocketId(socket.id);
-            console.log(`[ready] ${socket.id} (${role}) is ready, peer: ${peerId}, peerReady: ${peerId ? readySockets.has(peerId) : 'N/A'}`);
-
-            // Check if both peers are ready
-            if (peerId && readySockets.has(peerId)) {
-                console.log(`[ready] BOTH peers are ready! Telling host to initiate WebRTC`);
-                // Tell the HOST to start as initiator
-                const hostId = room.host;
-                const viewerId = room.viewer;
-                if (hostId && viewerId) {
-                    io.to(hostId).emit('start-webrtc', { peerId: viewerId, role: 'host' });
-                    io.to(viewerId).emit('start-webrtc', { peerId: hostId, role: 'viewer' });
-                }
+            const readyPeers = roomManager.getPeerSocketIds(socket.id).filter((id) => readySockets.has(id));
+            console.log(`[ready] ${socket.id} (${role}) is ready, ready peers: ${readyPeers.length ? readyPeers.join(', ') : 'none'}`);
+
+            // Pair the newly ready socket with every peer that is already waiting (full mesh).
+            // The host always initiates; between two viewers the peer that was waiting does.
+            for (const peerId of readyPeers) {
+                const peerRole = roomManager.getRoleInRoom(peerId);
+                const initiatorId = role === 'host' ? socket.id : peerId;
+                const responderId = initiatorId === socket.id ? peerId : socket.id;
+                console.log(`[ready] pairing ${initiatorId} (initiator) with ${responderId}`);
+                io.to(initiatorId).emit('start-webrtc', {
+                    peerId: responderId,
+                    role: initiatorId === socket.id ? role : peerRole,
+                    initiator: true,
+                });
+                io.to(responderId).emit('start-webrtc', {
+                    peerId: initiatorId,
+                    role: responderId === socket.id ? role : peerRole,
+                    initiator: false,
+                });
             }
         });
 
         // ─── WebRTC Signaling ────────────────────────────────────
-        socket.on('offer', ({ offer }) => {
-            const peerId = roomManager.getPeerSocketId(socket.id);
+        on('offer', ({ offer, to }) => {
+            const peerId = roomManager.getPeerSocketId(socket.id, to);
             if (peerId) {
                 console.log(`[signal] relaying offer from ${socket.id} to ${peerId}`);
                 io.to(peerId).emit('offer', { offer, from: socket.id });
             }
         });
 
-        socket.on('answer', ({ answer }) => {
-            const peerId = roomManager.getPeerSocketId(socket.id);
+        on('answer', ({ answer, to }) => {
+            const peerId = roomManager.getPeerSocketId(socket.id, to);
             if (peerId) {
                 console.log(`[signal] relaying answer from ${socket.id} to ${peerId}`);
                 io.to(peerId).emit('answer', { answer, from: socket.id });
             }
         });
 
-        socket.on('ice-candidate', ({ candidate }) => {
-            const peerId = roomManager.getPeerSocketId(socket.id);
+        on('ice-candidate', ({ candidate, to }) => {
+            const peerId = roomManager.getPeerSocketId(socket.id, to);
             if (peerId) {
                 io.to(peerId).emit('ice-candidate', { candidate, from: socket.id });
             }
         });
 
         // ─── Playback Sync ──────────────────────────────────────
-        socket.on('sync-play', ({ time, actionId }) => {
+        on('sync-play', ({ time, actionId, sentAt, baseSeq }, callback) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (!room) {
                 console.warn(`[sync] sync-play from ${socket.id} but no room found (server may have restarted)`);
                 return;
             }
-            roomManager.updateRoomCache(room.code, {
-                playback: { type: 'play', time, actionId, updatedAt: Date.now() },
-            });
-            socket.to(room.code).emit('sync-play', { time, actionId, from: socket.id });
+            if (!roomManager.hasControl(socket.id)) {
+                rejectUncontrolled(socket, room, 'sync-play');
+                return;
+            }
+            const participantId = roomManager.getParticipantBySocket(socket.id)?.participantId;
+            if (roomManager.isStaleAction(room.code, baseSeq, participantId)) {
+                rejectStale(socket, room, 'sync-play', callback);
+                return;
+            }
+            const playback = roomManager.applyPlaybackAction(room.code, { type: 'play', time, actionId, at: sentAt, participantId });
+            callback?.({ success: true, seq: playback.seq });
+            const buffering = roomManager.getBuffering(room.code);
+            if (buffering.length) {
+                // Held until everyone has buffered — the sender pauses too.
+                io.in(room.code).emit('buffering-state', { buffering, playback, resumed: false });
+                return;
+            }
+            socket.to(room.code).emit('sync-play', { time, actionId, from: socket.id, playback });
         });
 
-        socket.on('sync-pause', ({ time, actionId }) => {
+        on('sync-pause', ({ time, actionId, sentAt, baseSeq }, callback) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (!room) {
                 console.warn(`[sync] sync-pause from ${socket.id} but no room found (server may have restarted)`);
                 return;
             }
-            roomManager.updateRoomCache(room.code, {
-                playback: { type: 'pause', time, actionId, updatedAt: Date.now() },
-            });
-            socket.to(room.code).emit('sync-pause', { time, actionId, from: socket.id });
+            if (!roomManager.hasControl(socket.id)) {
+                rejectUncontrolled(socket, room, 'sync-pause');
+                return;
+            }
+            const participantId = roomManager.getParticipantBySocket(socket.id)?.participantId;
+            if (roomManager.isStaleAction(room.code, baseSeq, participantId)) {
+                rejectStale(socket, room, 'sync-pause', callback);
+                return;
+            }
+            const playback = roomManager.applyPlaybackAction(room.code, { type: 'pause', time, actionId, at: sentAt, participantId });
+            callback?.({ success: true, seq: playback.seq });
+            socket.to(room.code).emit('sync-pause', { time, actionId, from: socket.id, playback });
         });
 
-        socket.on('sync-seek', ({ time, actionId }) => {
+        on('sync-seek', ({ time, actionId, sentAt, baseSeq }, callback) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (room) {
-                roomManager.updateRoomCache(room.code, {
-                    playback: { type: 'seek', time, actionId, updatedAt: Date.now() },
-                });
-                socket.to(room.code).emit('sync-seek', { time, actionId, from: socket.id });
+                if (!roomManager.hasControl(socket.id)) {
+                    rejectUncontrolled(socket, room, 'sync-seek');
+                    return;
+                }
+                const participantId = roomManager.getParticipantBySocket(socket.id)?.participantId;
+                if (roomManager.isStaleAction(room.code, baseSeq, participantId)) {
+                    rejectStale(socket, room, 'sync-seek', callback);
+                    return;
+                }
+                const playback = roomManager.applyPlaybackAction(room.code, { type: 'seek', time, actionId, at: sentAt, participantId });
+                callback?.({ success: true, seq: playback.seq });
+                socket.to(room.code).emit('sync-seek', { time, actionId, from: socket.id, playback });
             }
         });
 
+        on('sync-rate', ({ rate, time, actionId, sentAt, baseSeq }, callback) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            if (room) {
+                if (!roomManager.hasControl(socket.id)) {
+                    rejectUncontrolled(socket, room, 'sync-rate');
+                    return;
+                }
+                const participantId = roomManager.getParticipantBySocket(socket.id)?.participantId;
+                if (roomManager.isStaleAction(room.code, baseSeq, participantId)) {
+                    rejectStale(socket, room, 'sync-rate', callback);
+                    return;
+                }
+                const playback = roomManager.applyPlaybackAction(room.code, { type: 'rate', time, rate, actionId, at: sentAt, participantId });
+                callback?.({ success: true, seq: playback.seq });
+                socket.to(room.code).emit('sync-rate', { rate, time, actionId, from: socket.id, playback });
+            }
+        });
+
+        // The host's player is the drift reference: it reports its position while playing,
+        // and everyone else converges on it (see usePlaybackSync).
+        on('sync-heartbeat', ({ time, sentAt }) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            if (!room || roomManager.getRoleInRoom(socket.id) !== 'host') return;
+            const playback = roomManager.recordPlaybackHeartbeat(room.code, { time, at: sentAt });
+            if (playback) socket.to(room.code).emit('sync-heartbeat', { playback, from: socket.id });
+        });
+
+        on('playback-buffering', ({ buffering }) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) return;
+            updateBuffering(room.code, participant.participantId, buffering);
+        });
+
+        // Pull the canonical "position now".
+        on('playback-state', (_payload, callback) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            callback?.({ success: Boolean(room), playback: room ? roomManager.getPlaybackState(room.code) : null });
+        });
+
+        // NTP-style clock sync: t1 = receive time, t2 = reply time (server clock).
+        on('clock-ping', ({ t0 }, callback) => {
+            const t1 = Date.now();
+            callback?.({ t0, t1, t2: Date.now() });
+        });
+
         // ─── Chat ────────────────────────────────────────────────
-        socket.on('chat-message', ({ text }) => {
+        on('chat-message', ({ text, position }) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (!room) {
                 console.warn(`[chat] chat-message from ${socket.id} but no room found (server may have restarted)`);
                 return;
             }
             if (text && text.trim()) {
-                const role = roomManager.getRoleInRoom(socket.id);
-                const message = {
-                    id: `${socket.id}-${Date.now()}`,
+                const participant = roomManager.getParticipantBySocket(socket.id);
+                const message = roomManager.addChatMessage(room.code, {
                     text: text.trim(),
-                    sender: role,
-                    timestamp: Date.now(),
-                };
+                    sender: participant?.role || null,
+                    participantId: participant?.participantId || null,
+                    from: socket.id,
+                    position,
+                });
                 io.in(room.code).emit('chat-message', message);
             }
         });
 
+        // Typing indicators are relayed only; clients expire them if the "stopped" is lost.
+        on('chat-typing', ({ typing }) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) return;
+            socket.to(room.code).emit('chat-typing', { participantId: participant.participantId, typing });
+        });
+
+        on('chat-reaction', ({ messageId, emoji }, callback) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) {
+                callback?.({ success: false, error: 'Not in a room.' });
+                return;
+            }
+            const result = roomManager.toggleChatReaction(room.code, messageId, participant.participantId, emoji);
+            if (result.error) {
+                callback?.({ success: false, error: result.error });
+                return;
+            }
+            callback?.({ success: true });
+            io.in(room.code).emit('chat-reaction', { messageId, reactions: result.message.reactions });
+        });
+
+        on('chat-read', ({ messageId }) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) return;
+            const receipt = roomManager.markChatRead(room.code, participant.participantId, messageId);
+            if (receipt) io.in(room.code).emit('chat-read', receipt);
+        });
+
+        // ─── Live reactions ─────────────────────────────────────
+
+        on('reaction', ({ emoji, time }, callback) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) {
+                callback?.({ success: false, error: 'Not in a room.' });
+                return;
+            }
+            const result = roomManager.addReaction(room.code, { participantId: participant.participantId, emoji, time });
+            if (result.error) {
+                callback?.({ success: false, error: result.error });
+                return;
+            }
+            callback?.({ success: true });
+            io.in(room.code).emit('reaction', result.reaction);
+        });
+
         // ─── Subtitle sharing ───────────────────────────────────
-        socket.on('subtitle-data', ({ subtitles, filename }) => {
+        // Adds a named track to the room's set; which track is shown is up to each participant
+        on('subtitle-data', ({ subtitles, filename, ass, timing }, callback) => {
             const room = roomManager.getRoomBySocket(socket.id);
-            if (room) {
-                roomManager.updateRoomCache(room.code, {
-                    subtitles: { subtitles, filename },
-                });
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) {
+                callback?.({ success: false, error: 'Not in a room.' });
+                return;
             }
+            const result = roomManager.addSubtitleTrack(room.code, {
+                participantId: participant.participantId,
+                name: filename,
+                subtitles,
+                ass,
+                timing,
+            });
+            if (result.error) {
+                callback?.({ success: false, error: result.error });
+                return;
+            }
+            callback?.({ success: true, trackId: result.track.id });
+            // `trackIds` lets everyone drop whatever fell off the end of the set
+            socket.to(room.code).emit('subtitle-track', {
+                track: result.track,
+                trackIds: roomManager.getSubtitleTracks(room.code).map((t) => t.id),
+            });
+        });
 
-            const peerId = roomManager.getPeerSocketId(socket.id);
-            if (peerId) {
-                io.to(peerId).emit('subtitle-data', { subtitles, filename });
+        // Delay (seconds) and optional framerate conversion applied to one shared track
+        on('subtitle-offset', ({ trackId, offset, fromFps, toFps }) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            if (!room) return;
+            // The timing is cached for the whole room, so it follows the playback permissions
+            if (!roomManager.hasControl(socket.id)) {
+                rejectUncontrolled(socket, room, 'subtitle-offset');
+                return;
             }
+            const result = roomManager.setSubtitleTiming(room.code, trackId, { offset, fromFps, toFps });
+            if (result.error) return;
+            socket.to(room.code).emit('subtitle-offset', { trackId, timing: result.timing });
         });
 
         // ─── Movie metadata ─────────────────────────────────────
-        socket.on('movie-loaded', ({ name, duration }) => {
+        on('movie-loaded', ({ name, duration, changed }) => {
             const room = roomManager.getRoomBySocket(socket.id);
-            if (room) {
-                roomManager.updateRoomCache(room.code, {
-                    movie: { name, duration },
-                });
-                socket.to(room.code).emit('movie-loaded', { name, duration });
+            if (!room) return;
+            if (!roomManager.hasControl(socket.id)) {
+                rejectUncontrolled(socket, room, 'movie-loaded');
+                return;
             }
+            // Only an explicit pick of another movie starts from the top; a reload or
+            // restore of the same one keeps the room's position.
+            if (changed) roomManager.resetPlayback(room.code);
+            roomManager.updateRoomCache(room.code, {
+                movie: { name, duration },
+            });
+            socket.to(room.code).emit('movie-loaded', { name, duration });
+            io.in(room.code).emit('reaction-timeline', { reactions: roomManager.getReactionTimeline(room.code) });
         });
 
         // ─── Viewer stream readiness ─────────────────────────
-        socket.on('viewer-stream-ready', ({ progress, timestamp }) => {
+        on('viewer-stream-ready', ({ progress, timestamp }) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (room) {
                 socket.to(room.code).emit('viewer-stream-ready', {
@@ -207,7 +608,7 @@ export default function registerSocketHandlers(io, roomManager) {
             }
         });
 
-        socket.on('viewer-playable', ({ timestamp }) => {
+        on('viewer-playable', ({ timestamp }) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (room) {
                 socket.to(room.code).emit('viewer-playable', {
@@ -217,7 +618,134 @@ export default function registerSocketHandlers(io, roomManager) {
             }
         });
 
-        socket.on('viewer-local-playback', ({ enabled, timestamp }) => {
+        // ─── Watch Queue ─────────────────────────────────────
+        on('queue-add', ({ kind, title, libraryKey, url }, callback) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) {
+                callback?.({ success: false, error: 'Not in a room.' });
+                return;
+            }
+            // Files and library entries live on the host's device. Links are fetched by the
+            // host's browser too, so only people the host trusts (co-hosts) may add them.
+            if (kind !== 'url' && participant.role !== 'host') {
+                callback?.({ success: false, error: 'Only the host can queue files from their device.' });
+                return;
+            }
+            if (kind === 'url' && participant.role !== 'host' && !participant.coHost) {
+                callback?.({ success: false, error: 'Only the host and co-hosts can queue links.' });
+                return;
+            }
+
+            const result = roomManager.addQueueItem(room.code, participant.participantId, { kind, title, libraryKey, url });
+            if (result.error) {
+                callback?.({ success: false, error: result.error });
+                return;
+            }
+            callback?.({ success: true, item: result.item });
+            broadcastQueue(room.code);
+        });
+
+        on('queue-remove', ({ id }, callback) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) {
+                callback?.({ success: false, error: 'Not in a room.' });
+                return;
+            }
+            // Anyone may take back what they added; everything else follows playback control.
+            const item = roomManager.getQueue(room.code).items.find((entry) => entry.id === id);
+            if (item && item.addedBy !== participant.participantId && !roomManager.hasControl(socket.id)) {
+                callback?.({ success: false, error: 'You can only remove what you added.' });
+                return;
+            }
+
+            const result = roomManager.removeQueueItem(room.code, id);
+            if (result.error) {
+                callback?.({ success: false, error: result.error });
+                return;
+            }
+            callback?.({ success: true });
+            broadcastQueue(room.code);
+        });
+
+        on('queue-move', ({ id, toIndex }, callback) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            if (!room) {
+                callback?.({ success: false, error: 'Not in a room.' });
+                return;
+            }
+            if (!roomManager.hasControl(socket.id)) {
+                callback?.({ success: false, error: 'Only participants with playback control can reorder the queue.' });
+                return;
+            }
+
+            const result = roomManager.moveQueueItem(room.code, id, toIndex);
+            if (result.error) {
+                callback?.({ success: false, error: result.error });
+                return;
+            }
+            callback?.({ success: true });
+            broadcastQueue(room.code);
+        });
+
+        // The host moves on (manually or when the movie ends) and seeds the next entry;
+        // everyone else follows through the usual movie-loaded/torrent-magnet flow.
+        on('queue-advance', ({ expectedCurrentId }, callback) => {
+            withHostRoom(socket, callback, (room) => {
+                const result = roomManager.advanceQueue(room.code, { expectedCurrentId });
+                if (result.error) {
+                    callback?.({ success: false, error: result.error });
+                    return;
+                }
+                roomManager.resetPlayback(room.code);
+                console.log(`[queue] room ${room.code} advanced to "${result.item.title}"`);
+                callback?.({ success: true, item: result.item });
+                io.in(room.code).emit('queue-advanced', { item: result.item });
+                broadcastQueue(room.code);
+            });
+        });
+
+        // ─── Ready Check ─────────────────────────────────────
+        on('ready-check-start', (_payload, callback) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) {
+                callback?.({ success: false, error: 'Not in a room.' });
+                return;
+            }
+            if (participant.role !== 'host') {
+                callback?.({ success: false, error: 'Only the host can start a ready check.' });
+                return;
+            }
+
+            clearReadyCheckTimer(room.code);
+            roomManager.startReadyCheck(room.code, participant.participantId);
+            readyCheckTimers.set(room.code, setTimeout(() => {
+                cancelReadyCheck(room.code, 'Not everyone was ready in time.');
+            }, READY_CHECK_TIMEOUT_MS));
+            console.log(`[ready] ready check started in room ${room.code}`);
+            callback?.({ success: true });
+            updateReadyCheck(room.code);
+        });
+
+        on('ready-check-respond', ({ id, ready, progress }) => {
+            const room = roomManager.getRoomBySocket(socket.id);
+            const participant = roomManager.getParticipantBySocket(socket.id);
+            if (!room || !participant) return;
+            if (roomManager.respondReadyCheck(room.code, participant.participantId, { id, ready, progress })) {
+                updateReadyCheck(room.code);
+            }
+        });
+
+        on('ready-check-cancel', (_payload, callback) => {
+            withHostRoom(socket, callback, (room) => {
+                cancelReadyCheck(room.code, 'The host called off the ready check.');
+                callback?.({ success: true });
+            });
+        });
+
+        on('viewer-local-playback', ({ enabled, timestamp }) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (room) {
                 socket.to(room.code).emit('viewer-local-playback', {
@@ -228,7 +756,7 @@ export default function registerSocketHandlers(io, roomManager) {
             }
         });
 
-        socket.on('torrent-download-complete', ({ name }) => {
+        on('torrent-download-complete', ({ name }) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (room) {
                 io.in(room.code).emit('torrent-download-complete', {
@@ -239,9 +767,14 @@ export default function registerSocketHandlers(io, roomManager) {
         });
 
         // ─── WebTorrent magnet sharing ──────────────────────────
-        socket.on('torrent-magnet', ({ magnetURI, preTranscode, name, streamPath }) => {
+        on('torrent-magnet', ({ magnetURI, preTranscode, name, streamPath }) => {
             const room = roomManager.getRoomBySocket(socket.id);
             if (room) {
+                if (!roomManager.hasControl(socket.id)) {
+                    rejectUncontrolled(socket, room, 'torrent-magnet');
+                    return;
+                }
+
                 // Cache only finalized playable magnet for reconnect replay.
                 if (!preTranscode) {
                     roomManager.updateRoomCache(room.code, {
@@ -265,18 +798,25 @@ export default function registerSocketHandlers(io, roomManager) {
         });
 
         // ─── Explicit Leave ────────────────────────────────────
-        socket.on('leave-room', () => {
+        on('leave-room', () => {
             readySockets.delete(socket.id);
-            const result = roomManager.leaveRoom(socket.id);
+            const result = roomManager.leaveRoom(socket.id, { release: true });
             if (result) {
-                const { code, role, peerSocketId } = result;
-                if (peerSocketId) {
-                    io.to(peerSocketId).emit('peer-left', {
+                const { code, role, participantId, peerSocketIds } = result;
+                socket.leave(code);
+                updateBuffering(code, participantId, false);
+                updateReadyCheck(code);
+                if (peerSocketIds.length) {
+                    io.to(peerSocketIds).emit('peer-left', {
                         role,
+                        socketId: socket.id,
+                        participantId,
+                        connectedCount: peerSocketIds.length,
                         temporary: false,
                     });
                 }
                 io.in(code).emit('room-mode', { mode: roomManager.getRoomMode(code) });
+                broadcastRoomSettings(code);
             }
         });
 
@@ -286,16 +826,75 @@ export default function registerSocketHandlers(io, roomManager) {
             readySockets.delete(socket.id);
             const result = roomManager.leaveRoom(socket.id);
             if (result) {
-                const { code, role, peerSocketId } = result;
-                if (peerSocketId) {
-                    io.to(peerSocketId).emit('peer-left', {
+                const { code, role, participantId, peerSocketIds } = result;
+                updateBuffering(code, participantId, false);
+                updateReadyCheck(code);
+                if (peerSocketIds.length) {
+                    io.to(peerSocketIds).emit('peer-left', {
                         role,
+                        socketId: socket.id,
+                        participantId,
+                        connectedCount: peerSocketIds.length,
                         temporary: true,
                         reconnectGraceMs: RECONNECT_GRACE_MS,
                     });
                 }
                 io.in(code).emit('room-mode', { mode: roomManager.getRoomMode(code) });
+                broadcastRoomSettings(code);
             }
         });
     });
+
+    // Moderation actions for the admin API — they need the same socket bookkeeping
+    // as the handlers above.
+    return {
+        closeRoom(code, reason = 'This room was closed by an administrator.') {
+            const result = roomManager.closeRoom(code);
+            if (!result) return null;
+            for (const socketId of result.socketIds) readySockets.delete(socketId);
+            io.in(code).emit('room-closed', { reason });
+            io.in(code).socketsLeave(code);
+            console.log(`[admin] closed room ${code} (${result.socketIds.length} connected)`);
+            return result;
+        },
+
+        kickParticipant(code, participantId, reason = 'You were removed from this room by an administrator.') {
+            const result = roomManager.kickParticipant(code, participantId);
+            if (result.error) return result;
+
+            const { participant, newHost, peerSocketIds } = result;
+            updateBuffering(code, participant.participantId, false);
+            updateReadyCheck(code);
+            if (participant.socketId) {
+                readySockets.delete(participant.socketId);
+                io.to(participant.socketId).emit('kicked', { reason });
+                io.sockets.sockets.get(participant.socketId)?.leave(code);
+            }
+            if (peerSocketIds.length) {
+                io.to(peerSocketIds).emit('peer-left', {
+                    role: participant.role,
+                    socketId: participant.socketId,
+                    participantId: participant.participantId,
+                    connectedCount: peerSocketIds.length,
+                    temporary: false,
+                });
+                if (newHost) {
+                    io.in(code).emit('host-changed', {
+                        hostParticipantId: newHost.participantId,
+                        previousHostParticipantId: participant.participantId,
+                    });
+                }
+                io.in(code).emit('room-mode', { mode: roomManager.getRoomMode(code) });
+                broadcastRoomSettings(code);
+            }
+            console.log(`[admin] kicked ${participant.participantId} from room ${code}`);
+            return result;
+        },
+
+        purgeReservations(graceMs = RECONNECT_GRACE_MS) {
+            const result = roomManager.cleanupExpired(graceMs);
+            console.log(`[admin] purged ${result.reservations} reservation(s), ${result.rooms} room(s)`);
+            return result;
+        },
+    };
 }
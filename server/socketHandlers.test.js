@@ -0,0 +1,152 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import registerSocketHandlers from './socketHandlers.js';
+import RoomManager from './roomManager.js';
+import ParticipantIdentity from './participantIdentity.js';
+
+// The handlers' reservation sweep would otherwise keep the test process alive
+mock.timers.enable({ apis: ['setInterval'] });
+
+/**
+ * Just enough of a Socket.IO server for the handlers: sockets join rooms, and
+ * everything emitted to a socket lands in its `received` list.
+ */
+function fakeServer() {
+    let onConnection = null;
+    const sockets = new Map();
+
+    const deliver = (targets, except = null) => ({
+        emit: (event, payload) => {
+            const ids = new Set([targets].flat());
+            for (const socket of sockets.values()) {
+                if (socket.id === except) continue;
+                if (ids.has(socket.id) || [...ids].some((id) => socket.rooms.has(id))) {
+                    socket.received.push({ event, payload });
+                }
+            }
+        },
+    });
+
+    const io = {
+        on: (event, handler) => { onConnection = handler; },
+        to: (targets) => deliver(targets),
+        in: (targets) => ({ ...deliver(targets), socketsLeave: () => { } }),
+        sockets: { sockets },
+    };
+
+    const connect = (id) => {
+        const handlers = new Map();
+        const socket = {
+            id,
+            data: {},
+            handshake: { auth: {} },
+            rooms: new Set([id]),
+            received: [],
+            on: (event, handler) => handlers.set(event, handler),
+            emit: (event, payload) => socket.received.push({ event, payload }),
+            to: (targets) => deliver(targets, id),
+            join: (code) => socket.rooms.add(code),
+            leave: (code) => socket.rooms.delete(code),
+            // Play an event in from the client and hand back its ack
+            send: (event, payload = {}) => {
+                let response;
+                handlers.get(event)?.(payload, (r) => { response = r; });
+                return response;
+            },
+            last: (event) => socket.received.filter((r) => r.event === event).at(-1)?.payload,
+        };
+        sockets.set(id, socket);
+        onConnection(socket);
+        return socket;
+    };
+
+    return { io, connect };
+}
+
+function watchParty() {
+    const { io, connect } = fakeServer();
+    const roomManager = new RoomManager();
+    registerSocketHandlers(io, roomManager, { identity: new ParticipantIdentity({ secret: 'test' }) });
+
+    const host = connect('host-socket');
+    const { room } = host.send('create-room');
+    const viewer = connect('viewer-socket');
+    viewer.send('join-room', { code: room.code });
+    return { roomManager, code: room.code, host, viewer };
+}
+
+test('participants without control can\'t announce a movie', () => {
+    const { roomManager, code, host, viewer } = watchParty();
+    roomManager.updateRoomSettings(code, { controlMode: 'host-only' });
+    host.send('movie-loaded', { name: 'Heat (1995).mp4', duration: 10000 });
+    host.send('sync-play', { time: 600 });
+
+    viewer.send('movie-loaded', { name: 'Ronin (1998).mp4', duration: 7000, changed: true });
+
+    assert.equal(viewer.last('permission-denied').action, 'movie-loaded');
+    assert.equal(roomManager.getRoomSnapshot(code).movie.name, 'Heat (1995).mp4');
+    assert.equal(roomManager.getRoomSnapshot(code).playback.status, 'playing');
+    assert.equal(host.last('movie-loaded'), undefined);
+});
+
+test('only an explicit movie change resets the room\'s playback', () => {
+    const { roomManager, code, host, viewer } = watchParty();
+    host.send('movie-loaded', { name: 'Heat (1995).mp4', duration: 10000, changed: true });
+    host.send('sync-seek', { time: 600 });
+
+    // The host reloading the same file
+    host.send('movie-loaded', { name: 'Heat (1995).mp4', duration: 10000 });
+    assert.equal(roomManager.getRoomSnapshot(code).playback.position, 600);
+
+    host.send('movie-loaded', { name: 'Ronin (1998).mp4', duration: 7000, changed: true });
+    assert.equal(roomManager.getRoomSnapshot(code).playback, null);
+    assert.deepEqual(viewer.last('movie-loaded'), { name: 'Ronin (1998).mp4', duration: 7000 });
+});
+
+test('subtitle timing follows the playback permissions and stays on its track', () => {
+    const { roomManager, code, host, viewer } = watchParty();
+    const cues = [{ start: 1, end: 2, text: 'Hi' }];
+    const { trackId: english } = host.send('subtitle-data', { subtitles: cues, filename: 'en.srt' });
+    const { trackId: french } = host.send('subtitle-data', { subtitles: cues, filename: 'fr.srt' });
+    roomManager.updateRoomSettings(code, { controlMode: 'co-hosts' });
+
+    viewer.send('subtitle-offset', { trackId: english, offset: 3 });
+    assert.equal(viewer.last('permission-denied').action, 'subtitle-offset');
+    assert.equal(roomManager.getSubtitleTracks(code)[0].timing, null);
+
+    roomManager.setCoHost(code, roomManager.getParticipantBySocket('viewer-socket').participantId, true);
+    viewer.send('subtitle-offset', { trackId: english, offset: 3 });
+
+    const timings = Object.fromEntries(roomManager.getSubtitleTracks(code).map((t) => [t.id, t.timing]));
+    assert.deepEqual(timings[english], { offset: 3, fromFps: null, toFps: null });
+    assert.equal(timings[french], null);
+    assert.deepEqual(host.last('subtitle-offset'), { trackId: english, timing: timings[english] });
+});
+
+test('a playback action that lost a race is dropped and answered with the winner', () => {
+    const { roomManager, code, host, viewer } = watchParty();
+    const { seq } = host.send('sync-play', { time: 0 });
+    host.send('sync-seek', { time: 90, baseSeq: seq });
+
+    const response = viewer.send('sync-pause', { time: 2, baseSeq: seq });
+    assert.equal(response.code, 'STALE_ACTION');
+    assert.equal(viewer.last('playback-snapshot').playback.status, 'playing');
+    assert.equal(roomManager.getRoomSnapshot(code).playback.status, 'playing');
+
+    // Having caught up, the viewer's pause goes through
+    assert.equal(viewer.send('sync-pause', { time: 91, baseSeq: seq + 1 }).success, true);
+    assert.equal(host.last('sync-pause').time, 91);
+});
+
+test('viewers without control can\'t drive playback', () => {
+    const { roomManager, code, host, viewer } = watchParty();
+    roomManager.updateRoomSettings(code, { controlMode: 'host-only' });
+    host.send('sync-play', { time: 0 });
+
+    for (const event of ['sync-pause', 'sync-seek', 'sync-rate']) {
+        viewer.send(event, { time: 30, rate: 2 });
+        assert.equal(viewer.last('permission-denied').action, event);
+    }
+    assert.equal(roomManager.getRoomSnapshot(code).playback.status, 'playing');
+    assert.equal(roomManager.getRoomSnapshot(code).playback.rate, 1);
+});